@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * video-verify-apikey
+ * Creates a key for the public API (/api/v1): prints the secret once and
+ * adds its hashed entry to an API_KEYS_FILE
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { generateApiKey, hashApiKey, DEFAULT_RATE_LIMIT, DEFAULT_MONTHLY_FRAMES } from '../lib/apiKeys.js';
+
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: video-verify-apikey [options] <id>
+
+Options:
+  -f, --file <file>         Keys file to add the key to (created if missing; default: print the entry)
+  -n, --name <text>         Description shown in logs (default: the id)
+      --requests <n>        Requests allowed per window (default: ${DEFAULT_RATE_LIMIT.requests})
+      --window <seconds>    Rate limit window (default: ${DEFAULT_RATE_LIMIT.windowSeconds})
+      --monthly-frames <n>  Monthly frame quota, or "none" (default: ${DEFAULT_MONTHLY_FRAMES})
+  -h, --help                Show this help
+
+Point API_KEYS_FILE at the keys file and restart the server to load new keys.`;
+
+function parsePositive(value, label) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${label} must be a positive integer`);
+  }
+  return number;
+}
+
+async function readKeysFile(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { keys: [] };
+    throw error;
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        file: { type: 'string', short: 'f' },
+        name: { type: 'string', short: 'n' },
+        requests: { type: 'string', default: String(DEFAULT_RATE_LIMIT.requests) },
+        window: { type: 'string', default: String(DEFAULT_RATE_LIMIT.windowSeconds) },
+        'monthly-frames': { type: 'string', default: String(DEFAULT_MONTHLY_FRAMES) },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values, positionals } = args;
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    return values.help ? 0 : EXIT_ERROR;
+  }
+
+  const [id] = positionals;
+  if (!/^[a-zA-Z0-9_-]{1,48}$/.test(id)) {
+    console.error('The id must be 1-48 letters, digits, \'-\' or \'_\'');
+    return EXIT_ERROR;
+  }
+
+  const secret = generateApiKey();
+  let entry;
+  try {
+    entry = {
+      id,
+      ...(values.name && { name: values.name }),
+      hash: hashApiKey(secret),
+      rateLimit: {
+        requests: parsePositive(values.requests, '--requests'),
+        windowSeconds: parsePositive(values.window, '--window')
+      },
+      monthlyFrames: values['monthly-frames'] === 'none' ? null : parsePositive(values['monthly-frames'], '--monthly-frames')
+    };
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_ERROR;
+  }
+
+  if (values.file) {
+    const config = await readKeysFile(values.file);
+    if (!Array.isArray(config.keys)) {
+      console.error(`${values.file} must hold { "keys": [...] }`);
+      return EXIT_ERROR;
+    }
+    if (config.keys.some(key => key.id === id)) {
+      console.error(`${values.file} already has a key with id ${id}`);
+      return EXIT_ERROR;
+    }
+    config.keys.push(entry);
+    await fs.promises.writeFile(values.file, `${JSON.stringify(config, null, 2)}\n`);
+    console.log(`Added ${id} to ${values.file}`);
+  } else {
+    console.log(JSON.stringify(entry, null, 2));
+  }
+
+  // The secret isn't stored anywhere; this is the only time it is shown
+  console.log(`\nAPI key: ${secret}`);
+  return 0;
+}
+
+main().then(
+  code => { process.exitCode = code; },
+  (error) => {
+    console.error(error);
+    process.exitCode = EXIT_ERROR;
+  }
+);
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * video-verify-calibrate
+ * Fits a calibration artifact (lib/calibration) on the labelled, scored
+ * items of one or more video-verify-eval --out files
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { fitCalibration, predictProbability, CALIBRATION_METHODS, CALIBRATION_FEATURES } from '../lib/calibration.js';
+import { calibrationCurve, CALIBRATION_BINS } from '../lib/evaluation.js';
+
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: video-verify-calibrate [options] <evaluation.json>...
+
+Options:
+  -o, --out <file>          Where to write the calibration artifact (required)
+  -m, --method <name>       Fitting method: ${CALIBRATION_METHODS.join(', ')} (default: platt)
+      --features <list>     Comma-separated Platt features from ${CALIBRATION_FEATURES.join(', ')} (default: average)
+  -h, --help                Show this help
+
+Serve the artifact by pointing CALIBRATION_FILE at it.`;
+
+const fmt = value => (value === null || value === undefined ? 'n/a' : value.toFixed(3));
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o' },
+        method: { type: 'string', short: 'm', default: 'platt' },
+        features: { type: 'string', default: 'average' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values, positionals } = args;
+
+  if (values.help || positionals.length === 0 || !values.out) {
+    console.log(USAGE);
+    return values.help ? 0 : EXIT_ERROR;
+  }
+
+  const evaluations = await Promise.all(positionals.map(async file => JSON.parse(await fs.promises.readFile(file, 'utf8'))));
+  if (evaluations.some(evaluation => evaluation.schema !== 'video-verify.evaluation')) {
+    console.error('Inputs must be video-verify-eval --out files');
+    return EXIT_ERROR;
+  }
+
+  // Averages depend on the risk policy's weights, so the runs must share one
+  const policies = [...new Set(evaluations.map(evaluation => evaluation.policy?.name ?? 'default'))];
+  if (policies.length > 1) {
+    console.error(`Evaluations were scored under different risk policies: ${policies.join(', ')}`);
+    return EXIT_ERROR;
+  }
+
+  const samples = evaluations.flatMap(evaluation => evaluation.items);
+  let artifact;
+  try {
+    artifact = fitCalibration(samples, {
+      method: values.method,
+      features: values.features.split(',').map(feature => feature.trim()),
+      policy: policies[0]
+    });
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_ERROR;
+  }
+
+  await fs.promises.writeFile(values.out, `${JSON.stringify(artifact, null, 2)}\n`);
+
+  // In-sample reliability; evaluate on held-out data for an honest figure
+  const scored = samples.filter(sample => typeof sample.scores?.average === 'number');
+  const before = calibrationCurve(scored);
+  const after = calibrationCurve(scored, CALIBRATION_BINS, sample => predictProbability(artifact, sample.scores)?.probability);
+
+  console.log(`Fitted ${artifact.method} calibration on ${artifact.samples.real} real and ${artifact.samples.fake} fake samples (policy ${artifact.policy})`);
+  console.log(`  average/10:  Brier ${fmt(before.brier)}, ECE ${fmt(before.ece)}`);
+  console.log(`  calibrated:  Brier ${fmt(after.brier)}, ECE ${fmt(after.ece)} (in-sample)`);
+  console.log(`Wrote ${values.out}`);
+
+  return 0;
+}
+
+main().then(
+  code => { process.exitCode = code; },
+  (error) => {
+    console.error(error);
+    process.exitCode = EXIT_ERROR;
+  }
+);
@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/**
+ * video-verify-eval
+ * Runs a labelled dataset through the analyze pipeline and reports AUC, a
+ * confusion matrix at the risk thresholds, calibration and per-region ROC.
+ * With the mock detector or recorded responses it runs fully offline.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { analyzeFrames, analyzeFramesWithEnsemble, resolveEnsembleMembers, PROMPT_VARIANTS } from '../lib/analyzeFrames.js';
+import { DETECTOR_PROVIDERS } from '../lib/detectors.js';
+import { SCORE_REGIONS, RISK_LEVELS, parseAnalysisResponse } from '../lib/riskMapping.js';
+import { SAMPLING_PROFILES, DEFAULT_SAMPLING, getSamplingProfile, getFrameInterval } from '../lib/sampling.js';
+import { analyzeVideoFile, VIDEO_EXTENSIONS } from '../lib/analyzeVideoFile.js';
+import { evaluateSamples } from '../lib/evaluation.js';
+import { loadRiskPolicy } from '../lib/riskPolicyConfig.js';
+import { predictProbability } from '../lib/calibration.js';
+
+const EVALUATION_SCHEMA_VERSION = '1.0';
+
+const LABELS = ['real', 'fake'];
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png' };
+
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: video-verify-eval [options] <dataset>
+
+The dataset directory holds real/ and fake/ subdirectories. Each entry in them
+is a video file, a frame-set JSON file ({ frames } as returned by /api/extract)
+or a directory of JPEG/PNG frames read in name order as one segment.
+
+Options:
+  -o, --out <file>          Write the metrics and per-item results as JSON
+  -d, --detector <name>     Detector provider: ${Object.keys(DETECTOR_PROVIDERS).join(', ')}
+  -p, --profile <name>      Sampling profile: ${Object.keys(SAMPLING_PROFILES).join(', ')} (default: ${DEFAULT_SAMPLING.profile})
+      --prompt <variant>    Prompt variant: ${Object.keys(PROMPT_VARIANTS).join(', ')} (default: standard)
+      --ensemble            Run the detector ensemble (DETECTOR_ENSEMBLE) on every item
+      --record <dir>        Save every detector response to <dir>
+      --replay <dir>        Answer from responses recorded in <dir> instead of a detector
+      --baseline <file>     Compare with an earlier --out file
+      --single-pass         Skip the adaptive second pass for MEDIUM results
+  -h, --help                Show this help`;
+
+/**
+ * List the labelled items in a dataset directory
+ */
+async function collectItems(dataset) {
+  const items = [];
+
+  for (const label of LABELS) {
+    const dir = path.join(dataset, label);
+    if (!fs.existsSync(dir)) continue;
+
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    entries
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((entry) => {
+        const ext = path.extname(entry.name).toLowerCase();
+        const type = entry.isDirectory() ? 'images'
+          : VIDEO_EXTENSIONS.includes(ext) ? 'video'
+            : ext === '.json' ? 'frames'
+              : null;
+        if (type) items.push({ file: path.join(dir, entry.name), label, type });
+      });
+  }
+
+  return items;
+}
+
+/**
+ * Load a frame set and the sampling that describes it to the model
+ */
+async function loadFrameSet(item, sampling) {
+  if (item.type === 'frames') {
+    const data = JSON.parse(await fs.promises.readFile(item.file, 'utf8'));
+    const frames = Array.isArray(data) ? data : data.frames;
+    if (!Array.isArray(frames) || frames.length === 0) {
+      throw new Error('Frame set has no frames');
+    }
+
+    const perSegment = {};
+    frames.forEach((frame) => { perSegment[frame.segment] = (perSegment[frame.segment] || 0) + 1; });
+    return {
+      frames,
+      sampling: {
+        ...sampling,
+        segments: Object.keys(perSegment).length,
+        framesPerSegment: Math.max(...Object.values(perSegment))
+      }
+    };
+  }
+
+  const names = (await fs.promises.readdir(item.file))
+    .filter(name => IMAGE_TYPES[path.extname(name).toLowerCase()])
+    .sort();
+  if (names.length === 0) {
+    throw new Error('Frame directory has no JPEG or PNG files');
+  }
+
+  const interval = getFrameInterval(sampling);
+  const frames = await Promise.all(names.map(async (name, index) => {
+    const buffer = await fs.promises.readFile(path.join(item.file, name));
+    return {
+      timestamp: index * interval,
+      data: `data:${IMAGE_TYPES[path.extname(name).toLowerCase()]};base64,${buffer.toString('base64')}`,
+      segment: 1,
+      frameInSegment: index + 1
+    };
+  }));
+
+  return {
+    frames,
+    sampling: { ...sampling, segments: 1, framesPerSegment: frames.length, segmentDuration: frames.length * interval }
+  };
+}
+
+/**
+ * Analyze one item; forensics are skipped since they don't affect the scores
+ */
+async function evaluateItem(item, { detector, sampling, prompt, ensemble, adaptive }) {
+  if (item.type === 'video') {
+    return analyzeVideoFile(item.file, { detector, sampling, prompt, ensemble, adaptive, forensics: false });
+  }
+
+  const frameSet = await loadFrameSet(item, sampling);
+  const options = { detector, sampling: frameSet.sampling, prompt };
+  const result = ensemble
+    ? await analyzeFramesWithEnsemble(frameSet.frames, ensemble, options)
+    : await analyzeFrames(frameSet.frames, options);
+  return { ...result, framesAnalyzed: frameSet.frames.length };
+}
+
+const fmt = value => (value === null || value === undefined ? 'n/a' : value.toFixed(3));
+
+function formatDelta(current, baseline) {
+  if (typeof current !== 'number' || typeof baseline !== 'number') return '';
+  const delta = current - baseline;
+  return ` (${delta >= 0 ? '+' : ''}${delta.toFixed(3)} vs baseline)`;
+}
+
+/**
+ * Human-readable summary of the metrics
+ */
+function formatSummary(metrics, baseline) {
+  const levels = Object.keys(RISK_LEVELS);
+  const { matrix, highOnly, mediumOrHigh } = metrics.confusion;
+  const binary = (name, m) => `  ${name.padEnd(22)} accuracy ${fmt(m.accuracy)}  precision ${fmt(m.precision)}  recall ${fmt(m.recall)}  specificity ${fmt(m.specificity)}`;
+
+  const lines = [
+    `Evaluated ${metrics.samples} items (${metrics.scored} scored, ${metrics.incomplete} incomplete): ${metrics.real} real, ${metrics.fake} fake`,
+    '',
+    `AUC (average score): ${fmt(metrics.roc.auc)}${formatDelta(metrics.roc.auc, baseline?.roc.auc)}`,
+    ...SCORE_REGIONS.map(({ key, label }) =>
+      `  ${label.padEnd(22)}${fmt(metrics.regions[key].auc)}${formatDelta(metrics.regions[key].auc, baseline?.regions[key]?.auc)}`
+    ),
+    '',
+    `Confusion matrix (rows: label, columns: risk level)`,
+    `  ${''.padEnd(6)}${levels.map(level => level.padStart(8)).join('')}`,
+    ...LABELS.map(label => `  ${label.padEnd(6)}${levels.map(level => String(matrix[label][level]).padStart(8)).join('')}`),
+    binary('HIGH = fake', highOnly),
+    binary('MEDIUM or HIGH = fake', mediumOrHigh),
+    '',
+    `Calibration (average/10 as P(fake)): Brier ${fmt(metrics.calibration.brier)}${formatDelta(metrics.calibration.brier, baseline?.calibration.brier)}, ECE ${fmt(metrics.calibration.ece)}`,
+    ...metrics.calibration.bins
+      .filter(bin => bin.count > 0)
+      .map(bin => `  ${bin.from.toFixed(1)}-${bin.to.toFixed(1)}  n=${String(bin.count).padEnd(4)} predicted ${fmt(bin.meanPredicted)}  observed ${fmt(bin.observedFakeRate)}`),
+    ...(metrics.calibrated ? [
+      `Calibrated probability (CALIBRATION_FILE): Brier ${fmt(metrics.calibrated.brier)}${formatDelta(metrics.calibrated.brier, baseline?.calibrated?.brier)}, ECE ${fmt(metrics.calibrated.ece)}`
+    ] : [])
+  ];
+
+  return lines.join('\n');
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o' },
+        detector: { type: 'string', short: 'd' },
+        profile: { type: 'string', short: 'p', default: DEFAULT_SAMPLING.profile },
+        prompt: { type: 'string', default: 'standard' },
+        ensemble: { type: 'boolean' },
+        record: { type: 'string' },
+        replay: { type: 'string' },
+        baseline: { type: 'string' },
+        'single-pass': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values, positionals } = args;
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    return values.help ? 0 : EXIT_ERROR;
+  }
+
+  if (values.detector && !Object.hasOwn(DETECTOR_PROVIDERS, values.detector)) {
+    console.error(`Unknown detector: ${values.detector}`);
+    return EXIT_ERROR;
+  }
+
+  if (!PROMPT_VARIANTS[values.prompt]) {
+    console.error(`Unknown prompt variant: ${values.prompt}`);
+    return EXIT_ERROR;
+  }
+
+  const sampling = getSamplingProfile(values.profile);
+  if (!sampling) {
+    console.error(`Unknown sampling profile: ${values.profile}`);
+    return EXIT_ERROR;
+  }
+
+  if (values.record && values.replay) {
+    console.error('--record and --replay cannot be combined');
+    return EXIT_ERROR;
+  }
+
+  // Recording and replay are configured through the detector env vars
+  let detector = values.detector;
+  if (values.record) {
+    process.env.DETECTOR_RECORD_DIR = values.record;
+  }
+  if (values.replay) {
+    process.env.DETECTOR_REPLAY_DIR = values.replay;
+    detector = 'replay';
+  }
+
+  let ensemble = null;
+  if (values.ensemble) {
+    try {
+      ensemble = resolveEnsembleMembers(true, detector);
+    } catch (error) {
+      console.error(`Invalid ensemble: ${error.message}`);
+      return EXIT_ERROR;
+    }
+    if (values.replay) {
+      ensemble = ensemble.map(member => ({ ...member, provider: 'replay' }));
+    }
+  }
+
+  let baseline = null;
+  if (values.baseline) {
+    baseline = JSON.parse(await fs.promises.readFile(values.baseline, 'utf8')).metrics;
+  }
+
+  const dataset = positionals[0];
+  const items = await collectItems(dataset);
+  if (items.length === 0) {
+    console.error(`No labelled items found under ${path.join(dataset, 'real')} or ${path.join(dataset, 'fake')}`);
+    return EXIT_ERROR;
+  }
+
+  const results = [];
+  for (const item of items) {
+    try {
+      const result = await evaluateItem(item, {
+        detector,
+        sampling,
+        prompt: values.prompt,
+        ensemble,
+        adaptive: !values['single-pass']
+      });
+      const riskData = parseAnalysisResponse(result);
+      results.push({
+        file: item.file,
+        label: item.label,
+        type: item.type,
+        riskLevel: riskData.riskLevel,
+        verdict: riskData.verdict || null,
+        scores: result.structured ? riskData.scores : null,
+        probability: result.structured ? predictProbability(result.calibration, riskData.scores) : null,
+        incomplete: riskData.incomplete,
+        framesAnalyzed: result.framesAnalyzed,
+        error: null
+      });
+      console.error(`${item.label.padEnd(4)} ${riskData.riskLevel.padEnd(6)} ${String(riskData.scores?.average ?? 'N/A').padStart(4)}/10  ${item.file}`);
+    } catch (error) {
+      results.push({ file: item.file, label: item.label, type: item.type, riskLevel: null, verdict: null, scores: null, probability: null, incomplete: null, framesAnalyzed: 0, error: error.message });
+      console.error(`${item.label.padEnd(4)} ERROR  ${item.file}: ${error.message}`);
+    }
+  }
+
+  const metrics = evaluateSamples(results);
+  console.log(`\n${formatSummary(metrics, baseline)}`);
+
+  if (values.out) {
+    await fs.promises.writeFile(values.out, JSON.stringify({
+      schema: 'video-verify.evaluation',
+      schemaVersion: EVALUATION_SCHEMA_VERSION,
+      dataset,
+      detector: detector || process.env.DETECTOR_PROVIDER || null,
+      sampling: sampling.profile,
+      prompt: values.prompt,
+      ensemble,
+      policy: loadRiskPolicy(),
+      evaluatedAt: new Date().toISOString(),
+      metrics,
+      items: results
+    }, null, 2));
+  }
+
+  return metrics.scored > 0 ? 0 : EXIT_ERROR;
+}
+
+main().then(
+  code => { process.exitCode = code; },
+  (error) => {
+    console.error(error);
+    process.exitCode = EXIT_ERROR;
+  }
+);
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * video-verify-webhook-receiver
+ * Local stand-in for a webhook receiver: checks each delivery's signature,
+ * prints it, and can fail the first deliveries to exercise retries
+ */
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import { parseArgs } from 'util';
+import { verifySignature } from '../lib/webhooks.js';
+
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: video-verify-webhook-receiver [options]
+
+Listens for webhook deliveries on http://localhost:<port>/ and verifies them
+against WEBHOOK_SECRET. Point callbackUrl at it.
+
+Options:
+  -p, --port <n>            Port to listen on (default: 4000)
+      --secret <secret>     Signing secret (default: WEBHOOK_SECRET)
+      --fail <n>            Answer the first <n> deliveries with 500 (default: 0)
+  -o, --out <dir>           Save each verified payload as <deliveryId>.json
+  -h, --help                Show this help`;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function describePayload(payload) {
+  const { result } = payload;
+  if (!result) return `${payload.event} job ${payload.jobId}: ${payload.error}`;
+  const average = result.scores?.average ?? 'n/a';
+  return `${payload.event} job ${payload.jobId}: ${result.riskLevel} risk, average ${average}, verdict ${result.verdict ?? 'none'}`;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      options: {
+        port: { type: 'string', short: 'p', default: '4000' },
+        secret: { type: 'string' },
+        fail: { type: 'string', default: '0' },
+        out: { type: 'string', short: 'o' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const secret = values.secret || process.env.WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('Set WEBHOOK_SECRET or pass --secret');
+    return EXIT_ERROR;
+  }
+  if (values.out) {
+    await fs.promises.mkdir(values.out, { recursive: true });
+  }
+
+  let toFail = parseInt(values.fail, 10) || 0;
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    const body = await readBody(req);
+    const delivery = req.headers['x-video-verify-delivery'] || 'unknown';
+    const problem = verifySignature(secret, req.headers, body);
+    if (problem) {
+      console.log(`✗ ${delivery}: rejected (${problem})`);
+      res.writeHead(401).end();
+      return;
+    }
+
+    if (toFail > 0) {
+      toFail--;
+      console.log(`… ${delivery}: answering 500 to test retries (${toFail} more)`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    const payload = JSON.parse(body);
+    console.log(`✓ ${delivery}: ${describePayload(payload)}`);
+    if (values.out) {
+      await fs.promises.writeFile(path.join(values.out, `${path.basename(delivery)}.json`), `${JSON.stringify(payload, null, 2)}\n`);
+    }
+    res.writeHead(204).end();
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(parseInt(values.port, 10), resolve);
+  });
+  console.log(`Listening for webhooks on http://localhost:${server.address().port}/`);
+  return 0;
+}
+
+main().then(
+  code => { process.exitCode = code; },
+  (error) => {
+    console.error(error);
+    process.exitCode = EXIT_ERROR;
+  }
+);
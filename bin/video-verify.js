@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * video-verify CLI
+ * Runs local video files (or videos by URL) through the same sampling and
+ * scoring pipeline as the web app, and exits non-zero when any file comes
+ * out HIGH risk
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseArgs } from 'util';
+import { resolveEnsembleMembers } from '../lib/analyzeFrames.js';
+import { DETECTOR_PROVIDERS } from '../lib/detectors.js';
+import { parseAnalysisResponse, extractSignals, calculateConfidence } from '../lib/riskMapping.js';
+import { SAMPLING_PROFILES, DEFAULT_SAMPLING, getSamplingProfile } from '../lib/sampling.js';
+import { buildJsonReport } from '../lib/jsonReport.js';
+import { predictProbability } from '../lib/calibration.js';
+import { analyzeVideoFile, VIDEO_EXTENSIONS } from '../lib/analyzeVideoFile.js';
+import { fetchRemoteVideo } from '../lib/remoteMedia.js';
+
+const EXIT_HIGH_RISK = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: video-verify [options] <file|directory|url>...
+
+URLs may point to a video file or an HLS (.m3u8) playlist; they are
+downloaded to a temporary file first.
+
+Options:
+  -f, --format <json|csv>   Report format written per file (default: json)
+  -o, --out <dir>           Directory for reports (default: next to each video, or the
+                            current directory for URLs)
+  -d, --detector <name>     Detector provider: ${Object.keys(DETECTOR_PROVIDERS).join(', ')}
+  -p, --profile <name>      Sampling profile: ${Object.keys(SAMPLING_PROFILES).join(', ')} (default: ${DEFAULT_SAMPLING.profile})
+      --per-frame           Also score every frame individually
+      --annotate            Also ask for boxes around suspicious regions in each frame
+      --ensemble            Run the detector ensemble (DETECTOR_ENSEMBLE) and aggregate its scores
+      --single-pass         Skip the adaptive second pass for MEDIUM results
+  -h, --help                Show this help
+
+Exit codes:
+  0  all files analyzed, none HIGH risk
+  1  at least one file is HIGH risk
+  2  at least one file could not be analyzed`;
+
+const CSV_COLUMNS = [
+  'file', 'riskLevel', 'verdict', 'average', 'mouth', 'eyes', 'boundary', 'temporal', 'audio',
+  'confidence', 'framesAnalyzed', 'keyEvidence', 'analyzedAt', 'policy', 'probability', 'incomplete',
+  'sourceUrl'
+];
+
+const isUrl = input => /^https?:\/\//i.test(input);
+
+/**
+ * Expand directories into the video files they contain
+ */
+async function collectVideoFiles(inputs) {
+  const files = [];
+
+  for (const input of inputs) {
+    if (isUrl(input)) {
+      files.push(input);
+      continue;
+    }
+
+    const stat = await fs.promises.stat(input);
+    if (stat.isDirectory()) {
+      const entries = await fs.promises.readdir(input);
+      entries
+        .filter(name => VIDEO_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort()
+        .forEach(name => files.push(path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Analyze one file and build its versioned JSON report
+ * Ambiguous first passes get a second pass over scene changes or unsampled
+ * stretches; `source` overrides the file details of a downloaded video
+ */
+async function verifyFile(filePath, options, source = {}) {
+  const result = { ...await analyzeVideoFile(filePath, options), ...source };
+
+  const riskData = parseAnalysisResponse(result);
+  const signals = extractSignals(riskData, { metadata: result.metadata, forensics: result.forensics });
+  const confidence = calculateConfidence(signals, result.framesAnalyzed, riskData.scores, {
+    forensics: result.forensics,
+    ensemble: result.ensemble
+  });
+
+  const probability = predictProbability(result.calibration, riskData.scores);
+
+  return buildJsonReport({ result, riskData, signals, confidence, probability });
+}
+
+/**
+ * Download a video by URL to a temporary file and verify it
+ * Resolves with the report and the downloaded file's name
+ */
+async function verifyUrl(url, options) {
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-verify-'));
+  try {
+    const filePath = path.join(tempDir, 'input');
+    const { sourceUrl, fileName, fileType } = await fetchRemoteVideo(url, filePath);
+    const report = await verifyFile(filePath, options, { sourceUrl, fileName, fileType });
+    return { report, fileName };
+  } finally {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function formatReport(report, format) {
+  if (format === 'csv') {
+    const row = {
+      file: report.input.fileName,
+      ...report.result,
+      ...report.result.scores,
+      framesAnalyzed: report.frames.length,
+      analyzedAt: report.analyzedAt,
+      policy: report.policy.name,
+      probability: report.result.probability?.probability,
+      sourceUrl: report.input.sourceUrl
+    };
+    return `${CSV_COLUMNS.join(',')}\n${CSV_COLUMNS.map(col => csvValue(row[col])).join(',')}\n`;
+  }
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'json' },
+        out: { type: 'string', short: 'o' },
+        detector: { type: 'string', short: 'd' },
+        profile: { type: 'string', short: 'p', default: DEFAULT_SAMPLING.profile },
+        'per-frame': { type: 'boolean' },
+        annotate: { type: 'boolean' },
+        ensemble: { type: 'boolean' },
+        'single-pass': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values, positionals } = args;
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return values.help ? 0 : EXIT_ERROR;
+  }
+
+  if (!['json', 'csv'].includes(values.format)) {
+    console.error(`Unknown format: ${values.format}`);
+    return EXIT_ERROR;
+  }
+
+  if (values.detector && !Object.hasOwn(DETECTOR_PROVIDERS, values.detector)) {
+    console.error(`Unknown detector: ${values.detector}`);
+    return EXIT_ERROR;
+  }
+
+  const sampling = getSamplingProfile(values.profile);
+  if (!sampling) {
+    console.error(`Unknown sampling profile: ${values.profile}`);
+    return EXIT_ERROR;
+  }
+
+  let ensemble = null;
+  if (values.ensemble) {
+    try {
+      ensemble = resolveEnsembleMembers(true, values.detector);
+    } catch (error) {
+      console.error(`Invalid ensemble: ${error.message}`);
+      return EXIT_ERROR;
+    }
+  }
+
+  const files = await collectVideoFiles(positionals);
+  if (files.length === 0) {
+    console.error('No video files found');
+    return EXIT_ERROR;
+  }
+
+  if (values.out) {
+    await fs.promises.mkdir(values.out, { recursive: true });
+  }
+
+  let exitCode = 0;
+
+  const options = {
+    detector: values.detector,
+    sampling,
+    perFrame: Boolean(values['per-frame']),
+    annotate: Boolean(values.annotate),
+    ensemble,
+    adaptive: !values['single-pass']
+  };
+
+  for (const filePath of files) {
+    try {
+      let report;
+      let reportBase;
+      if (isUrl(filePath)) {
+        const fetched = await verifyUrl(filePath, options);
+        report = fetched.report;
+        reportBase = path.basename(fetched.fileName, path.extname(fetched.fileName));
+      } else {
+        report = await verifyFile(filePath, options);
+        reportBase = path.basename(filePath, path.extname(filePath));
+      }
+
+      const reportName = `${reportBase}.video-verify.${values.format}`;
+      const reportPath = path.join(values.out || (isUrl(filePath) ? '.' : path.dirname(filePath)), reportName);
+      await fs.promises.writeFile(reportPath, formatReport(report, values.format));
+
+      const { riskLevel, scores } = report.result;
+      console.log(`${riskLevel.padEnd(6)} ${String(scores?.average ?? 'N/A').padStart(4)}/10  ${filePath}  -> ${reportPath}`);
+
+      if (riskLevel === 'HIGH' && exitCode === 0) {
+        exitCode = EXIT_HIGH_RISK;
+      }
+    } catch (error) {
+      console.error(`ERROR  ${filePath}: ${error.message}`);
+      exitCode = EXIT_ERROR;
+    }
+  }
+
+  return exitCode;
+}
+
+main().then(
+  code => { process.exitCode = code; },
+  (error) => {
+    console.error(error);
+    process.exitCode = EXIT_ERROR;
+  }
+);
@@ -0,0 +1,28 @@
+import { getScoreSeverity } from '../lib/riskMapping';
+
+/**
+ * Region annotation boxes drawn over a frame image
+ * Boxes are 0-1 fractions of the frame; the parent must be positioned and
+ * sized exactly like the image
+ */
+export default function AnnotationBoxes({ annotations, policy, labels = false }) {
+  return annotations.map((annotation, index) => (
+    <div
+      key={index}
+      className={`annotation-box ${annotation.score !== null ? getScoreSeverity(annotation.score, policy) : 'medium'}`}
+      style={{
+        left: `${annotation.box.x * 100}%`,
+        top: `${annotation.box.y * 100}%`,
+        width: `${annotation.box.width * 100}%`,
+        height: `${annotation.box.height * 100}%`
+      }}
+      title={annotation.note || annotation.region}
+    >
+      {labels && (
+        <span className="annotation-label">
+          {index + 1}{annotation.score !== null ? ` · ${annotation.score}` : ''}
+        </span>
+      )}
+    </div>
+  ));
+}
@@ -0,0 +1,80 @@
+import { useEffect } from 'react';
+import { SCORE_REGIONS, getScoreSeverity } from '../lib/riskMapping';
+import AnnotationBoxes from './AnnotationBoxes';
+import HeatmapOverlay from './HeatmapOverlay';
+
+const REGION_LABELS = Object.fromEntries(SCORE_REGIONS.map(region => [region.key, region.label]));
+
+/**
+ * Zoomed view of one analyzed frame with its region annotations and the
+ * matching sentences from the detailed analysis
+ * Arrow keys step through frames; Escape or a click outside closes it
+ */
+export default function FrameViewer({ frames, annotations, frameScores, index, overlay, policy, onNavigate, onClose }) {
+  const frame = frames[index];
+  const frameAnnotations = annotations.filter(annotation => annotation.frame === index + 1);
+  const frameScore = frameScores.find(score => score.frame === index + 1);
+  const forensic = overlay ? frame.forensics?.[overlay] : null;
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft' && index > 0) onNavigate(index - 1);
+      if (e.key === 'ArrowRight' && index < frames.length - 1) onNavigate(index + 1);
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [index, frames.length, onNavigate, onClose]);
+
+  return (
+    <div className="frame-viewer" onClick={onClose}>
+      <div className="frame-viewer-content" onClick={e => e.stopPropagation()}>
+        <div className="frame-viewer-header">
+          <span>
+            Frame {index + 1} of {frames.length} · {frame.timestamp?.toFixed(2)}s
+            {frame.segment ? ` · Segment ${frame.segment}` : ''}
+            {frameScore && (
+              <span className={`score-value ${getScoreSeverity(frameScore.score, policy)}`}> · {frameScore.score}/10</span>
+            )}
+          </span>
+          <div className="frame-viewer-nav">
+            <button className="btn btn-secondary" onClick={() => onNavigate(index - 1)} disabled={index === 0}>
+              Previous
+            </button>
+            <button className="btn btn-secondary" onClick={() => onNavigate(index + 1)} disabled={index === frames.length - 1}>
+              Next
+            </button>
+            <button className="btn btn-secondary" onClick={onClose}>Close</button>
+          </div>
+        </div>
+
+        <div className="frame-viewer-stage">
+          <div className="frame-viewer-image">
+            <img src={frame.data} alt={`Frame ${index + 1}`} />
+            {forensic && <HeatmapOverlay heatmap={forensic.heatmap} />}
+            <AnnotationBoxes annotations={frameAnnotations} policy={policy} labels />
+          </div>
+        </div>
+
+        {frameAnnotations.length > 0 ? (
+          <ol className="annotation-list">
+            {frameAnnotations.map((annotation, i) => (
+              <li key={i}>
+                <div className="annotation-title">
+                  {REGION_LABELS[annotation.region] || annotation.region}
+                  {annotation.score !== null && (
+                    <span className={`score-value ${getScoreSeverity(annotation.score, policy)}`}> · {annotation.score}/10</span>
+                  )}
+                </div>
+                {annotation.note && <div className="annotation-note">{annotation.note}</div>}
+                {annotation.excerpt && <blockquote className="annotation-excerpt">{annotation.excerpt}</blockquote>}
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <p className="card-note">No regions were annotated in this frame.</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import { useRef, useEffect } from 'react';
+
+/**
+ * Forensic heatmap drawn over a frame thumbnail
+ * One canvas pixel per heatmap cell; the browser's smoothing when the
+ * canvas is stretched over the thumbnail blends the cells
+ */
+export default function HeatmapOverlay({ heatmap }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(heatmap.cols, heatmap.rows);
+    heatmap.values.forEach((value, index) => {
+      image.data[index * 4] = 239;
+      image.data[index * 4 + 1] = Math.round(68 + (1 - value) * 150);
+      image.data[index * 4 + 2] = 68;
+      image.data[index * 4 + 3] = Math.round(value * 200);
+    });
+    ctx.putImageData(image, 0, 0);
+  }, [heatmap]);
+
+  return <canvas ref={canvasRef} className="heatmap-overlay" width={heatmap.cols} height={heatmap.rows} />;
+}
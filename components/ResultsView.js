@@ -0,0 +1,447 @@
+import React, { useMemo, useState } from 'react';
+import Markdown from 'react-markdown';
+import { SCORE_REGIONS, parseAnalysisResponse, extractSignals, calculateConfidence, getScoreSeverity } from '../lib/riskMapping';
+import { downloadJsonReport } from '../lib/jsonReport';
+import { getRepresentativeCrop } from '../lib/faceTracking';
+import { FORENSIC_ANALYSES } from '../lib/imageForensics';
+import ScoreTimeline from './ScoreTimeline';
+import HeatmapOverlay from './HeatmapOverlay';
+import AnnotationBoxes from './AnnotationBoxes';
+import FrameViewer from './FrameViewer';
+import { describePolicy } from '../lib/riskPolicy';
+import { predictProbability } from '../lib/calibration';
+import { describeIncomplete } from '../lib/responseSchema';
+
+/**
+ * Parse a stored analysis result into the data the view and reports need
+ * `probability` is null unless the server stamped a calibration artifact
+ */
+export function analyzeResult(result) {
+  // Process the analysis - pass entire API response object
+  const riskData = parseAnalysisResponse(result);
+  const signals = extractSignals(riskData, { metadata: result.metadata, forensics: result.forensics });
+  const confidence = calculateConfidence(signals, result.framesAnalyzed || 24, riskData.scores, {
+    forensics: result.forensics,
+    ensemble: result.ensemble
+  });
+  const probability = predictProbability(result.calibration, riskData.scores);
+  return { riskData, signals, confidence, probability };
+}
+
+/**
+ * Full results display shared by the local results page and shared permalinks
+ * Extra buttons go in `actions`; children render below the action row
+ */
+export default function ResultsView({ result, subtitle, actions, children }) {
+  const { riskData, signals, confidence, probability } = useMemo(() => analyzeResult(result), [result]);
+  const { policy } = riskData;
+  const [overlay, setOverlay] = useState(null); // Forensic analysis key shown over the thumbnails
+  const [viewerIndex, setViewerIndex] = useState(null); // Frame open in the zoomed viewer
+
+  // Look up segment and frame scores while rendering the frames grid
+  const segmentScoreMap = Object.fromEntries((result.segmentScores || []).map(s => [s.segment, s]));
+  const frameScoreMap = Object.fromEntries((result.frameScores || []).map(f => [f.frame, f]));
+
+  // Segments across all passes; every segment has the profile's frames per segment
+  const framesPerSegment = result.sampling?.framesPerSegment;
+  const segmentCount = result.segmentScores?.length
+    || (framesPerSegment ? Math.round(result.framesAnalyzed / framesPerSegment) : null);
+
+  // Frames without a `faces` array predate face detection or ran without it
+  const frames = result.frames || [];
+  const faceDetectionRan = frames.some(frame => Array.isArray(frame.faces));
+  const framesWithoutFace = frames.filter(frame => Array.isArray(frame.faces) && frame.faces.length === 0);
+  const hasForensics = frames.some(frame => frame.forensics);
+  const annotations = result.annotations || [];
+  const faceCrops = frames.flatMap((frame, index) =>
+    (frame.faces || []).filter(face => face.crop).map((face, faceIndex) => ({ ...face, frame: index + 1, faceIndex, timestamp: frame.timestamp }))
+  );
+
+  const handleDownloadReport = async () => {
+    // Load the PDF renderer only when a report is requested
+    const { downloadPdfReport } = await import('../lib/pdfReport');
+    await downloadPdfReport({ result, riskData, signals, confidence, probability });
+  };
+
+  const handleDownloadJson = () => {
+    downloadJsonReport({ result, riskData, signals, confidence, probability });
+  };
+
+  return (
+    <div className="container">
+      <header className="header">
+        <h1>Analysis Complete</h1>
+        <p>{result.fileName}</p>
+        {result.sourceUrl && (
+          <p className="header-note source-url">
+            {/* Shared results come from other people: only link http(s) URLs */}
+            From {/^https?:\/\//i.test(result.sourceUrl)
+              ? <a href={result.sourceUrl} target="_blank" rel="noopener noreferrer">{result.sourceUrl}</a>
+              : result.sourceUrl}
+          </p>
+        )}
+        {result.sampling?.label && (
+          <p className="header-note">{result.sampling.label} sampling, {result.framesAnalyzed} frames</p>
+        )}
+        {subtitle && <p className="header-note">{subtitle}</p>}
+      </header>
+
+      {/* Degree of Risk */}
+      <div className="result-card">
+        <h3>Degree of Risk</h3>
+        <div className="confidence-meter">
+          <div className="confidence-bar">
+            <div
+              className={`confidence-fill ${getScoreSeverity(riskData.scores?.average ?? 0, policy)}`}
+              style={{ width: `${(riskData.scores?.average || 0) * 10}%` }}
+            />
+          </div>
+          <div className={`confidence-value ${getScoreSeverity(riskData.scores?.average ?? 0, policy)}`}>
+            {riskData.scores?.average || 0}/10
+          </div>
+        </div>
+        {riskData.incomplete && (
+          <p className="card-note warning">
+            Incomplete result: {describeIncomplete(result)}
+          </p>
+        )}
+        {probability && (
+          <p className="card-note">
+            Probability of manipulation: <strong>{Math.round(probability.probability * 100)}%</strong>
+            {' '}({Math.round(probability.low * 100)}–{Math.round(probability.high * 100)}%, {Math.round((result.calibration.interval ?? 0.95) * 100)}% interval),
+            {' '}{probability.method} calibration on {result.calibration.samples.real + result.calibration.samples.fake} labelled samples
+          </p>
+        )}
+        {result.passCount > 1 && (
+          <p className="card-note">
+            Adaptive sampling: first pass was ambiguous, so {result.passCount} passes
+            {segmentCount ? ` over ${segmentCount} segments` : ''} ({result.framesAnalyzed} frames) were merged
+          </p>
+        )}
+        <p className="card-note">
+          Risk policy ({policy.name}): {describePolicy(policy)}
+        </p>
+      </div>
+
+      {/* Region Scores */}
+      {riskData.scores && (
+        <div className="result-card">
+          <h3>Region Analysis Scores</h3>
+          <p style={{ color: 'var(--text-muted)', fontSize: '0.85rem', marginBottom: 16 }}>
+            Scale: 0 = authentic, 10 = manipulated
+          </p>
+          <div className="scores-grid">
+            {SCORE_REGIONS.map(({ key, label }) => {
+              const score = riskData.scores[key];
+              if (score === undefined) return null;
+              const severity = getScoreSeverity(score, policy);
+              return (
+                <div key={key} className="score-item">
+                  <div className="score-label">
+                    <span>{label}</span>
+                    <span className={`score-value ${severity}`}>{score}/10</span>
+                  </div>
+                  <div className="score-bar">
+                    <div
+                      className={`score-fill ${severity}`}
+                      style={{ width: `${score * 10}%` }}
+                    />
+                  </div>
+                </div>
+              );
+            })}
+            {riskData.scores.average !== undefined && (
+              <div className="score-item average">
+                <div className="score-label">
+                  <span>Average Score</span>
+                  <span className={`score-value ${getScoreSeverity(riskData.scores.average, policy)}`}>
+                    {riskData.scores.average}/10
+                  </span>
+                </div>
+              </div>
+            )}
+          </div>
+          {result.audio?.hasAudio === false && (
+            <p className="card-note">No audio track, so the average covers the visual regions only</p>
+          )}
+          {result.audio?.hasAudio && result.audio.overall && (
+            <p className="card-note">
+              Audio measured around the sampled segments: high-frequency cutoff
+              {' '}{result.audio.overall.highFrequencyCutoffHz ?? 'n/a'} Hz, pitch variation
+              {' '}{result.audio.overall.pitchVariation ?? 'n/a'}, speech in
+              {' '}{Math.round(result.audio.overall.speechRatio * 100)}% of the audio
+            </p>
+          )}
+          {riskData.keyEvidence && (
+            <div className="key-evidence">
+              <strong>Key Finding:</strong> {riskData.keyEvidence}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Per-Person Scores */}
+      {result.personScores?.length > 0 && (
+        <div className="result-card">
+          <h3>People ({result.personScores.length})</h3>
+          <div className="person-list">
+            {result.personScores.map((person) => {
+              const crop = getRepresentativeCrop(result.frames, person);
+              const severity = getScoreSeverity(person.average, policy);
+              return (
+                <div key={person.person} className={`person-item ${severity}`}>
+                  {crop && <img className="person-crop" src={crop} alt={`Person ${person.person}`} />}
+                  <div className="person-details">
+                    <div className="person-header">
+                      <span>Person {person.person}</span>
+                      <span className={`score-value ${severity}`}>
+                        {person.verdict || 'N/A'} · {person.average}/10
+                      </span>
+                    </div>
+                    <div className="person-scores">
+                      {SCORE_REGIONS.map(({ key, label }) => person[key] !== undefined && (
+                        <span key={key} className={`score-value ${getScoreSeverity(person[key], policy)}`}>
+                          {label} {person[key]}
+                        </span>
+                      ))}
+                    </div>
+                    <div className="person-meta">
+                      In {person.frames.length} of {result.framesAnalyzed} frames
+                      {person.keyEvidence && <> · {person.keyEvidence}</>}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Ensemble Members */}
+      {result.ensemble && (
+        <div className="result-card">
+          <h3>Detector Ensemble ({result.ensemble.members.length})</h3>
+          <p className="card-note">
+            {typeof result.ensemble.agreement === 'number'
+              ? <>Agreement {Math.round(result.ensemble.agreement * 100)}%, {Math.round(result.ensemble.verdictAgreement * 100)}% of detectors reach the aggregate verdict. The scores above are the mean across detectors; confidence reflects how closely they agree.
+                {' '}Spread (standard deviation):
+                {' '}{SCORE_REGIONS.filter(({ key }) => result.ensemble.spread[key] !== undefined)
+                  .map(({ key, label }) => `${label} ±${result.ensemble.spread[key]}`).join(', ')}</>
+              : 'Too few detectors returned scores to measure agreement.'}
+          </p>
+          <div className="person-list">
+            {result.ensemble.members.map((member) => {
+              const severity = member.scores ? getScoreSeverity(member.scores.average, policy) : 'medium';
+              return (
+                <div key={member.id} className={`person-item ${severity}`}>
+                  <div className="person-details">
+                    <div className="person-header">
+                      <span>{member.label}</span>
+                      <span className={`score-value ${severity}`}>
+                        {member.scores ? `${member.verdict || 'N/A'} · ${member.scores.average}/10` : 'No scores'}
+                      </span>
+                    </div>
+                    {member.scores && (
+                      <div className="person-scores">
+                        {SCORE_REGIONS.map(({ key, label }) => member.scores[key] !== undefined && (
+                          <span key={key} className={`score-value ${getScoreSeverity(member.scores[key], policy)}`}>
+                            {label} {member.scores[key]}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                    {member.error && <div className="person-meta">Failed: {member.error}</div>}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Detected Signals */}
+      <div className="result-card">
+        <h3>Detected Signals</h3>
+        <ul className="signals-list">
+          {signals.map((signal, index) => (
+            <li key={index} className="signal-item">
+              <div className={`signal-indicator ${signal.severity}`} />
+              <div className="signal-content">
+                <div className="signal-category">{signal.category}</div>
+                <div className="signal-text">{signal.signal}</div>
+              </div>
+            </li>
+          ))}
+        </ul>
+        {result.metadata?.container && (
+          <p className="card-note">
+            Container: {result.metadata.container.toUpperCase()}
+            {result.metadata.codec?.format && `, ${result.metadata.codec.format}`}
+            {result.metadata.frameRate?.nominal && `, ${result.metadata.frameRate.nominal} fps`}
+            {result.metadata.encoder && `, encoder ${result.metadata.encoder}`}
+            {result.metadata.createdAt && `, created ${new Date(result.metadata.createdAt).toLocaleString()}`}.
+            {' '}Read locally from the file; never sent to the model.
+          </p>
+        )}
+      </div>
+
+      {/* Score Timeline */}
+      {result.segmentScores && result.segmentScores.length > 0 && (
+        <ScoreTimeline
+          policy={policy}
+          segmentScores={result.segmentScores}
+          frameScores={result.frameScores}
+          duration={result.video?.duration}
+        />
+      )}
+
+      {/* Face Crops */}
+      {faceDetectionRan && (
+        <div className="result-card">
+          <h3>Face Crops ({faceCrops.length})</h3>
+          {framesWithoutFace.length > 0 && (
+            <p className="card-note warning">
+              No face detected in {framesWithoutFace.length} of {frames.length} frames
+              ({framesWithoutFace.map(frame => `${frame.timestamp?.toFixed(2)}s`).join(', ')}).
+              Those frames were analyzed as whole frames only.
+            </p>
+          )}
+          {faceCrops.length > 0 && (
+            <div className="face-crops-grid">
+              {faceCrops.map(face => (
+                <div key={`${face.frame}-${face.faceIndex}`} className="face-crop">
+                  <img src={face.crop} alt={`Face ${face.faceIndex + 1} in frame ${face.frame}`} />
+                  <span className="face-crop-caption">
+                    {face.person ? `Person ${face.person} · ` : ''}Frame {face.frame} · {face.timestamp?.toFixed(2)}s
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Analyzed Frames */}
+      {result.frames && result.frames.length > 0 && (
+        <div className="result-card">
+          <h3>Analyzed Frames ({result.frames.length} consecutive frames)</h3>
+          <p className="card-note">
+            {annotations.length > 0
+              ? `${annotations.length} suspicious region${annotations.length > 1 ? 's' : ''} boxed. `
+              : ''}
+            Click a frame to zoom in.
+          </p>
+          {hasForensics && (
+            <>
+              {result.forensics && (
+                <p className="card-note">
+                  Image forensics, computed locally without the model:{' '}
+                  {FORENSIC_ANALYSES.map(({ key, label }) => `${label} ${result.forensics[key] ?? 'n/a'}`).join(', ')}
+                  {result.forensics.average !== null && ` (average ${result.forensics.average}/10)`}
+                </p>
+              )}
+              <div className="overlay-picker">
+                <button
+                  className={`overlay-option ${overlay === null ? 'selected' : ''}`}
+                  onClick={() => setOverlay(null)}
+                >
+                  No overlay
+                </button>
+                {FORENSIC_ANALYSES.map(({ key, label }) => (
+                  <button
+                    key={key}
+                    className={`overlay-option ${overlay === key ? 'selected' : ''}`}
+                    onClick={() => setOverlay(key)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+          <div className="frames-grid">
+            {result.frames.map((frame, index) => {
+              const showSegmentLabel = index === 0 ||
+                (frame.segment && result.frames[index - 1]?.segment !== frame.segment);
+              const segmentScore = segmentScoreMap[frame.segment];
+              const segmentSeverity = segmentScore ? getScoreSeverity(segmentScore.average, policy) : null;
+              const frameScore = frameScoreMap[index + 1];
+              const noFace = Array.isArray(frame.faces) && frame.faces.length === 0;
+              const forensic = overlay ? frame.forensics?.[overlay] : null;
+              const frameAnnotations = annotations.filter(annotation => annotation.frame === index + 1);
+              return (
+                <React.Fragment key={index}>
+                  {showSegmentLabel && frame.segment && (
+                    <div className="segment-label">
+                      Segment {frame.segment} ({frame.timestamp?.toFixed(1)}s)
+                      {segmentScore && (
+                        <span className={`score-value ${segmentSeverity}`}> · {segmentScore.average}/10</span>
+                      )}
+                    </div>
+                  )}
+                  <div
+                    className={`frame-thumb clickable ${segmentSeverity && segmentSeverity !== 'low' ? `suspicious ${segmentSeverity}` : ''}`}
+                    role="button"
+                    tabIndex={0}
+                    onClick={() => setViewerIndex(index)}
+                    onKeyDown={e => e.key === 'Enter' && setViewerIndex(index)}
+                  >
+                    <img src={frame.data} alt={`Frame ${index + 1}`} />
+                    {forensic && <HeatmapOverlay heatmap={forensic.heatmap} />}
+                    <AnnotationBoxes annotations={frameAnnotations} policy={policy} />
+                    {noFace && <span className="frame-flag">No face</span>}
+                    {forensic && forensic.score !== null && (
+                      <span className={`frame-forensic ${getScoreSeverity(forensic.score, policy)}`}>{forensic.score}</span>
+                    )}
+                    {frameScore && (
+                      <span className={`frame-score ${getScoreSeverity(frameScore.score, policy)}`}>{frameScore.score}</span>
+                    )}
+                  </div>
+                </React.Fragment>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {viewerIndex !== null && result.frames?.[viewerIndex] && (
+        <FrameViewer
+          policy={policy}
+          frames={result.frames}
+          annotations={annotations}
+          frameScores={result.frameScores || []}
+          index={viewerIndex}
+          overlay={overlay}
+          onNavigate={setViewerIndex}
+          onClose={() => setViewerIndex(null)}
+        />
+      )}
+
+      {/* Detailed Analysis */}
+      <div className="result-card">
+        <h3>Detailed Analysis</h3>
+        <div className="analysis-text">
+          <Markdown>{riskData?.rawAnalysis || result.analysis}</Markdown>
+        </div>
+      </div>
+
+      {/* Actions */}
+      <div className="actions">
+        <button className="btn btn-primary" onClick={handleDownloadReport}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+            <polyline points="7 10 12 15 17 10" />
+            <line x1="12" y1="15" x2="12" y2="3" />
+          </svg>
+          Download PDF Report
+        </button>
+        <button className="btn btn-secondary" onClick={handleDownloadJson}>
+          Export JSON
+        </button>
+        {actions}
+      </div>
+
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { getScoreSeverity } from '../lib/riskMapping';
+
+/**
+ * Per-segment scores laid out over the video duration, with optional
+ * per-frame score bars for each segment
+ */
+export default function ScoreTimeline({ segmentScores, frameScores, duration, policy }) {
+  // Fall back to the last sampled timestamp when the duration wasn't recorded
+  const totalDuration = duration || Math.max(...segmentScores.map(s => s.end)) * 1.1;
+
+  return (
+    <div className="result-card">
+      <h3>Score Timeline</h3>
+      <p style={{ color: 'var(--text-muted)', fontSize: '0.85rem', marginBottom: 16 }}>
+        Average region score per sampled segment over the video duration
+      </p>
+
+      <div className="timeline-track">
+        {segmentScores.map((segment) => {
+          const left = (segment.start / totalDuration) * 100;
+          const width = Math.max(((segment.end - segment.start) / totalDuration) * 100, 2);
+          return (
+            <div
+              key={segment.segment}
+              className={`timeline-segment ${getScoreSeverity(segment.average, policy)}`}
+              style={{ left: `${left}%`, width: `${width}%` }}
+              title={`Segment ${segment.segment}: ${segment.average}/10`}
+            >
+              <span className="timeline-label">
+                S{segment.segment} · {segment.average}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+      <div className="timeline-axis">
+        <span>0s</span>
+        <span>{totalDuration.toFixed(1)}s</span>
+      </div>
+
+      {frameScores && frameScores.length > 0 && (
+        <div className="timeline-frames">
+          {segmentScores.map((segment) => {
+            const segmentFrames = frameScores.filter(f => f.segment === segment.segment);
+            if (segmentFrames.length === 0) return null;
+            return (
+              <div key={segment.segment} className="timeline-frames-row">
+                <span className="timeline-frames-label">
+                  Segment {segment.segment} ({segment.start.toFixed(1)}s)
+                </span>
+                <div className="timeline-frames-bars">
+                  {segmentFrames.map(frame => (
+                    <div
+                      key={frame.frame}
+                      className={`timeline-frame-bar ${getScoreSeverity(frame.score, policy)}`}
+                      style={{ height: `${Math.max(frame.score * 10, 4)}%` }}
+                      title={`Frame ${frame.frame} at ${frame.timestamp.toFixed(2)}s: ${frame.score}/10`}
+                    />
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import { SHARE_EXPIRY_OPTIONS, DEFAULT_SHARE_EXPIRY } from '../lib/shareOptions';
+import { readError } from '../lib/responseError';
+
+/**
+ * Create a server-persisted permalink for a result
+ */
+export default function SharePanel({ result }) {
+  const [expiresIn, setExpiresIn] = useState(DEFAULT_SHARE_EXPIRY);
+  const [includeFrames, setIncludeFrames] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [share, setShare] = useState(null);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/share', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ result, expiresIn, includeFrames })
+      });
+
+      if (!response.ok) {
+        throw new Error(await readError(response, 'Failed to create share link'));
+      }
+
+      const data = await response.json();
+      setShare({ ...data, url: `${window.location.origin}${data.path}` });
+      setCopied(false);
+    } catch (err) {
+      console.error('Share error:', err);
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(share.url);
+    setCopied(true);
+  };
+
+  return (
+    <div className="result-card share-panel">
+      <h3>Share Link</h3>
+
+      <div className="share-options">
+        <label>
+          Expires after
+          <select
+            value={expiresIn ?? ''}
+            onChange={(e) => {
+              setExpiresIn(e.target.value === '' ? null : Number(e.target.value));
+              setShare(null);
+            }}
+          >
+            {SHARE_EXPIRY_OPTIONS.map(option => (
+              <option key={option.label} value={option.seconds ?? ''}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={includeFrames}
+            onChange={(e) => {
+              setIncludeFrames(e.target.checked);
+              setShare(null);
+            }}
+          />
+          Include frame thumbnails
+        </label>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {share ? (
+        <div className="share-result">
+          <input type="text" readOnly value={share.url} onFocus={(e) => e.target.select()} />
+          <button className="btn btn-secondary" onClick={handleCopy}>
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+          <div className="share-meta">
+            {share.expiresAt ? `Expires ${new Date(share.expiresAt).toLocaleString()}` : 'Never expires'}
+            {!share.includesFrames && ' · Frame thumbnails omitted'}
+          </div>
+        </div>
+      ) : (
+        <button className="btn btn-primary btn-full" onClick={handleCreate} disabled={creating}>
+          {creating ? 'Creating link...' : 'Create Link'}
+        </button>
+      )}
+    </div>
+  );
+}
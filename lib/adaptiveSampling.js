@@ -0,0 +1,201 @@
+/**
+ * Adaptive sampling
+ * When the first pass lands in the MEDIUM band, sample extra segments from
+ * scene changes or the longest unsampled stretches and merge the passes
+ */
+
+import { SCORE_REGIONS, riskLevelForScore, verdictForMerged } from './riskMapping.js';
+import { DEFAULT_POLICY } from './riskPolicy.js';
+import { DEFAULT_SAMPLING } from './sampling.js';
+import { mergeEnsemblePasses } from './ensemble.js';
+import { mergeValidation } from './responseSchema.js';
+
+export const FOLLOW_UP_SEGMENTS = 3;
+
+const REGION_KEYS = SCORE_REGIONS.map(region => region.key);
+
+/**
+ * A result needs a follow-up pass when the risk policy puts it at MEDIUM,
+ * counting a verdict override as parseAnalysisResponse does
+ */
+export function needsFollowUp(result) {
+  const avg = result.structured ? result.scores?.average : null;
+  return typeof avg === 'number'
+    && riskLevelForScore(avg, result.verdict, result.policy || DEFAULT_POLICY) === 'MEDIUM';
+}
+
+/**
+ * Pick start times for extra segments that don't overlap what was already sampled
+ * Scene changes are preferred; otherwise the middle of the longest unsampled stretch
+ */
+export function getFollowUpStartTimes(duration, sampledStarts, {
+  sceneChanges = [],
+  count = FOLLOW_UP_SEGMENTS,
+  sampling = DEFAULT_SAMPLING
+} = {}) {
+  const { segmentDuration } = sampling;
+  const minStart = duration * 0.05;
+  const maxStart = duration - segmentDuration;
+  const taken = [...sampledStarts];
+  const picks = [];
+
+  const overlaps = (start) => taken.some(t => Math.abs(t - start) < segmentDuration);
+
+  // Unsampled stretches between taken segments, longest first
+  const getGaps = () => {
+    const edges = [...taken].sort((a, b) => a - b);
+    const gaps = [];
+    let cursor = minStart;
+    for (const start of edges) {
+      if (start - cursor > 0) gaps.push({ from: cursor, to: start });
+      cursor = Math.max(cursor, start + segmentDuration);
+    }
+    if (maxStart - cursor > 0) gaps.push({ from: cursor, to: maxStart });
+    return gaps.sort((a, b) => (b.to - b.from) - (a.to - a.from));
+  };
+
+  while (picks.length < count) {
+    const gaps = getGaps();
+    const gapLength = (t) => {
+      const gap = gaps.find(g => t >= g.from && t <= g.to);
+      return gap ? gap.to - gap.from : 0;
+    };
+
+    // Scene changes in the largest remaining gap win over blind midpoints
+    const scene = sceneChanges
+      .filter(t => t >= minStart && t <= maxStart && !overlaps(t))
+      .sort((a, b) => gapLength(b) - gapLength(a))[0];
+
+    let next = scene;
+    if (next === undefined) {
+      const largest = gaps[0];
+      // Nothing left that fits a full segment without overlap
+      if (!largest || largest.to - largest.from < segmentDuration * 2) break;
+      next = (largest.from + largest.to) / 2 - segmentDuration / 2;
+    }
+
+    picks.push(next);
+    taken.push(next);
+  }
+
+  return picks.sort((a, b) => a - b);
+}
+
+/**
+ * Merge per-person scores across passes, offsetting frame numbers like frameScores
+ */
+function mergePersonScores(passes, policy) {
+  const merged = new Map();
+  let frameOffset = 0;
+
+  for (const pass of passes) {
+    for (const entry of pass.personScores || []) {
+      const frames = entry.frames.map(frame => frame + frameOffset);
+      const current = merged.get(entry.person);
+
+      if (!current) {
+        merged.set(entry.person, {
+          ...entry,
+          frames,
+          representativeFrame: entry.representativeFrame + frameOffset
+        });
+        continue;
+      }
+
+      const total = current.frames.length + frames.length;
+      const weighted = (a, b) => (typeof a === 'number' && typeof b === 'number')
+        ? Math.round((a * current.frames.length + b * frames.length) / total * 10) / 10
+        : a ?? b;
+      const next = {
+        ...current,
+        ...Object.fromEntries(REGION_KEYS.map(key => [key, weighted(current[key], entry[key])])),
+        average: weighted(current.average, entry.average),
+        frames: [...current.frames, ...frames]
+      };
+      next.verdict = verdictForMerged(next.average, [current.verdict, entry.verdict], policy) ?? current.verdict;
+      // Key evidence comes from whichever pass found this person more suspicious
+      if (entry.average > current.average) next.keyEvidence = entry.keyEvidence;
+      merged.set(entry.person, next);
+    }
+    frameOffset += pass.framesAnalyzed || 0;
+  }
+
+  return [...merged.values()].sort((a, b) => a.person - b.person);
+}
+
+/**
+ * Merge analysis results from several passes into one result
+ * Region scores are averaged weighted by frame count, and the verdict is
+ * re-derived from the merged average and each pass's verdict under the policy
+ */
+export function mergePasses(passes) {
+  if (passes.length === 1) return { ...passes[0], passCount: 1 };
+
+  const structured = passes.filter(p => p.structured && p.scores);
+  const totalFrames = passes.reduce((sum, p) => sum + (p.framesAnalyzed || 0), 0);
+
+  const weightedScore = (key) => {
+    const entries = structured.filter(p => typeof p.scores[key] === 'number');
+    const weight = entries.reduce((sum, p) => sum + p.framesAnalyzed, 0);
+    if (weight === 0) return undefined;
+    return Math.round(entries.reduce((sum, p) => sum + p.scores[key] * p.framesAnalyzed, 0) / weight * 10) / 10;
+  };
+
+  const scores = Object.fromEntries(REGION_KEYS.map(key => [key, weightedScore(key)]));
+  scores.average = weightedScore('average');
+
+  const policy = passes[0].policy || DEFAULT_POLICY;
+  const verdict = verdictForMerged(scores.average, structured.map(p => p.verdict), policy);
+
+  // Key evidence comes from the most suspicious pass
+  const strongest = [...structured].sort((a, b) => b.scores.average - a.scores.average)[0];
+
+  // Frame numbers restart in each pass, so offset them into one sequence
+  let frameOffset = 0;
+  const frameScores = [];
+  const annotations = [];
+  for (const pass of passes) {
+    (pass.frameScores || []).forEach(f => frameScores.push({ ...f, frame: f.frame + frameOffset }));
+    (pass.annotations || []).forEach(a => annotations.push({ ...a, frame: a.frame + frameOffset }));
+    frameOffset += pass.framesAnalyzed || 0;
+  }
+
+  // Person numbers are shared across passes, so merge each person's scores
+  // weighted by how many frames they appear in
+  const personScores = mergePersonScores(passes, policy);
+  const ensemble = mergeEnsemblePasses(passes);
+  const validation = mergeValidation(structured, scores);
+
+  return {
+    ...passes[0],
+    structured: structured.length > 0,
+    scores,
+    segmentScores: passes.flatMap(p => p.segmentScores || []),
+    ...(frameScores.length > 0 && { frameScores }),
+    ...(annotations.length > 0 && { annotations }),
+    ...(personScores.length > 0 && { personScores }),
+    ...(ensemble && { ensemble }),
+    ...(validation && { validation, incomplete: validation.missing.length > 0 }),
+    ...(passes[0].audio?.hasAudio && {
+      audio: {
+        ...passes[0].audio,
+        segments: passes.flatMap(p => p.audio?.segments || []),
+        frames: passes.flatMap(p => p.audio?.frames || [])
+      }
+    }),
+    verdict,
+    keyEvidence: strongest?.keyEvidence,
+    analysis: passes
+      .map((p, i) => `**Pass ${i + 1}:** ${p.analysis}`)
+      .join('\n\n'),
+    framesAnalyzed: totalFrames,
+    passCount: passes.length,
+    passes: passes.map((p, i) => ({
+      pass: i + 1,
+      framesAnalyzed: p.framesAnalyzed,
+      scores: p.scores || null,
+      verdict: p.verdict || null,
+      rawOutput: p.rawOutput ?? null
+    }))
+  };
+}
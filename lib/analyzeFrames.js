@@ -0,0 +1,691 @@
+/**
+ * Frame analysis pipeline
+ * Builds the detection prompt, sends frames to a detector provider,
+ * and normalizes the response into region scores
+ */
+
+import { createDetector, resolveProviderName, REQUEST_PROVIDERS } from './detectors.js';
+import { DEFAULT_SAMPLING, getFrameInterval } from './sampling.js';
+import { trackFaces, summarizePersons } from './faceTracking.js';
+import { SCORE_REGIONS } from './riskMapping.js';
+import { aggregateEnsemble, describeMember, MAX_ENSEMBLE_MEMBERS } from './ensemble.js';
+import { weightedAverage } from './riskPolicy.js';
+import { loadRiskPolicy } from './riskPolicyConfig.js';
+import { loadCalibration } from './calibrationConfig.js';
+import { validateResponse } from './responseSchema.js';
+
+// Research-backed structured prompt for deepfake detection
+// Forces numerical scoring to prevent hedging, focuses on highest-reliability regions
+export const DETECTION_PROMPT = `You are a forensic analyst examining video frames for deepfake manipulation.
+This content is SUSPECTED to be AI-generated. Your job is to find evidence of manipulation.
+
+Score each region 0-10 where 0=definitely authentic, 10=definitely manipulated:
+
+MOUTH (highest detection reliability):
+- Are teeth blurry, merged, or unnaturally uniform?
+- Do lip edges look soft, painted, or lack natural texture?
+- Does mouth movement appear mechanical or disconnected from speech?
+- Any unnatural smoothness around lips?
+
+EYES:
+- Do both eyes have matching reflections/catchlights?
+- Are pupil shapes consistent and natural?
+- Do blinks look complete and natural?
+- Any asymmetry in eye positioning or movement?
+
+FACE BOUNDARY:
+- Is there color mismatch between face and neck?
+- Any blur specifically at the jawline-neck junction?
+- Hairline feathering, ghosting, or incomplete blending?
+- Does skin texture change abruptly at face edges?
+
+TEMPORAL (frame-to-frame changes):
+- Does face texture "swim" or shift independently of head motion?
+- Any flickering, sudden jumps, or unnatural transitions?
+- Do facial features maintain consistent relative positions?
+- Any warping during expressions or movement?
+
+IMPORTANT: Be aggressive in scoring. Modern deepfakes are sophisticated.
+If something looks slightly off, score it higher. Err on the side of detection.
+
+Respond with ONLY this JSON (no markdown, no explanation outside JSON):
+{
+  "mouth_score": <0-10>,
+  "eyes_score": <0-10>,
+  "boundary_score": <0-10>,
+  "temporal_score": <0-10>,
+  "segments": [
+    { "segment": <segment number>, "mouth_score": <0-10>, "eyes_score": <0-10>, "boundary_score": <0-10>, "temporal_score": <0-10> }
+  ],
+  "verdict": "AUTHENTIC" | "SUSPICIOUS" | "MANIPULATED",
+  "key_evidence": "<one sentence describing the most significant finding>",
+  "detailed_analysis": "<2-3 sentences explaining your scoring>"
+}
+
+The top-level scores cover all frames combined. "segments" has one entry per video segment,
+scored using only that segment's frames.`;
+
+// Aggressive framing in DETECTION_PROMPT, and its neutral replacement for the
+// 'neutral' prompt variant
+const SUSPICION_FRAMING = `This content is SUSPECTED to be AI-generated. Your job is to find evidence of manipulation.`;
+const NEUTRAL_FRAMING = `This content may be authentic or manipulated. Judge it on the evidence in the frames.`;
+const AGGRESSIVE_GUIDANCE = `IMPORTANT: Be aggressive in scoring. Modern deepfakes are sophisticated.
+If something looks slightly off, score it higher. Err on the side of detection.`;
+const NEUTRAL_GUIDANCE = `IMPORTANT: Score what you see. Compression, motion blur and low light cause softness in real video;
+reserve high scores for artifacts that real cameras don't produce.`;
+
+// System prompt variants that ensemble members can use
+export const PROMPT_VARIANTS = {
+  standard: DETECTION_PROMPT,
+  neutral: DETECTION_PROMPT.replace(SUSPICION_FRAMING, NEUTRAL_FRAMING).replace(AGGRESSIVE_GUIDANCE, NEUTRAL_GUIDANCE)
+};
+
+// Used for `ensemble: true` when DETECTOR_ENSEMBLE isn't set: the standard
+// prompt, the neutral prompt, and a high-temperature sample of the neutral prompt
+const DEFAULT_ENSEMBLE = [
+  { prompt: 'standard' },
+  { prompt: 'neutral' },
+  { prompt: 'neutral', temperature: 1 }
+];
+
+// Appended to the system prompt when per-frame scores are requested
+const PER_FRAME_PROMPT = `
+
+Also include a "frames" array with one entry per frame, in order:
+  "frames": [ { "frame": <frame number>, "score": <0-10 overall manipulation score for that frame> } ]`;
+
+// Appended to the system prompt when region annotations are requested
+const ANNOTATION_PROMPT = `
+
+Also include an "annotations" array marking where you saw artifacts, one entry per suspicious region per frame
+(leave out frames and regions that look natural):
+  "annotations": [ { "frame": <frame number>, "region": "mouth" | "eyes" | "boundary", "box": { "x": <0-1>, "y": <0-1>, "width": <0-1>, "height": <0-1> }, "score": <0-10>, "note": "<short description of the artifact>" } ]
+Boxes are fractions of the full frame, not of the face crops, with x and y at the top-left corner.
+When detailed_analysis describes an annotated artifact, name its frame ("Frame 5").`;
+
+// Appended to the system prompt when more than one person is tracked
+const PER_PERSON_PROMPT = `
+
+Several people appear in this video and any one of them may be manipulated while the others are real.
+Score each person separately using only their face crops, and make the top-level scores and verdict
+reflect the most manipulated person. Also include a "persons" array with one entry per person:
+  "persons": [ { "person": <person number>, "mouth_score": <0-10>, "eyes_score": <0-10>, "boundary_score": <0-10>, "temporal_score": <0-10>, "verdict": "AUTHENTIC" | "SUSPICIOUS" | "MANIPULATED", "key_evidence": "<one sentence>" } ]`;
+
+// Added to the request when frames come with face crops
+const FACE_CROP_NOTE = `Each full frame is followed by full-resolution close-up crops of the faces found in it.
+Use the crops for mouth, eyes and boundary detail, and the full frames for context and motion.
+Frame numbers refer to full frames only; crops belong to the frame before them.`;
+
+// Appended to the system prompt when the video has audio features
+const AUDIO_PROMPT = `
+
+AUDIO (voice cloning and lip-sync):
+Measured audio features are given in the request; you do not hear the audio itself.
+- Does the speech level at each frame match the mouth: open and moving during speech, still during quiet?
+- Synthetic speech often has a hard high-frequency cutoff well below 16000 Hz, unusually low pitch variation,
+  exact digital silence between words, or a noise floor that drops to nothing.
+- Real recordings have room noise, breaths, and a cutoff near the recording's limit.
+Add "audio_score": <0-10> at the top level and in each "segments" entry.`;
+
+const REGION_KEYS = SCORE_REGIONS.map(region => region.key);
+
+// Detector calls per analysis: the first, plus retries while the response fails validation
+export const MAX_RESPONSE_ATTEMPTS = 2;
+
+const cropsOf = frame => (frame.faces || []).filter(face => typeof face.crop === 'string');
+
+/**
+ * Images a single model call sends for these frames: each frame and its face crops
+ */
+export function countModelImages(frames) {
+  return frames.reduce((sum, frame) => sum + 1 + cropsOf(frame).length, 0);
+}
+
+// Regions that can be boxed, with their placement inside a detected face box
+// (fractions of the face box) for annotations that come without a usable box
+const ANNOTATION_REGIONS = {
+  eyes: { x: 0.12, y: 0.22, width: 0.76, height: 0.24 },
+  mouth: { x: 0.25, y: 0.6, width: 0.5, height: 0.25 },
+  boundary: { x: -0.08, y: -0.08, width: 1.16, height: 1.16 }
+};
+
+// Words that tie a detailed_analysis sentence to a region when it names no frame
+const REGION_WORDS = {
+  eyes: /\b(eyes?|blink\w*|pupils?|catchlights?|reflections?|gaze)\b/i,
+  mouth: /\b(mouth|lips?|teeth|tooth|smile)\b/i,
+  boundary: /\b(jaw\w*|boundary|hairline|neck|edges?|blend\w*|chin)\b/i
+};
+
+
+/**
+ * Read `<region>_score` fields from a model response entry, skipping absent ones
+ */
+function regionScoresFrom(entry) {
+  return Object.fromEntries(REGION_KEYS
+    .filter(key => typeof entry[`${key}_score`] === 'number')
+    .map(key => [key, entry[`${key}_score`]]));
+}
+
+/**
+ * Describe the audio features for the request text
+ */
+function describeAudio(audio) {
+  const describe = features => [
+    `level ${features.levelDb} dB`,
+    `noise floor ${features.noiseFloorDb} dB`,
+    `speech in ${Math.round(features.speechRatio * 100)}% of windows`,
+    `digital silence in ${Math.round(features.digitalSilenceRatio * 100)}%`,
+    `high-frequency cutoff ${features.highFrequencyCutoffHz ?? 'n/a'} Hz`,
+    `spectral flatness ${features.spectralFlatness ?? 'n/a'}`,
+    `median pitch ${features.pitchMedianHz ?? 'n/a'} Hz`,
+    `pitch variation ${features.pitchVariation ?? 'n/a'}`
+  ].join(', ');
+
+  return [
+    `Overall (sampled stretches, ${audio.sampleRate} Hz analysis): ${describe(audio.overall)}`,
+    ...audio.segments.map(segment => `Segment ${segment.segment}: ${describe(segment)}`)
+  ].join('\n');
+}
+
+/**
+ * Combine the model's per-segment scores with each segment's time range
+ */
+function buildSegmentScores(segmentSummary, modelSegments, policy) {
+  if (!Array.isArray(modelSegments)) return null;
+
+  return modelSegments
+    .filter(entry => segmentSummary[entry.segment])
+    .map((entry) => {
+      const scores = regionScoresFrom(entry);
+      return {
+        segment: entry.segment,
+        start: segmentSummary[entry.segment].start,
+        end: segmentSummary[entry.segment].end,
+        ...scores,
+        average: weightedAverage(scores, policy)
+      };
+    })
+    .filter(entry => entry.average !== null)
+    .sort((a, b) => a.segment - b.segment);
+}
+
+/**
+ * Attach timestamps to the model's per-frame scores
+ */
+function buildFrameScores(frames, modelFrames) {
+  if (!Array.isArray(modelFrames)) return null;
+
+  return modelFrames
+    .filter(entry => frames[entry.frame - 1] && typeof entry.score === 'number')
+    .map(entry => ({
+      frame: entry.frame,
+      timestamp: frames[entry.frame - 1].timestamp,
+      segment: frames[entry.frame - 1].segment ?? null,
+      score: entry.score
+    }));
+}
+
+/**
+ * Combine the model's per-person scores with the frames each person appears in
+ */
+function buildPersonScores(persons, modelPersons, policy) {
+  if (!Array.isArray(modelPersons)) return null;
+
+  return persons
+    .map((person) => {
+      const entry = modelPersons.find(p => p.person === person.person);
+      if (!entry) return null;
+      const scores = regionScoresFrom(entry);
+      return {
+        ...person,
+        ...scores,
+        average: weightedAverage(scores, policy),
+        verdict: entry.verdict || null,
+        keyEvidence: entry.key_evidence || null
+      };
+    })
+    .filter(entry => entry && entry.average !== null);
+}
+
+/**
+ * Frame numbers a sentence refers to, from "Frame 5", "frames 3, 4 and 7" or "frames 2-6"
+ */
+function framesMentioned(sentence) {
+  const numbers = new Set();
+  for (const [, list] of sentence.matchAll(/\bframes?\s+(\d+(?:\s*(?:,|and|to|-|–)\s*\d+)*)/gi)) {
+    for (const part of list.split(/\s*(?:,|and)\s*/)) {
+      const [from, to] = part.split(/\s*(?:to|-|–)\s*/).map(Number);
+      for (let n = from; n <= (to || from) && n - from < 100; n++) numbers.add(n);
+    }
+  }
+  return numbers;
+}
+
+/**
+ * The detailed_analysis sentence describing an annotation: the first one
+ * naming its frame, preferring one that also names its region, else the
+ * first one about its region; null when none matches
+ */
+function findAnalysisSentence(analysis, frameNumber, region) {
+  if (typeof analysis !== 'string') return null;
+  const sentences = analysis.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
+
+  const aboutFrame = sentences.filter(sentence => framesMentioned(sentence).has(frameNumber));
+  return aboutFrame.find(sentence => REGION_WORDS[region].test(sentence))
+    || aboutFrame[0]
+    || sentences.find(sentence => REGION_WORDS[region].test(sentence))
+    || null;
+}
+
+function isValidBox(box) {
+  return box && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(box[key]))
+    && box.width > 0 && box.height > 0;
+}
+
+/**
+ * Clamp a 0-1 box to the frame
+ */
+function clampBox(box) {
+  const x = Math.min(Math.max(box.x, 0), 1);
+  const y = Math.min(Math.max(box.y, 0), 1);
+  const round = value => Math.round(value * 1000) / 1000;
+  return {
+    x: round(x),
+    y: round(y),
+    width: round(Math.min(box.x + box.width, 1) - x),
+    height: round(Math.min(box.y + box.height, 1) - y)
+  };
+}
+
+/**
+ * Normalize the model's region annotations: valid frames and regions only,
+ * boxes clamped to the frame (or placed on the largest detected face when the
+ * model gave none), and the matching detailed_analysis sentence attached
+ */
+function buildAnnotations(frames, modelAnnotations, analysis) {
+  if (!Array.isArray(modelAnnotations)) return null;
+
+  return modelAnnotations
+    .filter(entry => frames[entry.frame - 1] && ANNOTATION_REGIONS[entry.region])
+    .map((entry) => {
+      const frame = frames[entry.frame - 1];
+      let box = isValidBox(entry.box) ? entry.box : null;
+
+      if (!box && frame.faces?.length > 0) {
+        const face = frame.faces[0].box;
+        const placement = ANNOTATION_REGIONS[entry.region];
+        box = {
+          x: face.x + placement.x * face.width,
+          y: face.y + placement.y * face.height,
+          width: placement.width * face.width,
+          height: placement.height * face.height
+        };
+      }
+      if (!box) return null;
+
+      return {
+        frame: entry.frame,
+        timestamp: frame.timestamp,
+        region: entry.region,
+        box: clampBox(box),
+        score: typeof entry.score === 'number' ? entry.score : null,
+        note: typeof entry.note === 'string' ? entry.note : null,
+        excerpt: findAnalysisSentence(analysis, entry.frame, entry.region)
+      };
+    })
+    .filter(entry => entry && entry.box.width > 0 && entry.box.height > 0);
+}
+
+/**
+ * Describe how the frames were sampled so the model knows what spacing to expect
+ */
+function describeSampling(sampling) {
+  if (sampling.framesPerSegment === 1) {
+    return `Each segment is a single frame from a different part of the video.
+Compare frames against each other for inconsistencies in the same face.`;
+  }
+  return `These frames are from consecutive sequences (~${getFrameInterval(sampling).toFixed(2)} seconds apart within each segment).
+Focus on frame-to-frame changes for temporal artifacts.`;
+}
+
+/**
+ * Run detection on a set of frames
+ * Returns the same payload shape that /api/analyze responds with
+ * sampling describes how the frames were captured and audio is the summary from
+ * buildAudioSummary (null when unknown); set perFrame to also get an overall
+ * score for every frame, and annotate to get boxes around suspicious regions
+ * model, prompt (a PROMPT_VARIANTS key) and temperature override the
+ * provider's defaults, e.g. for ensemble members
+ * onProgress receives { key, label, status } as each model call and the
+ * aggregation start ('running') and end ('done' or 'failed'); aborting
+ * `signal` cancels the pending model call
+ */
+export async function analyzeFrames(frames, {
+  detector: requestedDetector,
+  sampling = DEFAULT_SAMPLING,
+  audio = null,
+  perFrame = false,
+  annotate = false,
+  model = null,
+  prompt = 'standard',
+  temperature = null,
+  onProgress = () => {},
+  signal = null
+} = {}) {
+  const providerName = resolveProviderName(requestedDetector);
+  const detector = createDetector(providerName, { model });
+  const policy = loadRiskPolicy();
+  const calibration = loadCalibration();
+
+  // The browser tracks faces across passes; track here for callers that didn't
+  if (frames.some(frame => frame.faces?.some(face => !face.person))) {
+    frames = trackFaces(frames).frames;
+  }
+  const persons = summarizePersons(frames);
+  const perPerson = persons.length > 1;
+  const hasAudio = Boolean(audio?.hasAudio && audio.overall);
+
+  // Face crops carry the fine detail, so whole frames drop to low detail
+  // and act as context when any crops are present
+  const hasFaceCrops = frames.some(frame => cropsOf(frame).length > 0);
+
+  // Build the content array: each frame followed by its face crops
+  const imageContent = frames.flatMap((frame) => [
+    {
+      type: 'image_url',
+      image_url: {
+        url: frame.data,
+        detail: hasFaceCrops ? 'low' : 'high'
+      }
+    },
+    ...cropsOf(frame).map(face => ({
+      type: 'image_url',
+      image_url: {
+        url: face.crop,
+        detail: 'high'
+      }
+    }))
+  ]);
+
+  // Add frame context with segment and face info
+  const frameContext = frames.map((frame, index) => {
+    const segmentInfo = frame.segment ? `Segment ${frame.segment}, ` : '';
+    const crops = cropsOf(frame).length;
+    const faceInfo = !Array.isArray(frame.faces) ? ''
+      : crops === 0 ? ', no face detected'
+        : `, followed by ${crops} face crop${crops > 1 ? 's' : ''}${perPerson
+          ? ` (${cropsOf(frame).map(face => `Person ${face.person}`).join(', ')})`
+          : ''}`;
+    const level = hasAudio ? audio.frames?.[index] : null;
+    const audioInfo = level && level.levelDb !== null
+      ? `, audio ${level.levelDb} dB (${level.speech ? 'speech' : 'quiet'})`
+      : '';
+    return `Frame ${index + 1}: ${segmentInfo}timestamp ${frame.timestamp.toFixed(2)}s${faceInfo}${audioInfo}`;
+  }).join('\n');
+
+  // Group frames by segment for context
+  const segmentSummary = frames.reduce((acc, frame) => {
+    if (frame.segment) {
+      if (!acc[frame.segment]) acc[frame.segment] = { start: frame.timestamp, end: frame.timestamp, count: 0 };
+      acc[frame.segment].end = frame.timestamp;
+      acc[frame.segment].count++;
+    }
+    return acc;
+  }, {});
+
+  const segmentInfo = Object.entries(segmentSummary)
+    .map(([seg, data]) => `Segment ${seg}: ${data.count} frames from ${data.start.toFixed(2)}s to ${data.end.toFixed(2)}s`)
+    .join('\n');
+
+  const personInfo = persons
+    .map(person => `Person ${person.person}: ${person.frames.length} frames (${person.frames.join(', ')})`)
+    .join('\n');
+
+  const request = {
+    system: PROMPT_VARIANTS[prompt]
+      + (hasAudio ? AUDIO_PROMPT : '')
+      + (perFrame ? PER_FRAME_PROMPT : '')
+      + (annotate ? ANNOTATION_PROMPT : '')
+      + (perPerson ? PER_PERSON_PROMPT : ''),
+    maxTokens: 1000 + (perFrame ? 1000 : 0) + (annotate ? 2000 : 0) + (perPerson ? 500 : 0),
+    temperature,
+    expected: {
+      variant: prompt !== 'standard' || temperature !== null ? `${prompt}@${temperature}` : null,
+      segments: Object.keys(segmentSummary).map(Number),
+      frames: perFrame ? frames.length : 0,
+      annotations: annotate ? frames.length : 0,
+      audio: hasAudio,
+      persons: perPerson ? persons.map(person => person.person) : []
+    },
+    content: [
+      {
+        type: 'text',
+        text: `Analyze these ${frames.length} video frames for deepfake/manipulation detection.
+
+VIDEO SEGMENTS ANALYZED:
+${segmentInfo || 'Single segment'}
+
+FRAME TIMESTAMPS:
+${frameContext}
+${perPerson ? `\nPEOPLE TRACKED ACROSS FRAMES:\n${personInfo}\n` : ''}${hasAudio ? `\nAUDIO FEATURES:\n${describeAudio(audio)}\n` : ''}${audio?.hasAudio === false ? '\nThe video has no audio track.\n' : ''}
+${describeSampling(sampling)}
+${hasFaceCrops ? `${FACE_CROP_NOTE}\n` : ''}Score each region 0-10, overall and per segment, and provide your verdict.`
+      },
+      ...imageContent
+    ]
+  };
+
+  const detectorInfo = { provider: providerName, model: detector.model };
+  const requiredRegions = REGION_KEYS.filter(key => key !== 'audio' || hasAudio);
+
+  // Retry invalid responses with the errors spelled out, keeping the attempt
+  // with the fewest missing fields; a failed retry falls back to the earlier one
+  let best = null;
+  let attempts = 0;
+  while (attempts < MAX_RESPONSE_ATTEMPTS && (!best || best.validation.errors.length > 0)) {
+    signal?.throwIfAborted();
+    const content = best
+      ? [{ type: 'text', text: `Your previous response was invalid: ${best.validation.errors.join('; ')}. Respond again with ONLY the JSON object described in the instructions, with integer 0-10 scores.` }, ...request.content]
+      : request.content;
+    const stage = {
+      key: `model:${attempts + 1}`,
+      label: best ? `Model call retry after an invalid response (${detectorInfo.model})` : `Model call (${providerName} ${detectorInfo.model})`
+    };
+    onProgress({ ...stage, status: 'running' });
+    let text;
+    try {
+      text = await detector.complete({ ...request, content, signal });
+    } catch (error) {
+      onProgress({ ...stage, status: 'failed' });
+      if (!best || signal?.aborted) throw error;
+      console.warn(`Retrying an invalid ${providerName} response failed: ${error.message}`);
+      break;
+    }
+    onProgress({ ...stage, status: 'done' });
+    attempts++;
+    const validation = validateResponse(text, { regions: requiredRegions });
+    if (!best || validation.missing.length < best.validation.missing.length
+      || (validation.missing.length === best.validation.missing.length && validation.errors.length <= best.validation.errors.length)) {
+      best = { text, validation };
+    }
+  }
+
+  const analysisText = best.text;
+  const { data: analysisData, repairs, errors, missing } = best.validation;
+  const validation = { attempts, repairs, errors, missing };
+
+  const aggregateStage = { key: 'aggregate', label: 'Aggregating region, segment and person scores' };
+  onProgress({ ...aggregateStage, status: 'running' });
+
+  // Audio only counts when features were sent; ignore a stray audio_score otherwise
+  const regionScores = analysisData ? regionScoresFrom(analysisData) : {};
+  if (!hasAudio) delete regionScores.audio;
+  const average = weightedAverage(regionScores, policy);
+
+  // Without a valid score for any weighted region, fall back to reading the raw text
+  if (average === null) {
+    onProgress({ ...aggregateStage, status: 'done' });
+    return {
+      success: true,
+      analysis: analysisText,
+      rawOutput: analysisText,
+      structured: false,
+      incomplete: true,
+      validation,
+      framesAnalyzed: frames.length,
+      detector: detectorInfo,
+      policy,
+      ...(calibration && { calibration })
+    };
+  }
+
+  const segmentScores = buildSegmentScores(segmentSummary, analysisData.segments, policy);
+  const frameScores = perFrame ? buildFrameScores(frames, analysisData.frames) : null;
+  const personScores = perPerson ? buildPersonScores(persons, analysisData.persons, policy) : null;
+  const annotations = annotate
+    ? buildAnnotations(frames, analysisData.annotations, analysisData.detailed_analysis)
+    : null;
+  onProgress({ ...aggregateStage, status: 'done' });
+
+  return {
+    success: true,
+    structured: true,
+    scores: {
+      ...regionScores,
+      // Weighted per the risk policy, over the regions the model scored
+      average
+    },
+    // Missing regions are left out of the average, not scored as authentic
+    incomplete: missing.length > 0,
+    validation,
+    ...(segmentScores && { segmentScores }),
+    ...(frameScores && { frameScores }),
+    ...(personScores && { personScores }),
+    ...(annotations && { annotations }),
+    ...(audio && { audio }),
+    verdict: analysisData.verdict ?? null,
+    keyEvidence: analysisData.key_evidence,
+    analysis: analysisData.detailed_analysis,
+    rawOutput: analysisText,
+    framesAnalyzed: frames.length,
+    detector: detectorInfo,
+    policy,
+    ...(calibration && { calibration })
+  };
+}
+
+/**
+ * Limits on ensembles that requests spell out themselves: at most
+ * ENSEMBLE_MAX_MEMBERS members (2-MAX_ENSEMBLE_MEMBERS, default
+ * MAX_ENSEMBLE_MEMBERS), and only the models listed in ENSEMBLE_MODELS
+ * (comma-separated); without it, members use their provider's configured model
+ */
+function getRequestEnsembleLimits() {
+  const maxMembers = parseInt(process.env.ENSEMBLE_MAX_MEMBERS || '', 10);
+  return {
+    maxMembers: maxMembers >= 2 ? Math.min(maxMembers, MAX_ENSEMBLE_MEMBERS) : MAX_ENSEMBLE_MEMBERS,
+    models: (process.env.ENSEMBLE_MODELS || '').split(',').map(model => model.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Check ensemble members and fill in their defaults; `limits` are applied
+ * to members a request spelled out
+ */
+function checkEnsembleMembers(members, defaultProvider, limits) {
+  const maxMembers = limits ? limits.maxMembers : MAX_ENSEMBLE_MEMBERS;
+  if (!Array.isArray(members) || members.length < 2 || members.length > maxMembers) {
+    throw new Error(`An ensemble needs 2-${maxMembers} members`);
+  }
+
+  return members.map((member, index) => {
+    if (typeof member !== 'object' || member === null) {
+      throw new Error('Ensemble members must be objects');
+    }
+    if (limits && member.provider && !REQUEST_PROVIDERS.includes(member.provider)) {
+      throw new Error(`Unknown detector provider: ${member.provider}`);
+    }
+    if (limits && member.model && !limits.models.includes(member.model)) {
+      throw new Error(limits.models.length > 0
+        ? `Model ${member.model} is not allowed (use ${limits.models.join(', ')})`
+        : 'This server does not allow choosing ensemble models');
+    }
+
+    const provider = resolveProviderName(member.provider || defaultProvider);
+    const prompt = member.prompt || 'standard';
+    const temperature = member.temperature ?? null;
+
+    if (!(typeof prompt === 'string' && Object.hasOwn(PROMPT_VARIANTS, prompt))) {
+      throw new Error(`Unknown prompt variant: ${prompt} (use ${Object.keys(PROMPT_VARIANTS).join(' or ')})`);
+    }
+    if (temperature !== null && !(Number.isFinite(temperature) && temperature >= 0 && temperature <= 2)) {
+      throw new Error('Ensemble temperature must be between 0 and 2');
+    }
+    if (member.model !== undefined && member.model !== null && typeof member.model !== 'string') {
+      throw new Error('Ensemble model must be a string');
+    }
+
+    return { id: index + 1, provider, model: member.model || null, prompt, temperature };
+  });
+}
+
+/**
+ * Resolve ensemble members from the `ensemble` request field: true for the
+ * members configured in DETECTOR_ENSEMBLE (a JSON array) or DEFAULT_ENSEMBLE,
+ * or an explicit array of { provider, model, prompt, temperature }
+ * `fromRequest` applies getRequestEnsembleLimits to an explicit array and
+ * keeps it to REQUEST_PROVIDERS; server-configured members are trusted
+ * Throws with a message suitable for a 400 response on invalid members, or
+ * with status 500 when the server's own ensemble is misconfigured
+ */
+export function resolveEnsembleMembers(spec, defaultProvider, { fromRequest = false } = {}) {
+  if (spec !== true) {
+    return checkEnsembleMembers(spec, defaultProvider, fromRequest ? getRequestEnsembleLimits() : null);
+  }
+
+  try {
+    const members = process.env.DETECTOR_ENSEMBLE ? JSON.parse(process.env.DETECTOR_ENSEMBLE) : DEFAULT_ENSEMBLE;
+    return checkEnsembleMembers(members, defaultProvider, null);
+  } catch (error) {
+    const configError = new Error(`The server's ensemble (DETECTOR_ENSEMBLE) is misconfigured: ${error.message}`);
+    configError.status = 500;
+    throw configError;
+  }
+}
+
+/**
+ * Run every ensemble member on the same frames and aggregate their scores
+ * Members run concurrently; a failed member is reported in `ensemble.members`
+ * and left out of the aggregate. Progress stages are prefixed with the member
+ */
+export async function analyzeFramesWithEnsemble(frames, members, options = {}) {
+  const { onProgress = () => {}, signal = null } = options;
+  const runs = await Promise.all(members.map(member =>
+    analyzeFrames(frames, {
+      ...options,
+      detector: member.provider,
+      model: member.model,
+      prompt: member.prompt,
+      temperature: member.temperature,
+      onProgress: stage => onProgress({
+        ...stage,
+        key: `member${member.id}:${stage.key}`,
+        label: `${describeMember(member)}: ${stage.label}`
+      })
+    })
+      .then(result => ({ member, result }))
+      .catch((error) => {
+        if (!signal?.aborted) console.error(`Ensemble member ${member.id} failed:`, error);
+        return { member, error };
+      })
+  ));
+
+  // A cancelled ensemble is cancelled, not a set of failed members
+  signal?.throwIfAborted();
+
+  const stage = { key: 'aggregate', label: `Aggregating ${members.length} detectors` };
+  onProgress({ ...stage, status: 'running' });
+  const result = aggregateEnsemble(runs);
+  onProgress({ ...stage, status: 'done' });
+  return result;
+}
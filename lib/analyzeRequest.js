@@ -0,0 +1,113 @@
+/**
+ * Analysis request validation
+ * Shared by /api/analyze and /api/jobs, which take the same body
+ */
+
+import { resolveEnsembleMembers } from './analyzeFrames.js';
+import { REQUEST_PROVIDERS } from './detectors.js';
+import { MAX_FACES_PER_FRAME } from './faceDetection.js';
+import { checkCallbackUrl } from './webhooks.js';
+
+// Thorough sampling of the most segments /api/extract takes: 12 segments of 8 frames
+export const MAX_REQUEST_FRAMES = 96;
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Check that client-supplied sampling parameters are usable in the prompt
+ */
+function isValidSampling(sampling) {
+  return ['segments', 'framesPerSegment', 'segmentDuration']
+    .every(key => Number.isFinite(sampling[key]) && sampling[key] > 0);
+}
+
+/**
+ * Check a client-supplied face: a box of finite numbers, and optionally a
+ * tracked person number and a crop data URL
+ */
+function isValidFace(face) {
+  return isObject(face)
+    && isObject(face.box)
+    && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(face.box[key]))
+    && (face.person === undefined || (Number.isInteger(face.person) && face.person > 0))
+    && (face.crop === undefined || typeof face.crop === 'string');
+}
+
+function isValidFrame(frame) {
+  return isObject(frame)
+    && typeof frame.data === 'string'
+    && Number.isFinite(frame.timestamp)
+    && (frame.faces === undefined || frame.faces === null || (Array.isArray(frame.faces)
+      && frame.faces.length <= MAX_FACES_PER_FRAME
+      && frame.faces.every(isValidFace)));
+}
+
+/**
+ * Validate an analysis request body
+ * Returns { frames, members, options, callbackUrl } for analyzeFrames (or
+ * analyzeFramesWithEnsemble when members is set), or { error, message }
+ * for a 400 response. callbackUrl is null unless a webhook was requested.
+ * Throws with status 500 when the server's ensemble is misconfigured
+ */
+export function parseAnalyzeRequest(body) {
+  const { frames, detector, sampling, audio, perFrame, annotate, ensemble, callbackUrl = null } = body || {};
+
+  if (!frames || !Array.isArray(frames) || frames.length === 0) {
+    return { error: 'No frames provided' };
+  }
+
+  if (frames.length > MAX_REQUEST_FRAMES) {
+    return { error: 'Too many frames', message: `At most ${MAX_REQUEST_FRAMES} frames per request` };
+  }
+
+  const invalid = frames.findIndex(frame => !isValidFrame(frame));
+  if (invalid !== -1) {
+    return {
+      error: 'Invalid frame',
+      message: `Frame ${invalid + 1} needs a data URL, a timestamp, and at most ${MAX_FACES_PER_FRAME} faces each with a box of x, y, width and height`
+    };
+  }
+
+  if (detector && !(typeof detector === 'string' && REQUEST_PROVIDERS.includes(detector))) {
+    return { error: `Unknown detector: ${detector}` };
+  }
+
+  if (sampling !== undefined && (typeof sampling !== 'object' || sampling === null || !isValidSampling(sampling))) {
+    return { error: 'Invalid sampling parameters' };
+  }
+
+  if (audio !== undefined && audio !== null && (typeof audio !== 'object' || typeof audio.hasAudio !== 'boolean')) {
+    return { error: 'Invalid audio summary' };
+  }
+
+  if (callbackUrl !== null) {
+    const problem = typeof callbackUrl === 'string' ? checkCallbackUrl(callbackUrl) : 'callbackUrl must be a string';
+    if (problem) {
+      return { error: 'Invalid callbackUrl', message: problem };
+    }
+  }
+
+  let members = null;
+  if (ensemble) {
+    try {
+      members = resolveEnsembleMembers(ensemble, detector, { fromRequest: true });
+    } catch (error) {
+      // A misconfigured server ensemble isn't the client's fault
+      if (error.status) throw error;
+      return { error: 'Invalid ensemble', message: error.message };
+    }
+  }
+
+  return {
+    frames,
+    members,
+    options: {
+      detector,
+      sampling,
+      audio,
+      perFrame: Boolean(perFrame),
+      annotate: Boolean(annotate)
+    },
+    callbackUrl
+  };
+}
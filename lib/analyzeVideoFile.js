@@ -0,0 +1,129 @@
+/**
+ * Local-file analysis pipeline
+ * Extracts frames and audio with ffmpeg, runs the detector (with an adaptive
+ * follow-up pass for ambiguous results), then forensics and container
+ * metadata. Shared by the CLI and the evaluation harness; Node only.
+ */
+
+import fs from 'fs';
+import { probeVideo, extractPlannedFrames, extractAudio, detectSceneChanges, decodeFramePixels } from './ffmpeg.js';
+import { buildAudioSummary } from './audioFeatures.js';
+import { analyzeFrames, analyzeFramesWithEnsemble } from './analyzeFrames.js';
+import { DEFAULT_SAMPLING, getSamplingPlan, getSegmentStartTimes, getPlanForSegments } from './sampling.js';
+import { needsFollowUp, getFollowUpStartTimes, mergePasses } from './adaptiveSampling.js';
+import { inspectContainer } from './containerMetadata.js';
+import { analyzeFrameForensics, summarizeForensics } from './imageForensics.js';
+
+export const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.webm', '.mkv', '.avi'];
+
+// Most explicit segment start times an extraction request may ask for
+export const MAX_SEGMENTS = 12;
+
+/**
+ * Read container metadata straight from the file; unreadable containers give null
+ */
+export async function readContainerMetadata(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    return await inspectContainer({
+      size,
+      read: async (offset, length) => {
+        const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - offset)));
+        await handle.read(buffer, 0, buffer.length, offset);
+        return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+      }
+    });
+  } catch {
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Sample frames and summarize audio from a file for the browser's analysis
+ * flow (/api/extract and /api/extract-url); `starts` replaces the profile's
+ * segment plan with explicit start times (an adaptive follow-up pass)
+ */
+export async function extractVideoFile(filePath, sampling = DEFAULT_SAMPLING, { starts = null, firstSegment = 1 } = {}) {
+  const video = await probeVideo(filePath);
+  const plan = starts
+    ? getPlanForSegments(starts.map(t => Math.min(t, video.duration)), sampling, firstSegment)
+    : getSamplingPlan(video.duration, sampling);
+  const frames = await extractPlannedFrames(filePath, video, plan, sampling);
+  const audio = buildAudioSummary(await extractAudio(filePath, video, frames), frames);
+  return { video, frames, audio };
+}
+
+/**
+ * Analyze one video file into a stored-result object
+ * `ensemble` is a list of resolved members (see resolveEnsembleMembers) or
+ * null; `forensics: false` skips the per-frame forensic decode
+ */
+export async function analyzeVideoFile(filePath, {
+  detector,
+  sampling = DEFAULT_SAMPLING,
+  perFrame = false,
+  annotate = false,
+  prompt,
+  ensemble = null,
+  adaptive = true,
+  forensics = true
+} = {}) {
+  const analyze = (frames, options) => (ensemble
+    ? analyzeFramesWithEnsemble(frames, ensemble, options)
+    : analyzeFrames(frames, options));
+
+  const video = await probeVideo(filePath);
+  let frames = await extractPlannedFrames(filePath, video, getSamplingPlan(video.duration, sampling), sampling);
+  const summarizeAudio = async batchFrames => buildAudioSummary(await extractAudio(filePath, video, batchFrames), batchFrames);
+  const passes = [await analyze(frames, {
+    detector,
+    sampling,
+    audio: await summarizeAudio(frames),
+    perFrame,
+    annotate,
+    prompt
+  })];
+
+  if (adaptive && needsFollowUp(passes[0])) {
+    // Scene detection is a best-effort hint; fall back to unsampled stretches
+    const sceneChanges = await detectSceneChanges(filePath).catch(() => []);
+    const starts = getFollowUpStartTimes(video.duration, getSegmentStartTimes(video.duration, sampling), {
+      sceneChanges,
+      sampling
+    });
+
+    if (starts.length > 0) {
+      const plan = getPlanForSegments(starts, sampling, sampling.segments + 1);
+      const extraFrames = await extractPlannedFrames(filePath, video, plan, sampling);
+      passes.push(await analyze(extraFrames, {
+        detector,
+        sampling,
+        audio: await summarizeAudio(extraFrames),
+        perFrame,
+        annotate,
+        prompt
+      }));
+      frames = [...frames, ...extraFrames];
+    }
+  }
+
+  const analysis = mergePasses(passes);
+  if (forensics) {
+    frames = await analyzeFrameForensics(frames, decodeFramePixels);
+  }
+
+  return {
+    ...analysis,
+    fileName: filePath,
+    fileSize: (await fs.promises.stat(filePath)).size,
+    video,
+    metadata: await readContainerMetadata(filePath),
+    forensics: forensics ? summarizeForensics(frames) : null,
+    sampling,
+    frames,
+    analyzedAt: new Date().toISOString()
+  };
+}
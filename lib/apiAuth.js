@@ -0,0 +1,146 @@
+/**
+ * Authentication and rate limiting for API routes
+ * /api/v1 needs an API key. The routes behind the upload page take requests
+ * from the site's own pages, which carry a session cookie (lib/siteSession),
+ * rate limited per client, or with an API key
+ */
+
+import { loadApiKeys, readApiKey, findApiKey } from './apiKeys.js';
+import { isApiResultStoreConfigured } from './apiResults.js';
+import { checkRateLimit } from './rateLimit.js';
+import { hasSiteSession } from './siteSession.js';
+import { isUsageStoreConfigured } from './usageStore.js';
+
+export const SITE_ACCESS_MODES = ['site', 'open', 'keys'];
+
+// Default for SITE_RATE_LIMIT: requests per client to the routes that run
+// detectors or ffmpeg, enough for a few analyses with follow-up passes
+const DEFAULT_SITE_RATE_LIMIT = { requests: 30, windowSeconds: 600 };
+
+/**
+ * Send a 429 for a rate limit check that failed
+ */
+function rejectRateLimited(res, limit, windowSeconds) {
+  res.setHeader('Retry-After', Math.max(1, Math.ceil((limit.resetAt - Date.now()) / 1000)));
+  return res.status(429).json({
+    error: 'Rate limit exceeded',
+    message: `${limit.limit} requests per ${windowSeconds} seconds`
+  });
+}
+
+/**
+ * Check the request's API key and the key's rate limit, answering the
+ * request when either fails; resolves with the key, or null once answered
+ * Authenticated responses carry X-RateLimit-Limit, -Remaining and -Reset (Unix seconds)
+ */
+function authenticate(req, res) {
+  let keys;
+  try {
+    keys = loadApiKeys();
+  } catch (error) {
+    console.error('API key configuration error:', error);
+    res.status(500).json({ error: 'API keys are misconfigured' });
+    return null;
+  }
+  if (keys.length === 0) {
+    res.status(503).json({ error: 'The public API is not configured', message: 'Set API_KEYS_FILE' });
+    return null;
+  }
+  // Quotas and results must outlive restarts, so they need durable storage
+  if (!isUsageStoreConfigured() || !isApiResultStoreConfigured()) {
+    res.status(503).json({ error: 'The public API is not configured', message: 'Set API_USAGE_DIR and API_RESULT_STORE_DIR' });
+    return null;
+  }
+
+  const secret = readApiKey(req);
+  const key = findApiKey(secret);
+  if (!key) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ error: secret ? 'Invalid API key' : 'Missing API key' });
+    return null;
+  }
+
+  const limit = checkRateLimit(key.id, key.rateLimit);
+  res.setHeader('X-RateLimit-Limit', limit.limit);
+  res.setHeader('X-RateLimit-Remaining', limit.remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(limit.resetAt / 1000));
+  if (!limit.allowed) {
+    rejectRateLimited(res, limit, key.rateLimit.windowSeconds);
+    return null;
+  }
+
+  return key;
+}
+
+/**
+ * Wrap an API route so it only runs for a valid key within its rate limit
+ * The key is passed to the handler as `req.apiKey`
+ */
+export function withApiKey(handler) {
+  return async function authenticatedHandler(req, res) {
+    const key = authenticate(req, res);
+    if (!key) return undefined;
+
+    req.apiKey = key;
+    return handler(req, res);
+  };
+}
+
+/**
+ * The client's address; X-Forwarded-For is only trusted behind a proxy that
+ * sets it (TRUST_PROXY=true, or on Vercel)
+ */
+function clientAddress(req) {
+  const trustProxy = process.env.TRUST_PROXY === 'true' || Boolean(process.env.VERCEL);
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  return forwarded ? String(forwarded).split(',')[0].trim() : req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * SITE_RATE_LIMIT as "<requests>/<seconds>", e.g. "30/600"
+ */
+function siteRateLimit() {
+  const match = /^(\d+)\/(\d+)$/.exec(process.env.SITE_RATE_LIMIT || '');
+  return match && Number(match[1]) > 0 && Number(match[2]) > 0
+    ? { requests: Number(match[1]), windowSeconds: Number(match[2]) }
+    : DEFAULT_SITE_RATE_LIMIT;
+}
+
+/**
+ * Wrap a route the upload page calls. SITE_API_ACCESS decides who may call it:
+ * - `site` (default): the site's own pages, by their session cookie, and API keys
+ * - `keys`: API keys only, for servers that only serve the API
+ * - `open`: anyone, for deployments behind their own access control
+ * A request with an API key is checked like /api/v1 and gets `req.apiKey`,
+ * so analyses can be charged to its quota. With `rateLimited`, page requests
+ * other than GETs are limited per client address by SITE_RATE_LIMIT
+ */
+export function withSiteAccess(handler, { rateLimited = false } = {}) {
+  return async function siteHandler(req, res) {
+    const mode = SITE_ACCESS_MODES.includes(process.env.SITE_API_ACCESS) ? process.env.SITE_API_ACCESS : 'site';
+    if (mode === 'open') return handler(req, res);
+
+    if (readApiKey(req) || mode === 'keys') {
+      const key = authenticate(req, res);
+      if (!key) return undefined;
+
+      req.apiKey = key;
+      return handler(req, res);
+    }
+
+    if (!hasSiteSession(req)) {
+      return res.status(403).json({
+        error: 'Missing or expired site session',
+        message: 'Reload the page, or send an API key (see /api/v1)'
+      });
+    }
+
+    if (rateLimited && req.method !== 'GET') {
+      const rateLimit = siteRateLimit();
+      const limit = checkRateLimit(`site:${clientAddress(req)}`, rateLimit);
+      if (!limit.allowed) return rejectRateLimited(res, limit, rateLimit.windowSeconds);
+    }
+
+    return handler(req, res);
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * API keys for the public REST API (/api/v1)
+ * API_KEYS_FILE names a JSON file of { keys: [...] }; each key has an `id`,
+ * an optional `name`, the SHA-256 `hash` of the secret (never the secret
+ * itself), and optional `rateLimit` and `monthlyFrames` limits. Node only.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+const KEY_PREFIX = 'vv_';
+const KEY_ID_PATTERN = /^[a-zA-Z0-9_-]{1,48}$/;
+const HASH_PATTERN = /^sha256:[0-9a-f]{64}$/;
+
+export const DEFAULT_RATE_LIMIT = { requests: 30, windowSeconds: 60 };
+export const DEFAULT_MONTHLY_FRAMES = 10000;
+
+let cached;
+
+/**
+ * Generate a new secret key; store only hashApiKey(key)
+ */
+export function generateApiKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+export function hashApiKey(key) {
+  return `sha256:${crypto.createHash('sha256').update(key).digest('hex')}`;
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Fill in a key entry's defaults; throws on invalid entries
+ */
+function normalizeKey(entry, index) {
+  const label = `API key ${entry?.id ?? index + 1}`;
+  if (!entry || typeof entry !== 'object' || !KEY_ID_PATTERN.test(entry.id ?? '')) {
+    throw new Error(`${label}: id must be 1-48 letters, digits, '-' or '_'`);
+  }
+  if (!HASH_PATTERN.test(entry.hash ?? '')) {
+    throw new Error(`${label}: hash must be "sha256:" and 64 hex digits`);
+  }
+
+  const rateLimit = { ...DEFAULT_RATE_LIMIT, ...entry.rateLimit };
+  if (!isPositiveInteger(rateLimit.requests) || !isPositiveInteger(rateLimit.windowSeconds)) {
+    throw new Error(`${label}: rateLimit needs positive integer requests and windowSeconds`);
+  }
+
+  // null means no quota
+  const monthlyFrames = entry.monthlyFrames === undefined ? DEFAULT_MONTHLY_FRAMES : entry.monthlyFrames;
+  if (monthlyFrames !== null && !isPositiveInteger(monthlyFrames)) {
+    throw new Error(`${label}: monthlyFrames must be a positive integer or null`);
+  }
+
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    hash: entry.hash,
+    rateLimit,
+    monthlyFrames
+  };
+}
+
+/**
+ * The configured keys, read once per process; empty when API_KEYS_FILE is
+ * unset. Throws when the file is unreadable or invalid
+ */
+export function loadApiKeys() {
+  if (cached !== undefined) return cached;
+
+  if (!process.env.API_KEYS_FILE) {
+    cached = [];
+    return cached;
+  }
+
+  const config = JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8'));
+  if (!Array.isArray(config?.keys)) {
+    throw new Error('API_KEYS_FILE must hold { "keys": [...] }');
+  }
+
+  const keys = config.keys.map(normalizeKey);
+  const ids = new Set(keys.map(key => key.id));
+  if (ids.size !== keys.length) {
+    throw new Error('API key ids must be unique');
+  }
+
+  cached = keys;
+  return cached;
+}
+
+/**
+ * The secret a request presents, from `Authorization: Bearer <key>` or
+ * `X-API-Key`, or null
+ */
+export function readApiKey(req) {
+  const authorization = req.headers.authorization || '';
+  const match = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * The configured key matching a presented secret, or null
+ */
+export function findApiKey(secret) {
+  if (typeof secret !== 'string' || !secret) return null;
+
+  const hash = Buffer.from(hashApiKey(secret));
+  return loadApiKeys().find(key => {
+    const expected = Buffer.from(key.hash);
+    return expected.length === hash.length && crypto.timingSafeEqual(expected, hash);
+  }) || null;
+}
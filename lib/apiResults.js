@@ -0,0 +1,66 @@
+/**
+ * Results of public API analyses
+ * One JSON file per result under API_RESULT_STORE_DIR, which must be set,
+ * readable only with the API key that created it. Node only.
+ */
+
+import crypto from 'crypto';
+import { createFileStore, isValidRecordId } from './fileStore.js';
+import { parseAnalysisResponse } from './riskMapping.js';
+import { predictProbability } from './calibration.js';
+
+const store = createFileStore(() => process.env.API_RESULT_STORE_DIR);
+
+export function isApiResultStoreConfigured() {
+  return Boolean(process.env.API_RESULT_STORE_DIR);
+}
+
+export const isValidApiResultId = isValidRecordId;
+
+/**
+ * Public view of a stored result, as /api/v1 returns it
+ */
+export function describeApiResult(record) {
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    riskLevel: record.riskLevel,
+    probability: record.probability,
+    result: record.result
+  };
+}
+
+/**
+ * The risk level and calibrated probability the results page would show for
+ * a result, for API clients and webhooks, which don't run the browser's risk mapping
+ */
+export function assessResult(result) {
+  const riskData = parseAnalysisResponse(result);
+  return {
+    riskLevel: riskData.riskLevel,
+    probability: predictProbability(result.calibration, riskData.scores)
+  };
+}
+
+/**
+ * Store a result for `keyId` and return its record
+ */
+export async function saveApiResult(keyId, result) {
+  const record = {
+    id: crypto.randomBytes(16).toString('base64url'),
+    key: keyId,
+    createdAt: new Date().toISOString(),
+    ...assessResult(result),
+    result
+  };
+  await store.save(record);
+  return record;
+}
+
+/**
+ * Load a result, or null when it doesn't exist or belongs to another key
+ */
+export async function getApiResult(keyId, id) {
+  const record = await store.get(id);
+  return record && record.key === keyId ? record : null;
+}
@@ -0,0 +1,324 @@
+/**
+ * Audio feature extraction
+ * Measures the audio around each sampled segment so the model can judge
+ * synthetic-voice indicators and lip-sync against the frames. Shared by the
+ * browser (Web Audio decode) and the server/CLI (ffmpeg decode); works on
+ * mono Float32 PCM at AUDIO_SAMPLE_RATE.
+ */
+
+// High enough that band-limited synthetic speech (8-12 kHz cutoff) is visible
+export const AUDIO_SAMPLE_RATE = 32000;
+
+const WINDOW_SIZE = 1024; // 32ms analysis windows
+const HOP_SIZE = 512;
+const SEGMENT_PADDING = 0.5; // Seconds of audio analyzed either side of a segment
+const FRAME_WINDOW = 0.1; // Seconds of audio around each frame for its level
+const SILENCE_DB = -90; // Below this a window is digital silence, not room noise
+const CUTOFF_DB = -60; // Spectrum level, relative to its peak, that counts as "no content"
+const MIN_PITCH_HZ = 70;
+const MAX_PITCH_HZ = 400;
+
+const toDb = value => 20 * Math.log10(value + 1e-10);
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function rms(samples, from, to) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / Math.max(1, to - from));
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * In-place radix-2 FFT; returns the power spectrum of the first half
+ */
+function powerSpectrum(windowed) {
+  const n = windowed.length;
+  const re = Float64Array.from(windowed);
+  const im = new Float64Array(n);
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+
+  const power = new Float64Array(n / 2);
+  for (let i = 0; i < n / 2; i++) power[i] = re[i] * re[i] + im[i] * im[i];
+  return power;
+}
+
+/**
+ * Fundamental frequency of a voiced window by autocorrelation, or null
+ */
+function estimatePitch(samples, from, sampleRate) {
+  const minLag = Math.floor(sampleRate / MAX_PITCH_HZ);
+  const maxLag = Math.floor(sampleRate / MIN_PITCH_HZ);
+  const length = WINDOW_SIZE;
+
+  let energy = 0;
+  for (let i = 0; i < length; i++) energy += samples[from + i] ** 2;
+  if (energy === 0) return null;
+
+  let bestLag = 0;
+  let best = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i < length - lag; i++) sum += samples[from + i] * samples[from + i + lag];
+    const normalized = sum / energy;
+    if (normalized > best) {
+      best = normalized;
+      bestLag = lag;
+    }
+  }
+
+  // Weak periodicity means unvoiced sound or noise
+  return best > 0.5 ? sampleRate / bestLag : null;
+}
+
+/**
+ * Features for one stretch of audio: loudness, noise floor, digital silence,
+ * spectral flatness, high-frequency cutoff and pitch variation
+ */
+function measureRange(samples, sampleRate, start, end) {
+  const from = Math.max(0, Math.floor(start * sampleRate));
+  const to = Math.min(samples.length, Math.floor(end * sampleRate));
+
+  const levels = [];
+  const spectrum = new Float64Array(WINDOW_SIZE / 2);
+  const flatness = [];
+  const pitches = [];
+  let silentWindows = 0;
+  let speechWindows = 0;
+
+  const hann = Float64Array.from({ length: WINDOW_SIZE }, (_, i) =>
+    0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (WINDOW_SIZE - 1))
+  );
+
+  const windows = [];
+  for (let offset = from; offset + WINDOW_SIZE <= to; offset += HOP_SIZE) {
+    const level = toDb(rms(samples, offset, offset + WINDOW_SIZE));
+    levels.push(level);
+    windows.push({ offset, level });
+    if (level < SILENCE_DB) silentWindows++;
+  }
+
+  if (windows.length === 0) return null;
+
+  const noiseFloor = percentile(levels, 0.1);
+  const speechThreshold = Math.max(noiseFloor + 12, -50);
+
+  windows.forEach(({ offset, level }, index) => {
+    if (level < speechThreshold) return;
+    speechWindows++;
+
+    const windowed = new Float64Array(WINDOW_SIZE);
+    for (let i = 0; i < WINDOW_SIZE; i++) windowed[i] = samples[offset + i] * hann[i];
+    const power = powerSpectrum(windowed);
+
+    let logSum = 0;
+    let sum = 0;
+    for (let i = 1; i < power.length; i++) {
+      spectrum[i] += power[i];
+      logSum += Math.log(power[i] + 1e-20);
+      sum += power[i];
+    }
+    flatness.push(Math.exp(logSum / (power.length - 1)) / (sum / (power.length - 1) + 1e-20));
+
+    // Pitch on every other voiced window keeps autocorrelation cost down
+    if (index % 2 === 0) {
+      const pitch = estimatePitch(samples, offset, sampleRate);
+      if (pitch) pitches.push(pitch);
+    }
+  });
+
+  // Highest frequency that still carries content, relative to the spectrum's peak
+  let cutoffHz = null;
+  if (speechWindows > 0) {
+    const peak = Math.max(...spectrum);
+    const floor = peak * 10 ** (CUTOFF_DB / 10);
+    let bin = spectrum.length - 1;
+    while (bin > 0 && spectrum[bin] < floor) bin--;
+    cutoffHz = Math.round((bin * sampleRate) / WINDOW_SIZE);
+  }
+
+  const pitchMedian = median(pitches);
+  const pitchSpread = pitches.length > 2
+    ? Math.sqrt(pitches.reduce((sum, p) => sum + (p - pitchMedian) ** 2, 0) / pitches.length) / pitchMedian
+    : null;
+
+  return {
+    levelDb: round(toDb(rms(samples, from, to))),
+    noiseFloorDb: round(noiseFloor),
+    speechRatio: round(speechWindows / windows.length, 2),
+    digitalSilenceRatio: round(silentWindows / windows.length, 2),
+    spectralFlatness: flatness.length ? round(median(flatness), 3) : null,
+    highFrequencyCutoffHz: cutoffHz,
+    pitchMedianHz: pitchMedian ? Math.round(pitchMedian) : null,
+    pitchVariation: pitchSpread !== null ? round(pitchSpread, 2) : null,
+    speechThresholdDb: round(speechThreshold)
+  };
+}
+
+/**
+ * The decoded stretch that covers most of [start, end], with the range
+ * shifted to that stretch's own time base
+ */
+function locate(windows, sampleRate, start, end) {
+  let best = windows[0];
+  let bestOverlap = -Infinity;
+  for (const window of windows) {
+    const overlap = Math.min(end, window.start + window.samples.length / sampleRate) - Math.max(start, window.start);
+    if (overlap > bestOverlap) {
+      best = window;
+      bestOverlap = overlap;
+    }
+  }
+  return { samples: best.samples, start: start - best.start, end: end - best.start };
+}
+
+/**
+ * Copy the given [start, end] second ranges into one buffer
+ */
+function concatRanges(windows, sampleRate, ranges) {
+  const slices = ranges.map(([rangeStart, rangeEnd]) => {
+    const { samples, start, end } = locate(windows, sampleRate, rangeStart, rangeEnd);
+    return samples.subarray(
+      Math.max(0, Math.floor(start * sampleRate)),
+      Math.min(samples.length, Math.floor(end * sampleRate))
+    );
+  });
+  const joined = new Float32Array(slices.reduce((sum, slice) => sum + slice.length, 0));
+  let offset = 0;
+  for (const slice of slices) {
+    joined.set(slice, offset);
+    offset += slice.length;
+  }
+  return joined;
+}
+
+/**
+ * First and last frame timestamp of each sampled segment
+ */
+function getSegmentRanges(frames) {
+  return Object.values(frames.reduce((acc, frame) => {
+    const key = frame.segment || 1;
+    if (!acc[key]) acc[key] = { segment: key, start: frame.timestamp, end: frame.timestamp };
+    acc[key].end = frame.timestamp;
+    return acc;
+  }, {}));
+}
+
+/**
+ * The [start, end] second ranges buildAudioSummary reads for these frames,
+ * merged where they overlap, so a decoder can skip the rest of the track
+ */
+export function getAudioWindows(frames) {
+  const ranges = getSegmentRanges(frames)
+    .map(range => [Math.max(0, range.start - SEGMENT_PADDING), range.end + SEGMENT_PADDING])
+    .sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged.at(-1);
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Summarize the audio around the sampled frames
+ * `audio` is the whole track ({ samples, sampleRate }) or only the stretches
+ * from getAudioWindows ({ windows: [{ start, samples }], sampleRate, duration })
+ * Returns overall and per-segment features plus the audio level at each frame
+ * (aligned with `frames`), or { hasAudio: false } when there is no audio
+ */
+export function buildAudioSummary(audio, frames) {
+  const windows = audio && (audio.windows || [{ start: 0, samples: audio.samples }]);
+  if (!windows || windows.every(window => window.samples.length === 0)) {
+    return { hasAudio: false };
+  }
+
+  const { sampleRate } = audio;
+  const duration = audio.duration ?? audio.samples.length / sampleRate;
+
+  const segmentRanges = getSegmentRanges(frames);
+
+  const segments = segmentRanges
+    .map((range) => {
+      const { samples, start, end } = locate(windows, sampleRate, range.start - SEGMENT_PADDING, range.end + SEGMENT_PADDING);
+      return {
+        segment: range.segment,
+        start: round(range.start, 2),
+        end: round(range.end, 2),
+        ...measureRange(samples, sampleRate, start, end)
+      };
+    })
+    .filter(segment => segment.levelDb !== undefined);
+
+  // Per-frame level against the segment's own speech threshold
+  const frameLevels = frames.map((frame) => {
+    const { samples, start, end } = locate(windows, sampleRate, frame.timestamp - FRAME_WINDOW / 2, frame.timestamp + FRAME_WINDOW / 2);
+    const from = Math.max(0, Math.floor(start * sampleRate));
+    const to = Math.min(samples.length, Math.floor(end * sampleRate));
+    const levelDb = to > from ? round(toDb(rms(samples, from, to))) : null;
+    const threshold = segments.find(s => s.segment === (frame.segment || 1))?.speechThresholdDb ?? -50;
+    return {
+      timestamp: frame.timestamp,
+      levelDb,
+      speech: levelDb !== null && levelDb >= threshold
+    };
+  });
+
+  // Overall features cover the sampled stretches only, joined end to end,
+  // so long files cost no more than short ones
+  const joined = concatRanges(windows, sampleRate, segmentRanges.map(range => [
+    range.start - SEGMENT_PADDING,
+    range.end + SEGMENT_PADDING
+  ]));
+  const overall = measureRange(joined, sampleRate, 0, joined.length / sampleRate);
+
+  return {
+    hasAudio: true,
+    sampleRate,
+    duration: round(duration, 2),
+    overall,
+    segments,
+    frames: frameLevels
+  };
+}
@@ -0,0 +1,251 @@
+/**
+ * Score calibration
+ * Fits a map from region scores to a probability of manipulation on
+ * labelled results (Platt scaling or isotonic regression), and applies it with
+ * a 95% interval. The fitted artifact is plain JSON: video-verify-calibrate
+ * writes it, the server loads it from CALIBRATION_FILE and stamps it on each
+ * result, and the results page and reports apply it to the final scores.
+ */
+
+export const CALIBRATION_SCHEMA = 'video-verify.calibration';
+export const CALIBRATION_VERSION = 1;
+export const CALIBRATION_METHODS = ['platt', 'isotonic'];
+
+// Features Platt scaling can use; missing region scores fall back to the average
+export const CALIBRATION_FEATURES = ['average', 'mouth', 'eyes', 'boundary', 'temporal', 'audio'];
+
+const BOOTSTRAP_SAMPLES = 200;
+const INTERVAL = 0.95;
+const Z = 1.96; // Normal quantile for INTERVAL
+const NEWTON_ITERATIONS = 50;
+const RIDGE = 1e-3; // Keeps the Newton step solvable when the classes separate perfectly
+
+const round = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+/**
+ * Feature vector for a score set: scores scaled to 0-1 with a leading bias term
+ */
+function featureVector(scores, features) {
+  return [1, ...features.map(key => (typeof scores[key] === 'number' ? scores[key] : scores.average) / 10)];
+}
+
+/**
+ * Solve a small linear system by Gaussian elimination with partial pivoting
+ */
+function solve(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * Logistic regression by Newton's method on Platt's smoothed targets
+ * (N+ + 1) / (N+ + 2) for fakes and 1 / (N- + 2) for reals, which keep small
+ * datasets from fitting probabilities of exactly 0 or 1
+ */
+function fitLogistic(rows) {
+  const positives = rows.filter(row => row.fake).length;
+  const negatives = rows.length - positives;
+  const hi = (positives + 1) / (positives + 2);
+  const lo = 1 / (negatives + 2);
+  const dims = rows[0].x.length;
+  let weights = new Array(dims).fill(0);
+
+  for (let iteration = 0; iteration < NEWTON_ITERATIONS; iteration++) {
+    const gradient = new Array(dims).fill(0);
+    const hessian = Array.from({ length: dims }, (_, i) => Array.from({ length: dims }, (__, j) => (i === j ? RIDGE : 0)));
+
+    rows.forEach(({ x, fake }) => {
+      const p = sigmoid(x.reduce((sum, v, i) => sum + v * weights[i], 0));
+      const target = fake ? hi : lo;
+      for (let i = 0; i < dims; i++) {
+        gradient[i] += (p - target) * x[i];
+        for (let j = 0; j < dims; j++) hessian[i][j] += p * (1 - p) * x[i] * x[j];
+      }
+    });
+    for (let i = 0; i < dims; i++) gradient[i] += RIDGE * weights[i];
+
+    const step = solve(hessian, gradient);
+    weights = weights.map((w, i) => w - step[i]);
+    if (Math.max(...step.map(Math.abs)) < 1e-8) break;
+  }
+
+  return weights;
+}
+
+/**
+ * Deterministic PRNG (mulberry32) so refitting the same data gives the same artifact
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pool-adjacent-violators: non-decreasing fake rate over the sorted averages
+ * Each block keeps its score range and counts for the interval
+ */
+function fitIsotonic(points) {
+  const blocks = [];
+  [...points].sort((a, b) => a.score - b.score).forEach(({ score, fake }) => {
+    blocks.push({ min: score, max: score, n: 1, positives: fake ? 1 : 0 });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      // Merge tied scores, and any block whose rate doesn't rise above its predecessor's
+      if (prev.max !== last.min && prev.positives / prev.n < last.positives / last.n) break;
+      blocks.splice(-2, 2, { min: prev.min, max: last.max, n: prev.n + last.n, positives: prev.positives + last.positives });
+    }
+  });
+  return blocks;
+}
+
+/**
+ * Wilson score interval for `positives` out of `n`
+ */
+function wilsonInterval(positives, n) {
+  const p = positives / n;
+  const denominator = 1 + Z ** 2 / n;
+  const center = (p + Z ** 2 / (2 * n)) / denominator;
+  const margin = (Z * Math.sqrt(p * (1 - p) / n + Z ** 2 / (4 * n ** 2))) / denominator;
+  return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+/**
+ * Fit a calibration artifact on labelled samples of { label: 'real' | 'fake', scores }
+ * Platt scaling uses `features` (default: the average score) and gets its
+ * interval from bootstrap refits; isotonic regression works on the average
+ * and gets a Wilson interval from the counts behind each step
+ */
+export function fitCalibration(samples, { method = 'platt', features = ['average'], policy = null } = {}) {
+  if (!CALIBRATION_METHODS.includes(method)) {
+    throw new Error(`Unknown calibration method: ${method} (use ${CALIBRATION_METHODS.join(' or ')})`);
+  }
+  const unknown = features.filter(key => !CALIBRATION_FEATURES.includes(key));
+  if (features.length === 0 || unknown.length > 0) {
+    throw new Error(`Calibration features must be drawn from ${CALIBRATION_FEATURES.join(', ')}`);
+  }
+
+  const labelled = samples.filter(sample =>
+    (sample.label === 'real' || sample.label === 'fake') && typeof sample.scores?.average === 'number'
+  );
+  const fake = labelled.filter(sample => sample.label === 'fake').length;
+  const real = labelled.length - fake;
+  if (fake < 2 || real < 2) {
+    throw new Error(`Calibration needs at least 2 scored real and 2 scored fake samples (got ${real} real, ${fake} fake)`);
+  }
+
+  const artifact = {
+    schema: CALIBRATION_SCHEMA,
+    version: CALIBRATION_VERSION,
+    method,
+    fittedAt: new Date().toISOString(),
+    samples: { real, fake },
+    policy,
+    interval: INTERVAL
+  };
+
+  if (method === 'isotonic') {
+    const blocks = fitIsotonic(labelled.map(sample => ({ score: sample.scores.average, fake: sample.label === 'fake' })));
+    return {
+      ...artifact,
+      features: ['average'],
+      blocks: blocks.map(block => ({ ...block, probability: round(block.positives / block.n) }))
+    };
+  }
+
+  const rows = labelled.map(sample => ({ x: featureVector(sample.scores, features), fake: sample.label === 'fake' }));
+  const random = createRandom(rows.length * 7919 + fake);
+  const bootstrap = [];
+  for (let i = 0; i < BOOTSTRAP_SAMPLES; i++) {
+    const resample = rows.map(() => rows[Math.floor(random() * rows.length)]);
+    // A resample with one class has no decision boundary to fit
+    if (resample.every(row => row.fake === resample[0].fake)) continue;
+    bootstrap.push(fitLogistic(resample).map(w => round(w)));
+  }
+
+  return {
+    ...artifact,
+    features,
+    weights: fitLogistic(rows).map(w => round(w)),
+    bootstrap
+  };
+}
+
+/**
+ * Check that a loaded artifact can be applied; throws with the reason
+ */
+export function validateCalibration(artifact) {
+  if (artifact?.schema !== CALIBRATION_SCHEMA || artifact.version !== CALIBRATION_VERSION) {
+    throw new Error(`Not a ${CALIBRATION_SCHEMA} v${CALIBRATION_VERSION} artifact`);
+  }
+  if (artifact.method === 'platt') {
+    if (!Array.isArray(artifact.weights) || artifact.weights.length !== artifact.features.length + 1) {
+      throw new Error('Platt calibration weights do not match its features');
+    }
+  } else if (artifact.method === 'isotonic') {
+    if (!Array.isArray(artifact.blocks) || artifact.blocks.length === 0) {
+      throw new Error('Isotonic calibration has no blocks');
+    }
+  } else {
+    throw new Error(`Unknown calibration method: ${artifact.method}`);
+  }
+  return artifact;
+}
+
+function percentile(sorted, q) {
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round(q * (sorted.length - 1))));
+  return sorted[index];
+}
+
+/**
+ * Probability of manipulation for a score set: { probability, low, high, method }
+ * or null without an artifact or an average score
+ */
+export function predictProbability(artifact, scores) {
+  if (!artifact || typeof scores?.average !== 'number') return null;
+
+  if (artifact.method === 'isotonic') {
+    // Step function: the last block starting at or below the score
+    const block = [...artifact.blocks].reverse().find(b => b.min <= scores.average) || artifact.blocks[0];
+    const [low, high] = wilsonInterval(block.positives, block.n);
+    return { probability: round(block.probability, 3), low: round(low, 3), high: round(high, 3), method: 'isotonic' };
+  }
+
+  const x = featureVector(scores, artifact.features);
+  const predict = weights => sigmoid(x.reduce((sum, v, i) => sum + v * weights[i], 0));
+  const probability = predict(artifact.weights);
+  const spread = artifact.bootstrap.map(predict).sort((a, b) => a - b);
+  const tail = (1 - (artifact.interval ?? INTERVAL)) / 2;
+
+  return {
+    probability: round(probability, 3),
+    low: round(spread.length > 0 ? Math.min(probability, percentile(spread, tail)) : probability, 3),
+    high: round(spread.length > 0 ? Math.max(probability, percentile(spread, 1 - tail)) : probability, 3),
+    method: 'platt'
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * Server-side calibration loading
+ * CALIBRATION_FILE names an artifact written by video-verify-calibrate.
+ * Node only.
+ */
+
+import fs from 'fs';
+import { validateCalibration } from './calibration.js';
+import { loadRiskPolicy } from './riskPolicyConfig.js';
+
+let cached;
+
+/**
+ * The configured calibration artifact, or null when none is set; read once
+ * per process. Throws when the file is unreadable or not an artifact
+ */
+export function loadCalibration() {
+  if (cached !== undefined) return cached;
+
+  cached = process.env.CALIBRATION_FILE
+    ? validateCalibration(JSON.parse(fs.readFileSync(process.env.CALIBRATION_FILE, 'utf8')))
+    : null;
+
+  // The fit is only valid for averages weighted the way it was trained on
+  const policy = loadRiskPolicy();
+  if (cached?.policy && cached.policy !== policy.name) {
+    console.warn(`Calibration was fitted under risk policy "${cached.policy}" but "${policy.name}" is active; refit it`);
+  }
+  return cached;
+}
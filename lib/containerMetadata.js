@@ -0,0 +1,499 @@
+/**
+ * Container and codec metadata forensics
+ * Parses MP4/MOV (ISO BMFF) and WebM/Matroska headers locally and turns
+ * encoder tags, timestamps, editing-software atoms and frame timing into
+ * findings. Nothing here is sent to a model.
+ *
+ * Parsers read through a { size, read(offset, length) } reader so the same
+ * code runs on a browser Blob and on a file handle in the CLI.
+ */
+
+const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+const EBML_HEAD_BYTES = 2 * 1024 * 1024; // Info and Tracks sit near the start of WebM files
+
+// Seconds between the QuickTime epoch (1904) and the Unix epoch
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+// Milliseconds from the Unix epoch to the Matroska epoch (2001-01-01)
+const MATROSKA_EPOCH_MS = Date.UTC(2001, 0, 1);
+
+// Boxes whose children are parsed; meta is handled separately (QuickTime vs ISO layout)
+const CONTAINER_BOXES = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'edts', 'ilst']);
+
+const XMP_UUID = 'be7acfcb97a942e89c71999491e3afac';
+
+// Muxers and encoders whose tags mean the file was re-encoded or remuxed after capture
+const TRANSCODER_PATTERN = /\b(lavf|lavc|ffmpeg|libav|handbrake|x264|x265|mencoder|gstreamer)/i;
+// Editors and generators whose tags mean the content was edited
+const EDITOR_PATTERN = /(premiere|after effects|final cut|davinci|resolve|capcut|imovie|filmora|shotcut|vegas|kdenlive|openshot|clipchamp|media encoder|adobe|vn video editor|inshot|runway|synthesia|heygen|d-id)/i;
+// ffmpeg's default handler names
+const FFMPEG_HANDLERS = /^(VideoHandler|SoundHandler|DataHandler)$/;
+
+const decoder = new TextDecoder('utf-8');
+
+function fourcc(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function cleanString(bytes) {
+  return decoder.decode(bytes).replace(/\0/g, '').trim() || null;
+}
+
+function readUint64(view, offset) {
+  return view.getUint32(offset) * 2 ** 32 + view.getUint32(offset + 4);
+}
+
+function quickTimeDate(seconds) {
+  if (!seconds) return null;
+  const ms = (seconds - QUICKTIME_EPOCH_OFFSET) * 1000;
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Reader over a browser Blob or File
+ */
+export function blobReader(blob) {
+  return {
+    size: blob.size,
+    read: async (offset, length) => new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer())
+  };
+}
+
+/**
+ * Walk ISO BMFF boxes in bytes[start, end), calling visit(type, bodyStart, end)
+ */
+function walkBoxes(bytes, start, end, visit) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = fourcc(bytes, offset + 4);
+    let header = 8;
+    if (size === 1) {
+      size = readUint64(view, offset + 8);
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) break;
+
+    visit(type, offset + header, offset + size);
+    offset += size;
+  }
+}
+
+/**
+ * Read a udta/ilst text atom, either QuickTime style (length + language)
+ * or iTunes style (a nested 'data' box)
+ */
+function readTextAtom(bytes, start, end) {
+  if (end - start >= 16 && fourcc(bytes, start + 4) === 'data') {
+    return cleanString(bytes.subarray(start + 16, end));
+  }
+  if (end - start >= 4) {
+    const length = (bytes[start] << 8) | bytes[start + 1];
+    return cleanString(bytes.subarray(start + 4, Math.min(end, start + 4 + length)));
+  }
+  return null;
+}
+
+/**
+ * Pull the tool names out of an XMP packet
+ */
+function parseXmpTools(xml) {
+  const tools = [];
+  for (const match of xml.matchAll(/(?:CreatorTool|softwareAgent)(?:>|="|=')([^<"']+)/g)) {
+    tools.push(match[1].trim());
+  }
+  return tools;
+}
+
+/**
+ * Parse the moov box into timestamps, handlers, codecs, tags and frame timing
+ */
+function parseMoov(bytes, facts) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let track = null;
+  let metaKeys = [];
+
+  const visit = (type, start, end, parent) => {
+    if (type === 'trak') {
+      track = { handler: null, handlerName: null, timescale: null, format: null, compressor: null, vendor: null, deltas: [] };
+      facts.tracks.push(track);
+    }
+
+    if (CONTAINER_BOXES.has(type)) {
+      walkBoxes(bytes, start, end, (childType, childStart, childEnd) => visit(childType, childStart, childEnd, type));
+      return;
+    }
+
+    switch (type) {
+      case 'mvhd': {
+        const version = bytes[start];
+        const created = version === 1 ? readUint64(view, start + 4) : view.getUint32(start + 4);
+        const modified = version === 1 ? readUint64(view, start + 12) : view.getUint32(start + 8);
+        facts.createdAt = quickTimeDate(created);
+        facts.modifiedAt = quickTimeDate(modified);
+        facts.rawCreated = created;
+        break;
+      }
+      case 'mdhd': {
+        if (!track) break;
+        const version = bytes[start];
+        track.timescale = version === 1 ? view.getUint32(start + 20) : view.getUint32(start + 12);
+        break;
+      }
+      case 'hdlr': {
+        const handlerType = fourcc(bytes, start + 8);
+        // QuickTime stores a counted string, ISO a null-terminated one
+        let nameBytes = bytes.subarray(start + 24, end);
+        if (nameBytes.length > 0 && nameBytes[0] === nameBytes.length - 1) nameBytes = nameBytes.subarray(1);
+        const name = cleanString(nameBytes);
+        if (parent === 'mdia' && track) {
+          track.handler = handlerType;
+          track.handlerName = name;
+        }
+        if (name) facts.handlerNames.push(name);
+        break;
+      }
+      case 'stsd': {
+        if (!track || end - start < 16) break;
+        const entryStart = start + 8;
+        track.format = fourcc(bytes, entryStart + 4);
+        if (track.handler === 'vide' && end - entryStart >= 82) {
+          track.vendor = fourcc(bytes, entryStart + 20).replace(/\0/g, '').trim() || null;
+          const length = Math.min(bytes[entryStart + 50], 31);
+          track.compressor = cleanString(bytes.subarray(entryStart + 51, entryStart + 51 + length));
+        }
+        break;
+      }
+      case 'stts': {
+        if (!track) break;
+        const count = view.getUint32(start + 4);
+        for (let i = 0; i < count && start + 16 + i * 8 <= end; i++) {
+          track.deltas.push({ count: view.getUint32(start + 8 + i * 8), delta: view.getUint32(start + 12 + i * 8) });
+        }
+        break;
+      }
+      case 'elst': {
+        const count = view.getUint32(start + 4);
+        facts.editListEntries = Math.max(facts.editListEntries, count);
+        break;
+      }
+      case 'meta': {
+        // QuickTime meta has no version/flags; ISO meta does
+        const childStart = fourcc(bytes, start + 4) === 'hdlr' ? start : start + 4;
+        walkBoxes(bytes, childStart, end, (childType, cStart, cEnd) => {
+          if (childType === 'keys') {
+            metaKeys = [];
+            const count = view.getUint32(cStart + 4);
+            let offset = cStart + 8;
+            for (let i = 0; i < count && offset + 8 <= cEnd; i++) {
+              const size = view.getUint32(offset);
+              metaKeys.push(cleanString(bytes.subarray(offset + 8, offset + size)));
+              offset += size;
+            }
+          } else if (childType === 'ilst') {
+            walkBoxes(bytes, cStart, cEnd, (itemType, iStart, iEnd) => {
+              const index = view.getUint32(iStart - 8 + 4);
+              const key = metaKeys[index - 1] || itemType;
+              facts.tags[key] = readTextAtom(bytes, iStart, iEnd);
+            });
+          } else {
+            visit(childType, cStart, cEnd, 'meta');
+          }
+        });
+        break;
+      }
+      case 'XMP_': {
+        facts.software.push(...parseXmpTools(decoder.decode(bytes.subarray(start, end))));
+        break;
+      }
+      default:
+        // ©-prefixed udta text atoms (©too, ©swr, ©mak, ©mod, ©day)
+        if (type.charCodeAt(0) === 0xa9 && parent === 'udta') {
+          facts.tags[type] = readTextAtom(bytes, start, end);
+        }
+    }
+  };
+
+  walkBoxes(bytes, 8, bytes.length, (type, start, end) => visit(type, start, end, 'moov'));
+}
+
+/**
+ * Frame-rate summary from a video track's sample durations
+ */
+function summarizeFrameTiming(track) {
+  if (!track?.timescale || track.deltas.length === 0) return null;
+
+  const samples = track.deltas.reduce((sum, d) => sum + d.count, 0);
+  const totalTime = track.deltas.reduce((sum, d) => sum + d.count * d.delta, 0);
+  const valid = track.deltas.filter(d => d.delta > 0);
+  if (samples === 0 || valid.length === 0) return null;
+
+  const fpsOf = delta => Math.round((track.timescale / delta) * 100) / 100;
+  const main = valid.reduce((a, b) => (b.count > a.count ? b : a));
+  // Deltas more than 5% away from the dominant one, as a share of all samples
+  const irregular = valid
+    .filter(d => Math.abs(d.delta - main.delta) / main.delta > 0.05)
+    .reduce((sum, d) => sum + d.count, 0) / samples;
+
+  return {
+    average: Math.round((samples / (totalTime / track.timescale)) * 100) / 100,
+    nominal: fpsOf(main.delta),
+    min: fpsOf(Math.max(...valid.map(d => d.delta))),
+    max: fpsOf(Math.min(...valid.map(d => d.delta))),
+    irregularRatio: Math.round(irregular * 1000) / 1000,
+    variable: irregular > 0.02
+  };
+}
+
+async function inspectIsoBmff(reader, facts) {
+  let offset = 0;
+  let moov = null;
+
+  // Walk top-level boxes by header only; mdat can be gigabytes
+  while (offset + 8 <= reader.size) {
+    const header = await reader.read(offset, 16);
+    if (header.length < 8) break;
+    const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+    let size = view.getUint32(0);
+    const type = fourcc(header, 4);
+    if (size === 1) size = readUint64(view, 8);
+    else if (size === 0) size = reader.size - offset;
+    if (size < 8) break;
+
+    facts.atomOrder.push(type);
+
+    if (type === 'ftyp') {
+      const body = await reader.read(offset + 8, Math.min(size - 8, 256));
+      facts.brand = fourcc(body, 0).trim();
+      for (let i = 8; i + 4 <= body.length; i += 4) facts.compatibleBrands.push(fourcc(body, i).trim());
+    } else if (type === 'moov' && size <= MAX_MOOV_BYTES) {
+      moov = await reader.read(offset, size);
+    } else if (type === 'uuid' && size <= MAX_MOOV_BYTES) {
+      const body = await reader.read(offset + 8, size - 8);
+      const uuid = [...body.subarray(0, 16)].map(b => b.toString(16).padStart(2, '0')).join('');
+      if (uuid === XMP_UUID) facts.software.push(...parseXmpTools(decoder.decode(body.subarray(16))));
+    }
+
+    offset += size;
+  }
+
+  facts.container = facts.brand === 'qt' ? 'mov' : 'mp4';
+  if (moov) parseMoov(moov, facts);
+
+  const video = facts.tracks.find(t => t.handler === 'vide');
+  facts.frameRate = summarizeFrameTiming(video);
+  facts.codec = video ? { format: video.format, compressor: video.compressor, vendor: video.vendor } : null;
+}
+
+/**
+ * Read an EBML variable-length integer; keepMarker for element IDs
+ */
+function readVint(bytes, offset, keepMarker) {
+  const first = bytes[offset];
+  if (first === undefined || first === 0) return null;
+  let length = 1;
+  while (!(first & (0x80 >> (length - 1)))) length++;
+  if (offset + length > bytes.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  for (let i = 1; i < length; i++) value = value * 256 + bytes[offset + i];
+  const unknown = !keepMarker && value === 2 ** (7 * length) - 1;
+  return { value, length, unknown };
+}
+
+function readEbmlUint(bytes, start, end) {
+  let value = 0;
+  for (let i = start; i < end; i++) value = value * 256 + bytes[i];
+  return value;
+}
+
+const EBML_IDS = {
+  EBML: 0x1a45dfa3,
+  DocType: 0x4282,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  DateUTC: 0x4461,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  DefaultDuration: 0x23e383,
+  Cluster: 0x1f43b675
+};
+
+const EBML_MASTERS = new Set([EBML_IDS.EBML, EBML_IDS.Segment, EBML_IDS.Info, EBML_IDS.Tracks, EBML_IDS.TrackEntry]);
+
+async function inspectEbml(reader, facts) {
+  const bytes = await reader.read(0, Math.min(reader.size, EBML_HEAD_BYTES));
+  let track = null;
+
+  const walk = (start, end) => {
+    let offset = start;
+    while (offset < end) {
+      const id = readVint(bytes, offset, true);
+      if (!id) return;
+      const size = readVint(bytes, offset + id.length, false);
+      if (!size) return;
+      const bodyStart = offset + id.length + size.length;
+      const bodyEnd = size.unknown ? end : Math.min(end, bodyStart + size.value);
+
+      if (id.value === EBML_IDS.Cluster) return; // Media data from here on
+
+      if (id.value === EBML_IDS.TrackEntry) {
+        track = { handler: null, format: null, defaultDuration: null };
+        facts.tracks.push(track);
+      }
+
+      if (EBML_MASTERS.has(id.value)) {
+        walk(bodyStart, bodyEnd);
+      } else {
+        const body = bytes.subarray(bodyStart, bodyEnd);
+        switch (id.value) {
+          case EBML_IDS.DocType: facts.brand = cleanString(body); break;
+          case EBML_IDS.MuxingApp: facts.tags.MuxingApp = cleanString(body); break;
+          case EBML_IDS.WritingApp: facts.tags.WritingApp = cleanString(body); break;
+          case EBML_IDS.DateUTC: {
+            const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+            if (body.length === 8) facts.createdAt = new Date(MATROSKA_EPOCH_MS + Number(view.getBigInt64(0) / 1000000n)).toISOString();
+            break;
+          }
+          case EBML_IDS.TrackType:
+            if (track) track.handler = readEbmlUint(body, 0, body.length) === 1 ? 'vide' : 'soun';
+            break;
+          case EBML_IDS.CodecID: if (track) track.format = cleanString(body); break;
+          case EBML_IDS.DefaultDuration: if (track) track.defaultDuration = readEbmlUint(body, 0, body.length); break;
+          default:
+        }
+      }
+
+      if (size.unknown) return;
+      offset = bodyEnd;
+    }
+  };
+
+  walk(0, bytes.length);
+
+  facts.container = facts.brand === 'webm' ? 'webm' : 'mkv';
+  const video = facts.tracks.find(t => t.handler === 'vide');
+  facts.codec = video ? { format: video.format, compressor: null, vendor: null } : null;
+  facts.frameRate = video?.defaultDuration
+    ? { average: null, nominal: Math.round((1e9 / video.defaultDuration) * 100) / 100, min: null, max: null, irregularRatio: null, variable: false }
+    : null;
+}
+
+/**
+ * Turn parsed facts into findings: { signal, severity }
+ */
+function assessMetadata(facts) {
+  const findings = [];
+  const tags = facts.tags;
+
+  const make = tags['©mak'] || tags['com.apple.quicktime.make'] || tags['com.android.manufacturer'] || null;
+  const model = tags['©mod'] || tags['com.apple.quicktime.model'] || tags['com.android.model'] || null;
+  const encoderTags = [tags['©too'], tags['©swr'], tags['com.apple.quicktime.software'], tags.MuxingApp, tags.WritingApp, tags['©enc']]
+    .filter(Boolean);
+  const tools = [...new Set([...encoderTags, ...facts.software, facts.codec?.compressor].filter(Boolean))];
+
+  facts.make = make;
+  facts.model = model;
+  facts.encoder = encoderTags[0] || null;
+
+  const editors = tools.filter(tool => EDITOR_PATTERN.test(tool));
+  if (editors.length > 0) {
+    findings.push({ signal: `Editing software recorded in metadata: ${editors.join(', ')}`, severity: 'medium' });
+  }
+
+  const transcoders = tools.filter(tool => TRANSCODER_PATTERN.test(tool));
+  const ffmpegHandlers = facts.handlerNames.some(name => FFMPEG_HANDLERS.test(name));
+  if (transcoders.length > 0 || ffmpegHandlers) {
+    const detail = transcoders.length > 0 ? transcoders.join(', ') : 'ffmpeg default track handlers';
+    findings.push({ signal: `Re-encoded or remuxed after capture (${detail})`, severity: 'medium' });
+  }
+
+  if (make || model) {
+    findings.push({ signal: `Camera recorded: ${[make, model].filter(Boolean).join(' ')}`, severity: 'low' });
+  } else if (facts.container !== 'webm') {
+    findings.push({ signal: 'No camera make or model in metadata', severity: 'low' });
+  }
+
+  const created = facts.createdAt ? Date.parse(facts.createdAt) : null;
+  const modified = facts.modifiedAt ? Date.parse(facts.modifiedAt) : null;
+  if (!created) {
+    findings.push({ signal: 'Creation timestamp missing or zeroed', severity: 'low' });
+  } else if (created > Date.now() + 24 * 3600 * 1000) {
+    findings.push({ signal: `Creation timestamp is in the future (${facts.createdAt})`, severity: 'medium' });
+  }
+  if (created && modified && modified - created > 60 * 1000) {
+    const hours = Math.round((modified - created) / 3600000);
+    findings.push({
+      signal: `Modified ${hours >= 1 ? `${hours} h` : 'minutes'} after creation (${facts.createdAt} → ${facts.modifiedAt})`,
+      severity: 'medium'
+    });
+  }
+
+  // Cameras write moov after mdat; moving it first is a web/remux step
+  const moovIndex = facts.atomOrder.indexOf('moov');
+  const mdatIndex = facts.atomOrder.indexOf('mdat');
+  if (moovIndex !== -1 && mdatIndex !== -1 && moovIndex < mdatIndex) {
+    findings.push({ signal: 'Index (moov) placed before media data, typical of re-muxing for web playback', severity: 'low' });
+  }
+
+  if (facts.editListEntries > 1) {
+    findings.push({ signal: `Edit list with ${facts.editListEntries} entries (trimmed or spliced timeline)`, severity: 'medium' });
+  }
+
+  if (facts.frameRate?.variable) {
+    findings.push({
+      signal: `Irregular frame timing: ${Math.round(facts.frameRate.irregularRatio * 100)}% of frames off the nominal ${facts.frameRate.nominal} fps (${facts.frameRate.min}–${facts.frameRate.max} fps)`,
+      severity: 'medium'
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Inspect a video container through a reader
+ * Resolves { container, brand, createdAt, modifiedAt, encoder, make, model, software,
+ * codec, frameRate, ..., findings } or { container: null, findings: [] } for unknown formats
+ */
+export async function inspectContainer(reader) {
+  const facts = {
+    container: null,
+    brand: null,
+    compatibleBrands: [],
+    createdAt: null,
+    modifiedAt: null,
+    tags: {},
+    software: [],
+    handlerNames: [],
+    tracks: [],
+    atomOrder: [],
+    editListEntries: 0,
+    codec: null,
+    frameRate: null
+  };
+
+  const head = await reader.read(0, 12);
+  if (head.length >= 8 && ['ftyp', 'wide', 'free', 'mdat', 'moov', 'skip'].includes(fourcc(head, 4))) {
+    await inspectIsoBmff(reader, facts);
+  } else if (head.length >= 4 && readEbmlUint(head, 0, 4) === EBML_IDS.EBML) {
+    await inspectEbml(reader, facts);
+  } else {
+    return { container: null, findings: [] };
+  }
+
+  const findings = assessMetadata(facts);
+  const { tracks, handlerNames, rawCreated, ...rest } = facts;
+
+  return {
+    ...rest,
+    handlers: tracks.map(t => ({ type: t.handler, name: t.handlerName ?? null, format: t.format })),
+    findings
+  };
+}
@@ -0,0 +1,212 @@
+/**
+ * Detector providers for frame analysis
+ * Each provider takes a system prompt plus the multimodal user content
+ * and returns the model's raw text response
+ * `expected` describes what the prompt asks for (segment numbers, frame count,
+ * frames to annotate, person numbers, whether to score audio, and a prompt
+ * variant/temperature key)
+ * and is only used by the mock to shape its response
+ * `signal` is an optional AbortSignal that cancels a pending request
+ */
+
+import OpenAI from 'openai';
+import { withRecording, createReplayDetector } from './recordedDetector.js';
+
+export const DETECTOR_PROVIDERS = {
+  openai: 'OpenAI',
+  local: 'OpenAI-compatible local server',
+  mock: 'Deterministic mock',
+  replay: 'Recorded responses'
+};
+
+export const DEFAULT_PROVIDER = 'openai';
+
+// Providers an analysis request may pick; `replay` only answers from the
+// server's own recordings, so it is chosen by DETECTOR_PROVIDER or the CLIs
+export const REQUEST_PROVIDERS = Object.keys(DETECTOR_PROVIDERS).filter(name => name !== 'replay');
+
+/**
+ * Resolve the provider name from the request field, env, or default
+ */
+export function resolveProviderName(requested) {
+  const name = String(requested || process.env.DETECTOR_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+
+  if (!Object.hasOwn(DETECTOR_PROVIDERS, name)) {
+    throw new Error(`Unknown detector provider: ${name}`);
+  }
+
+  return name;
+}
+
+/**
+ * Create a detector for the given provider name
+ * `model` overrides the provider's configured model. With DETECTOR_RECORD_DIR
+ * set, responses are also saved for the `replay` provider
+ */
+export function createDetector(name, { model = null } = {}) {
+  const detector = createProviderDetector(name, model);
+  return process.env.DETECTOR_RECORD_DIR && name !== 'replay'
+    ? withRecording(detector, process.env.DETECTOR_RECORD_DIR, model)
+    : detector;
+}
+
+function createProviderDetector(name, model) {
+  switch (name) {
+    case 'openai':
+      return createChatDetector({
+        name,
+        model: model || process.env.OPENAI_MODEL || 'gpt-4o',
+        clientOptions: { apiKey: process.env.OPENAI_API_KEY }
+      });
+    case 'local':
+      return createChatDetector({
+        name,
+        model: model || process.env.LOCAL_DETECTOR_MODEL || 'llava',
+        clientOptions: {
+          baseURL: process.env.LOCAL_DETECTOR_BASE_URL || 'http://localhost:11434/v1',
+          // Local servers usually ignore the key, but the SDK requires one
+          apiKey: process.env.LOCAL_DETECTOR_API_KEY || 'local'
+        }
+      });
+    case 'mock':
+      return createMockDetector();
+    case 'replay':
+      return createReplayDetector(process.env.DETECTOR_REPLAY_DIR, model);
+    default:
+      throw new Error(`Unknown detector provider: ${name}`);
+  }
+}
+
+/**
+ * Detector backed by any OpenAI-compatible chat completions endpoint
+ */
+function createChatDetector({ name, model, clientOptions }) {
+  let client = null;
+
+  return {
+    name,
+    model,
+    async complete({ system, content, maxTokens = 1000, temperature = null, signal = null }) {
+      // Build the client lazily so missing keys only fail when the provider is used
+      if (!client) client = new OpenAI(clientOptions);
+
+      const response = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content }
+        ],
+        max_tokens: maxTokens,
+        ...(temperature !== null && { temperature }),
+        response_format: { type: 'json_object' }
+      }, { ...(signal && { signal }) });
+
+      return response.choices[0].message.content;
+    }
+  };
+}
+
+/**
+ * Offline detector for CI and local development
+ * Scores are derived from a hash of the frame data, so the same frames
+ * always produce the same response. MOCK_DETECTOR_DELAY_MS delays each
+ * response, to watch job progress without a real model
+ */
+function createMockDetector() {
+  return {
+    name: 'mock',
+    model: 'mock',
+    async complete({ content, expected = {}, signal = null }) {
+      const delay = Number(process.env.MOCK_DETECTOR_DELAY_MS) || 0;
+      if (delay > 0) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, delay);
+          signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+          }, { once: true });
+        });
+      }
+
+      const images = content.filter(part => part.type === 'image_url');
+      // Prompt variants and temperature samples get their own scores, as they would from a real model
+      const frameSeed = hashString(images.map(part => part.image_url.url).join('|'));
+      const seed = expected.variant ? hashString(`${frameSeed}:${expected.variant}`) : frameSeed;
+
+      const regionScores = (value) => {
+        const scoreAt = (shift) => (value >>> shift) % 11;
+        return {
+          mouth_score: scoreAt(0),
+          eyes_score: scoreAt(4),
+          boundary_score: scoreAt(8),
+          temporal_score: scoreAt(12),
+          ...(expected.audio && { audio_score: scoreAt(16) })
+        };
+      };
+      const scores = regionScores(seed);
+
+      const avg = Object.values(scores).reduce((sum, s) => sum + s, 0) / Object.keys(scores).length;
+      const verdict = avg >= 6 ? 'MANIPULATED' : avg >= 4 ? 'SUSPICIOUS' : 'AUTHENTIC';
+
+      // Every third frame (by hash) gets one box around the middle of the frame
+      const annotations = Array.from({ length: expected.annotations || 0 }, (_, i) => hashString(`${seed}:annotation:${i}`))
+        .map((value, i) => ({ value, frame: i + 1 }))
+        .filter(({ value }) => value % 3 === 0)
+        .map(({ value, frame }) => {
+          const region = ['mouth', 'eyes', 'boundary'][(value >>> 4) % 3];
+          return {
+            frame,
+            region,
+            box: { x: 0.4, y: region === 'eyes' ? 0.3 : 0.5, width: 0.2, height: 0.1 },
+            score: (value >>> 8) % 11,
+            note: `Mock ${region} artifact`
+          };
+        });
+
+      return JSON.stringify({
+        ...scores,
+        segments: (expected.segments || []).map(segment => ({
+          segment,
+          ...regionScores(hashString(`${seed}:segment:${segment}`))
+        })),
+        ...(expected.persons?.length > 0 && {
+          persons: expected.persons.map((person) => {
+            const { audio_score: _audio, ...personScores } = regionScores(hashString(`${seed}:person:${person}`));
+            const personAvg = Object.values(personScores).reduce((sum, s) => sum + s, 0) / 4;
+            return {
+              person,
+              ...personScores,
+              verdict: personAvg >= 6 ? 'MANIPULATED' : personAvg >= 4 ? 'SUSPICIOUS' : 'AUTHENTIC',
+              key_evidence: `Mock detector verdict for person ${person}.`
+            };
+          })
+        }),
+        ...(expected.frames > 0 && {
+          frames: Array.from({ length: expected.frames }, (_, i) => ({
+            frame: i + 1,
+            score: hashString(`${seed}:frame:${i}`) % 11
+          }))
+        }),
+        ...(expected.annotations > 0 && { annotations }),
+        verdict,
+        key_evidence: `Mock detector verdict for ${images.length} frames.`,
+        detailed_analysis: [
+          'This response was generated by the mock detector provider and does not reflect a real analysis.',
+          ...annotations.map(a => `Frame ${a.frame} has a mock ${a.region} artifact.`)
+        ].join(' ')
+      });
+    }
+  };
+}
+
+/**
+ * FNV-1a hash, returned as an unsigned 32-bit integer
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,189 @@
+/**
+ * Detector ensembles
+ * Aggregates results from several detectors (different models, prompt
+ * variants or temperature samples) run on the same frames, and measures how
+ * much they agree. Pure functions, shared by the server and adaptive merging
+ * in the browser.
+ */
+
+import { SCORE_REGIONS, verdictForAverage } from './riskMapping.js';
+import { DEFAULT_POLICY } from './riskPolicy.js';
+import { mergeValidation } from './responseSchema.js';
+
+export const MAX_ENSEMBLE_MEMBERS = 5;
+
+// Mean region-score standard deviation at which agreement reaches 0
+const MAX_SPREAD = 5;
+
+const REGION_KEYS = SCORE_REGIONS.map(region => region.key);
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Short human-readable label for a member, e.g. "openai gpt-4o · neutral · t=1"
+ */
+export function describeMember(member) {
+  return [
+    `${member.provider}${member.model ? ` ${member.model}` : ''}`,
+    member.prompt,
+    member.temperature !== undefined && member.temperature !== null ? `t=${member.temperature}` : null
+  ].filter(Boolean).join(' · ');
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * Per-key mean over entries that have a number for that key
+ */
+function meanOf(entries, keys) {
+  const out = {};
+  for (const key of keys) {
+    const values = entries.map(entry => entry[key]).filter(v => typeof v === 'number');
+    if (values.length > 0) out[key] = round(mean(values));
+  }
+  return out;
+}
+
+/**
+ * Spread (population standard deviation) of each region across members,
+ * overall agreement 0-1, and the share of members whose own average lands
+ * in the same verdict band as the aggregate
+ */
+function measureAgreement(memberScores, aggregate, policy) {
+  const spread = {};
+  for (const key of REGION_KEYS) {
+    const values = memberScores.map(scores => scores[key]).filter(v => typeof v === 'number');
+    if (values.length < 2) continue;
+    const m = mean(values);
+    spread[key] = round(Math.sqrt(mean(values.map(v => (v - m) ** 2))));
+  }
+
+  const spreads = Object.values(spread);
+  const aggregateVerdict = verdictForAverage(aggregate.average, policy);
+  const sameVerdict = memberScores.filter(scores => verdictForAverage(scores.average, policy) === aggregateVerdict).length;
+
+  return {
+    spread,
+    agreement: spreads.length > 0 ? Math.round(Math.max(0, 1 - mean(spreads) / MAX_SPREAD) * 100) / 100 : null,
+    verdictAgreement: memberScores.length > 0 ? Math.round((sameVerdict / memberScores.length) * 100) / 100 : null
+  };
+}
+
+/**
+ * Average per-segment or per-frame entries across members, matched by `idKey`
+ */
+function averageEntries(lists, idKey, scoreKeys) {
+  const byId = new Map();
+  lists.flat().forEach((entry) => {
+    if (!byId.has(entry[idKey])) byId.set(entry[idKey], []);
+    byId.get(entry[idKey]).push(entry);
+  });
+
+  return [...byId.values()]
+    .map(entries => ({ ...entries[0], ...meanOf(entries, scoreKeys) }))
+    .sort((a, b) => a[idKey] - b[idKey]);
+}
+
+/**
+ * Aggregate member runs into one analysis result
+ * `runs` is [{ member, result }] or [{ member, error }]; members that failed
+ * or returned unstructured text are listed but not aggregated. The result
+ * has the usual analysis shape plus `ensemble`
+ */
+export function aggregateEnsemble(runs) {
+  const scored = runs.filter(run => run.result?.structured);
+  const members = runs.map(({ member, result, error }) => ({
+    id: member.id,
+    label: describeMember(member),
+    provider: member.provider,
+    model: result?.detector?.model || member.model || null,
+    prompt: member.prompt,
+    temperature: member.temperature ?? null,
+    structured: Boolean(result?.structured),
+    scores: result?.scores || null,
+    verdict: result?.verdict || null,
+    incomplete: Boolean(result?.incomplete),
+    rawOutput: result?.rawOutput ?? null,
+    error: error ? error.message : null
+  }));
+
+  if (scored.length === 0) {
+    const fallback = runs.find(run => run.result)?.result;
+    if (!fallback) {
+      throw new Error(`All ${runs.length} ensemble detectors failed: ${members.map(m => m.error).join('; ')}`);
+    }
+    return { ...fallback, ensemble: { members, spread: {}, agreement: null, verdictAgreement: null } };
+  }
+
+  const policy = scored[0].result.policy || DEFAULT_POLICY;
+  const scores = meanOf(scored.map(run => run.result.scores), [...REGION_KEYS, 'average']);
+  const agreement = measureAgreement(scored.map(run => run.result.scores), scores, policy);
+
+  // The member closest to the aggregate supplies the per-person breakdown and key evidence
+  const closest = [...scored].sort((a, b) =>
+    Math.abs(a.result.scores.average - scores.average) - Math.abs(b.result.scores.average - scores.average)
+  )[0].result;
+
+  const segmentScores = averageEntries(scored.map(run => run.result.segmentScores || []), 'segment', [...REGION_KEYS, 'average']);
+  const frameScores = averageEntries(scored.map(run => run.result.frameScores || []), 'frame', ['score']);
+  const annotations = scored.flatMap(run => (run.result.annotations || []).map(a => ({ ...a, member: run.member.id })));
+  const validation = mergeValidation(scored.map(run => run.result), scores);
+
+  return {
+    ...closest,
+    scores,
+    ...(validation && { validation, incomplete: validation.missing.length > 0 }),
+    ...(segmentScores.length > 0 && { segmentScores }),
+    ...(frameScores.length > 0 && { frameScores }),
+    ...(annotations.length > 0 && { annotations }),
+    verdict: verdictForAverage(scores.average, policy),
+    analysis: scored
+      .map(run => `**${describeMember(run.member)}:** ${run.result.analysis}`)
+      .join('\n\n'),
+    rawOutput: closest.rawOutput,
+    ensemble: { members, ...agreement }
+  };
+}
+
+/**
+ * Merge the ensembles of several adaptive passes: each member's scores are
+ * averaged over the passes weighted by frame count, and agreement is
+ * measured again. Returns null when the passes weren't ensembles
+ */
+export function mergeEnsemblePasses(passes) {
+  const ensembles = passes.filter(pass => pass.ensemble);
+  if (ensembles.length === 0) return null;
+  const policy = passes[0].policy || DEFAULT_POLICY;
+
+  const members = ensembles[0].ensemble.members.map((member) => {
+    const entries = ensembles
+      .map(pass => ({ weight: pass.framesAnalyzed || 0, entry: pass.ensemble.members.find(m => m.id === member.id) }))
+      .filter(({ entry }) => entry?.scores);
+
+    const weight = entries.reduce((sum, { weight: w }) => sum + w, 0);
+    if (weight === 0) return { ...member, scores: null, verdict: null };
+
+    const scores = {};
+    for (const key of [...REGION_KEYS, 'average']) {
+      const weighted = entries.filter(({ entry }) => typeof entry.scores[key] === 'number');
+      const keyWeight = weighted.reduce((sum, { weight: w }) => sum + w, 0);
+      if (keyWeight > 0) {
+        scores[key] = round(weighted.reduce((sum, { weight: w, entry }) => sum + entry.scores[key] * w, 0) / keyWeight);
+      }
+    }
+    return {
+      ...member,
+      structured: true,
+      scores,
+      verdict: verdictForAverage(scores.average, policy),
+      rawOutput: null, // Per-pass raw output stays under `passes`
+      error: null
+    };
+  });
+
+  const scored = members.filter(member => member.scores);
+  const aggregate = meanOf(scored.map(member => member.scores), ['average']);
+  return { members, ...measureAgreement(scored.map(member => member.scores), aggregate, policy) };
+}
@@ -0,0 +1,153 @@
+/**
+ * Accuracy metrics for labelled evaluation runs
+ * Scores are the 0-10 region scores, higher meaning more likely fake. Pure
+ * functions over samples of { label: 'real' | 'fake', scores, riskLevel }.
+ */
+
+import { SCORE_REGIONS, RISK_LEVELS } from './riskMapping.js';
+
+export const CALIBRATION_BINS = 10;
+
+const round = (value, places = 3) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+/**
+ * ROC curve and its area for one score key, over samples that have that score
+ * Points run from the strictest threshold (nothing flagged) to the loosest
+ * (everything flagged); tied scores move both rates in one step. AUC is null
+ * unless both classes are present
+ */
+export function rocCurve(samples, key = 'average') {
+  const scored = samples.filter(sample => typeof sample.scores?.[key] === 'number');
+  const positives = scored.filter(sample => sample.label === 'fake').length;
+  const negatives = scored.length - positives;
+
+  if (positives === 0 || negatives === 0) {
+    return { count: scored.length, auc: null, points: [] };
+  }
+
+  const thresholds = [...new Set(scored.map(sample => sample.scores[key]))].sort((a, b) => b - a);
+  const points = [{ threshold: null, tpr: 0, fpr: 0 }];
+  for (const threshold of thresholds) {
+    const flagged = scored.filter(sample => sample.scores[key] >= threshold);
+    const tp = flagged.filter(sample => sample.label === 'fake').length;
+    points.push({ threshold, tpr: tp / positives, fpr: (flagged.length - tp) / negatives });
+  }
+
+  // Trapezoid rule; equivalent to the probability that a random fake outscores a random real
+  let auc = 0;
+  for (let i = 1; i < points.length; i++) {
+    auc += (points[i].fpr - points[i - 1].fpr) * (points[i].tpr + points[i - 1].tpr) / 2;
+  }
+
+  return {
+    count: scored.length,
+    auc: round(auc),
+    points: points.map(point => ({ ...point, tpr: round(point.tpr), fpr: round(point.fpr) }))
+  };
+}
+
+/**
+ * Binary counts and rates when `isFlagged` samples are called fake
+ */
+function binaryMetrics(samples, isFlagged) {
+  const counts = { tp: 0, fp: 0, tn: 0, fn: 0 };
+  samples.forEach((sample) => {
+    const flagged = isFlagged(sample);
+    if (sample.label === 'fake') counts[flagged ? 'tp' : 'fn']++;
+    else counts[flagged ? 'fp' : 'tn']++;
+  });
+
+  const ratio = (num, den) => (den > 0 ? round(num / den) : null);
+  return {
+    ...counts,
+    accuracy: ratio(counts.tp + counts.tn, samples.length),
+    precision: ratio(counts.tp, counts.tp + counts.fp),
+    recall: ratio(counts.tp, counts.tp + counts.fn),
+    specificity: ratio(counts.tn, counts.tn + counts.fp)
+  };
+}
+
+/**
+ * Label × risk level counts, using the LOW/MEDIUM/HIGH bands that
+ * parseStructuredResponse assigns, plus binary metrics with HIGH alone and
+ * with MEDIUM or HIGH counted as a fake call
+ */
+export function confusionMatrix(samples) {
+  const levels = Object.keys(RISK_LEVELS);
+  const matrix = {};
+  for (const label of ['real', 'fake']) {
+    matrix[label] = Object.fromEntries(levels.map(level => [level, 0]));
+    samples
+      .filter(sample => sample.label === label && levels.includes(sample.riskLevel))
+      .forEach((sample) => { matrix[label][sample.riskLevel]++; });
+  }
+
+  return {
+    matrix,
+    highOnly: binaryMetrics(samples, sample => sample.riskLevel === 'HIGH'),
+    mediumOrHigh: binaryMetrics(samples, sample => sample.riskLevel === 'HIGH' || sample.riskLevel === 'MEDIUM')
+  };
+}
+
+/**
+ * Reliability of a predicted probability of fake (by default average/10):
+ * per-bin mean prediction vs observed fake rate, the Brier score and the
+ * expected calibration error (bin gaps weighted by bin size)
+ */
+export function calibrationCurve(samples, bins = CALIBRATION_BINS, predict = sample => sample.scores?.average / 10) {
+  const scored = samples.filter(sample => Number.isFinite(predict(sample)));
+  if (scored.length === 0) {
+    return { bins: [], brier: null, ece: null };
+  }
+
+  const predictions = scored.map(sample => ({
+    predicted: Math.min(1, Math.max(0, predict(sample))),
+    actual: sample.label === 'fake' ? 1 : 0
+  }));
+
+  const curve = Array.from({ length: bins }, (_, i) => {
+    const from = i / bins;
+    const to = (i + 1) / bins;
+    const inBin = predictions.filter(p => p.predicted >= from && (p.predicted < to || (i === bins - 1 && p.predicted <= to)));
+    const mean = key => (inBin.length > 0 ? inBin.reduce((sum, p) => sum + p[key], 0) / inBin.length : null);
+    return {
+      from: round(from),
+      to: round(to),
+      count: inBin.length,
+      meanPredicted: round(mean('predicted')),
+      observedFakeRate: round(mean('actual'))
+    };
+  });
+
+  const brier = predictions.reduce((sum, p) => sum + (p.predicted - p.actual) ** 2, 0) / predictions.length;
+  const ece = curve
+    .filter(bin => bin.count > 0)
+    .reduce((sum, bin) => sum + (bin.count / predictions.length) * Math.abs(bin.meanPredicted - bin.observedFakeRate), 0);
+
+  return { bins: curve, brier: round(brier), ece: round(ece) };
+}
+
+/**
+ * All metrics for one evaluation run
+ * Samples without scores (errors, unstructured responses) are counted but
+ * left out of every metric. When samples carry a calibrated `probability`
+ * (lib/calibration), `calibrated` measures its reliability as well
+ */
+export function evaluateSamples(samples) {
+  const scored = samples.filter(sample => sample.scores && typeof sample.scores.average === 'number');
+  return {
+    samples: samples.length,
+    scored: scored.length,
+    // Scored with some regions or the verdict missing (lib/responseSchema)
+    incomplete: scored.filter(sample => sample.incomplete).length,
+    real: scored.filter(sample => sample.label === 'real').length,
+    fake: scored.filter(sample => sample.label === 'fake').length,
+    roc: rocCurve(scored),
+    confusion: confusionMatrix(scored),
+    calibration: calibrationCurve(scored),
+    calibrated: scored.some(sample => sample.probability)
+      ? calibrationCurve(scored, CALIBRATION_BINS, sample => sample.probability?.probability)
+      : null,
+    regions: Object.fromEntries(SCORE_REGIONS.map(({ key }) => [key, rocCurve(scored, key)]))
+  };
+}
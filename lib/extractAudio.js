@@ -0,0 +1,31 @@
+/**
+ * Client-side audio decoding using Web Audio
+ * Produces the mono PCM that lib/audioFeatures.js measures
+ */
+
+import { AUDIO_SAMPLE_RATE } from './audioFeatures.js';
+
+/**
+ * Decode a video file's audio track to mono Float32 PCM at AUDIO_SAMPLE_RATE
+ * Resolves null when the browser can't decode it, which includes files with
+ * no audio track; browsers don't distinguish the two
+ */
+export async function decodeAudio(videoFile) {
+  try {
+    const buffer = await videoFile.arrayBuffer();
+    // decodeAudioData resamples to the context's rate
+    const context = new OfflineAudioContext(1, 1, AUDIO_SAMPLE_RATE);
+    const decoded = await context.decodeAudioData(buffer);
+
+    const samples = new Float32Array(decoded.length);
+    for (let channel = 0; channel < decoded.numberOfChannels; channel++) {
+      const data = decoded.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) samples[i] += data[i] / decoded.numberOfChannels;
+    }
+
+    return { samples, sampleRate: decoded.sampleRate };
+  } catch (error) {
+    console.warn('Audio decode failed:', error);
+    return null;
+  }
+}
@@ -1,9 +1,23 @@
 /**
  * Client-side video frame extraction using canvas
- * Extracts frames at regular intervals from a video file
+ * Captures the frames in a sampling plan from a video file
  */
 
-export async function extractFrames(videoFile, frameCount = 6) {
+import { DEFAULT_SAMPLING, getSamplingPlan, getCanvasLayout } from './sampling.js';
+import { detectFaces } from './faceDetection.js';
+
+/**
+ * Extract letterboxed JPEG frames following a sampling plan
+ * getPlan overrides the segments, e.g. for an adaptive follow-up pass
+ * With a faceDetector, each frame gets `faces` cropped from the full-resolution video
+ * onProgress is called after each frame with (segmentIndex, segmentCount, completed, total)
+ */
+export async function extractFrames(videoFile, {
+  sampling = DEFAULT_SAMPLING,
+  getPlan = duration => getSamplingPlan(duration, sampling),
+  faceDetector = null,
+  onProgress
+} = {}) {
   return new Promise((resolve, reject) => {
     const video = document.createElement('video');
     const canvas = document.createElement('canvas');
@@ -14,53 +28,76 @@ export async function extractFrames(videoFile, frameCount = 6) {
     video.playsInline = true;
 
     const frames = [];
-    let currentFrame = 0;
+
+    let plan = [];
+    let planSegments = [];
+    let currentIndex = 0;
 
     video.onloadedmetadata = () => {
-      const duration = video.duration;
-      const interval = duration / (frameCount + 1);
+      // Browsers that can't decode the codec often load metadata with no video track
+      if (!video.videoWidth || !video.videoHeight) {
+        URL.revokeObjectURL(video.src);
+        reject(new Error('Browser cannot decode this video'));
+        return;
+      }
 
-      canvas.width = Math.min(video.videoWidth, 1280);
-      canvas.height = Math.min(video.videoHeight, 720);
+      plan = getPlan(video.duration);
+      planSegments = [...new Set(plan.map(p => p.segment))];
 
-      // Scale to fit
-      const scale = Math.min(
-        canvas.width / video.videoWidth,
-        canvas.height / video.videoHeight
-      );
-      const scaledWidth = video.videoWidth * scale;
-      const scaledHeight = video.videoHeight * scale;
+      const layout = getCanvasLayout(video.videoWidth, video.videoHeight, sampling);
+      canvas.width = layout.width;
+      canvas.height = layout.height;
 
       const captureFrame = () => {
-        if (currentFrame >= frameCount) {
+        if (currentIndex >= plan.length) {
           URL.revokeObjectURL(video.src);
-          resolve(frames);
+          resolve({
+            frames,
+            video: {
+              duration: video.duration,
+              width: video.videoWidth,
+              height: video.videoHeight
+            }
+          });
           return;
         }
 
-        const timestamp = interval * (currentFrame + 1);
-        video.currentTime = timestamp;
+        video.currentTime = plan[currentIndex].timestamp;
       };
 
-      video.onseeked = () => {
+      video.onseeked = async () => {
         ctx.fillStyle = '#000';
         ctx.fillRect(0, 0, canvas.width, canvas.height);
         ctx.drawImage(
           video,
-          (canvas.width - scaledWidth) / 2,
-          (canvas.height - scaledHeight) / 2,
-          scaledWidth,
-          scaledHeight
+          (canvas.width - layout.scaledWidth) / 2,
+          (canvas.height - layout.scaledHeight) / 2,
+          layout.scaledWidth,
+          layout.scaledHeight
         );
 
-        const frameData = canvas.toDataURL('image/jpeg', 0.8);
-        frames.push({
+        const { segment, frameInSegment } = plan[currentIndex];
+        const frame = {
           timestamp: video.currentTime,
-          data: frameData,
-          index: currentFrame
-        });
+          data: canvas.toDataURL('image/jpeg', 0.8),
+          segment,
+          frameInSegment
+        };
+
+        // A frame without `faces` means detection didn't run, not that no face was found
+        if (faceDetector) {
+          try {
+            frame.faces = await detectFaces(faceDetector, video, video.videoWidth, video.videoHeight, layout);
+          } catch (error) {
+            console.warn(`Face detection failed at ${frame.timestamp.toFixed(2)}s:`, error);
+          }
+        }
+
+        frames.push(frame);
+
+        currentIndex++;
+        onProgress?.(planSegments.indexOf(segment), planSegments.length, currentIndex, plan.length);
 
-        currentFrame++;
         captureFrame();
       };
 
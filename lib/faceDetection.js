@@ -0,0 +1,165 @@
+/**
+ * Client-side face localization and face crops
+ * Uses the browser's Shape Detection FaceDetector when available, otherwise
+ * MediaPipe's BlazeFace model. Crops are cut from the source at full
+ * resolution so the model sees teeth and catchlights the whole frame loses.
+ */
+
+const MEDIAPIPE_WASM_URL = process.env.NEXT_PUBLIC_FACE_WASM_URL
+  || 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@1.0.1/wasm';
+const MEDIAPIPE_MODEL_URL = process.env.NEXT_PUBLIC_FACE_MODEL_URL
+  || 'https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite';
+
+export const MAX_FACES_PER_FRAME = 4;
+export const FACE_CROP_SIZE = 512; // Max side of the square crops, in pixels
+
+const MIN_FACE_SIZE = 24; // Ignore detections smaller than this, in source pixels
+const CROP_MARGIN = 0.35; // Context around the face box, as a fraction of its size
+
+let detectorPromise = null;
+
+/**
+ * Native FaceDetector (Chrome with Shape Detection enabled)
+ */
+async function createNativeDetector() {
+  const detector = new window.FaceDetector({ fastMode: false, maxDetectedFaces: MAX_FACES_PER_FRAME });
+  return {
+    name: 'shape-detection',
+    detect: async (source) => {
+      const faces = await detector.detect(source);
+      return faces.map(({ boundingBox }) => ({
+        x: boundingBox.x,
+        y: boundingBox.y,
+        width: boundingBox.width,
+        height: boundingBox.height,
+        score: null
+      }));
+    }
+  };
+}
+
+/**
+ * MediaPipe BlazeFace, loaded on first use
+ */
+async function createMediaPipeDetector() {
+  const { FilesetResolver, FaceDetector } = await import('@mediapipe/tasks-vision');
+  const fileset = await FilesetResolver.forVisionTasks(MEDIAPIPE_WASM_URL);
+  const detector = await FaceDetector.createFromOptions(fileset, {
+    baseOptions: { modelAssetPath: MEDIAPIPE_MODEL_URL },
+    runningMode: 'IMAGE',
+    minDetectionConfidence: 0.5
+  });
+  return {
+    name: 'mediapipe-blazeface',
+    detect: async (source) => detector.detect(source).detections.map(({ boundingBox, categories }) => ({
+      x: boundingBox.originX,
+      y: boundingBox.originY,
+      width: boundingBox.width,
+      height: boundingBox.height,
+      score: categories?.[0]?.score ?? null
+    }))
+  };
+}
+
+/**
+ * Get the face detector, or null if neither backend can load
+ * Loads once per page; a failed load is not retried
+ */
+export function loadFaceDetector() {
+  if (!detectorPromise) {
+    detectorPromise = (async () => {
+      if (typeof window !== 'undefined' && 'FaceDetector' in window) {
+        try {
+          return await createNativeDetector();
+        } catch (error) {
+          console.warn('Native face detection unavailable:', error);
+        }
+      }
+      try {
+        return await createMediaPipeDetector();
+      } catch (error) {
+        console.warn('Face detection unavailable:', error);
+        return null;
+      }
+    })();
+  }
+  return detectorPromise;
+}
+
+/**
+ * Detect faces in an image or video element and cut a crop for each
+ * Boxes are normalized to 0-1 of the stored frame; pass the letterbox layout
+ * when the frame was drawn scaled into a canvas
+ */
+export async function detectFaces(detector, source, sourceWidth, sourceHeight, layout = {
+  width: sourceWidth,
+  height: sourceHeight,
+  scaledWidth: sourceWidth,
+  scaledHeight: sourceHeight
+}) {
+  const scale = layout.scaledWidth / sourceWidth;
+  const offsetX = (layout.width - layout.scaledWidth) / 2;
+  const offsetY = (layout.height - layout.scaledHeight) / 2;
+
+  const boxes = (await detector.detect(source))
+    .filter(box => box.width >= MIN_FACE_SIZE && box.height >= MIN_FACE_SIZE)
+    .sort((a, b) => (b.width * b.height) - (a.width * a.height))
+    .slice(0, MAX_FACES_PER_FRAME);
+
+  return boxes.map(box => ({
+    box: {
+      x: (offsetX + box.x * scale) / layout.width,
+      y: (offsetY + box.y * scale) / layout.height,
+      width: (box.width * scale) / layout.width,
+      height: (box.height * scale) / layout.height
+    },
+    score: box.score,
+    crop: cropFace(source, box, sourceWidth, sourceHeight)
+  }));
+}
+
+/**
+ * Cut a square crop around a face box, with margin, clamped to the source
+ */
+function cropFace(source, box, sourceWidth, sourceHeight) {
+  const side = Math.min(
+    Math.max(box.width, box.height) * (1 + CROP_MARGIN * 2),
+    sourceWidth,
+    sourceHeight
+  );
+  const centerX = box.x + box.width / 2;
+  const centerY = box.y + box.height / 2;
+  const left = Math.min(Math.max(0, centerX - side / 2), sourceWidth - side);
+  const top = Math.min(Math.max(0, centerY - side / 2), sourceHeight - side);
+
+  const size = Math.round(Math.min(side, FACE_CROP_SIZE));
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  canvas.getContext('2d').drawImage(source, left, top, side, side, 0, 0, size, size);
+
+  return canvas.toDataURL('image/jpeg', 0.9);
+}
+
+/**
+ * Add face crops to frames that only exist as data URLs
+ * (server-side extraction or the demo), cropping from the frame image itself
+ */
+export async function addFaceCrops(frames, detector) {
+  const withFaces = [];
+
+  for (const frame of frames) {
+    try {
+      const image = new Image();
+      image.src = frame.data;
+      await image.decode();
+      const faces = await detectFaces(detector, image, image.naturalWidth, image.naturalHeight);
+      withFaces.push({ ...frame, faces });
+    } catch (error) {
+      console.warn(`Face detection failed at ${frame.timestamp.toFixed(2)}s:`, error);
+      withFaces.push(frame);
+    }
+  }
+
+  return withFaces;
+}
@@ -0,0 +1,112 @@
+/**
+ * Face tracking across sampled frames
+ * Assigns a stable person number to each detected face by matching boxes
+ * frame to frame, so scores can be broken down per person
+ */
+
+// A face continues a track when its center is within this many face widths
+// of the track's last position and its size is within this ratio
+const MAX_CENTER_DISTANCE = 1.0;
+const MAX_SIZE_RATIO = 1.8;
+
+/**
+ * Distance between box centers in units of the larger box's width,
+ * or Infinity when the sizes are too different to be the same face
+ */
+function matchDistance(a, b) {
+  const sizeRatio = Math.max(a.width, b.width) / Math.min(a.width, b.width);
+  if (!(sizeRatio <= MAX_SIZE_RATIO)) return Infinity;
+
+  const dx = (a.x + a.width / 2) - (b.x + b.width / 2);
+  const dy = (a.y + a.height / 2) - (b.y + b.height / 2);
+  return Math.hypot(dx, dy) / Math.max(a.width, b.width);
+}
+
+/**
+ * Assign `person` to every face in frames that went through face detection
+ * Pass the tracks from a previous call to continue numbering, e.g. for an
+ * adaptive follow-up pass; faces that already have a person are kept as is
+ */
+export function trackFaces(frames, tracks = []) {
+  const state = tracks.map(track => ({ ...track }));
+
+  const tracked = frames.map((frame) => {
+    if (!Array.isArray(frame.faces)) return frame;
+
+    const claimed = new Set();
+    const faces = frame.faces.map((face) => {
+      if (face.person) {
+        claimed.add(face.person);
+        return face;
+      }
+
+      // Closest unclaimed track, greedily by face size (faces are largest first)
+      let best = null;
+      for (const track of state) {
+        if (claimed.has(track.person)) continue;
+        const distance = matchDistance(face.box, track.box);
+        if (distance <= MAX_CENTER_DISTANCE && (!best || distance < best.distance)) {
+          best = { track, distance };
+        }
+      }
+
+      const track = best?.track || { person: state.length + 1 };
+      if (!best) state.push(track);
+      track.box = face.box;
+      claimed.add(track.person);
+
+      return { ...face, person: track.person };
+    });
+
+    // Keep tracks current for faces that arrived with a person already set
+    faces.forEach((face) => {
+      const track = state.find(t => t.person === face.person);
+      if (track) track.box = face.box;
+      else state.push({ person: face.person, box: face.box });
+    });
+
+    return { ...frame, faces };
+  });
+
+  return { frames: tracked, tracks: state };
+}
+
+/**
+ * List the people seen across frames, with the frames each appears in and
+ * a representative face (the largest) for crops and labels
+ * Frame numbers are 1-based positions in `frames`
+ */
+export function summarizePersons(frames) {
+  const persons = new Map();
+
+  frames.forEach((frame, index) => {
+    (frame.faces || []).forEach((face, faceIndex) => {
+      if (!face.person) return;
+      const entry = persons.get(face.person) || { person: face.person, frames: [], representative: null };
+      entry.frames.push(index + 1);
+
+      const area = face.box.width * face.box.height;
+      if (!entry.representative || area > entry.representative.area) {
+        entry.representative = { frame: index + 1, faceIndex, area };
+      }
+      persons.set(face.person, entry);
+    });
+  });
+
+  return [...persons.values()]
+    .sort((a, b) => a.person - b.person)
+    .map(({ representative, ...entry }) => ({
+      ...entry,
+      representativeFrame: representative.frame,
+      representativeFace: representative.faceIndex
+    }));
+}
+
+/**
+ * Crop image of a person's representative face, or null when frames
+ * were left out (e.g. a share link without thumbnails)
+ */
+export function getRepresentativeCrop(frames, person) {
+  const face = frames?.[person.representativeFrame - 1]?.faces?.[person.representativeFace];
+  return face?.person === person.person ? face.crop || null : null;
+}
@@ -0,0 +1,258 @@
+/**
+ * Server-side frame extraction using ffmpeg
+ * Mirrors the browser canvas extraction: same sampling plan, same
+ * letterboxed JPEG frames, same {timestamp, data, segment, frameInSegment} objects
+ * Inputs are uploads and downloads, so ffmpeg may only read the local file
+ * or stdin it is given, and each run is killed after FFMPEG_TIMEOUT_MS
+ */
+
+import { spawn } from 'child_process';
+import { DEFAULT_SAMPLING, getCanvasLayout } from './sampling.js';
+import { AUDIO_SAMPLE_RATE, getAudioWindows } from './audioFeatures.js';
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FFMPEG_TIMEOUT_MS = parseInt(process.env.FFMPEG_TIMEOUT_MS || '', 10) || 120000;
+
+// Input options that keep a playlist-shaped file from making ffmpeg open URLs
+const FILE_INPUT = ['-protocol_whitelist', 'file'];
+const PIPE_INPUT = ['-protocol_whitelist', 'pipe'];
+
+/**
+ * Run a binary and collect stdout as a Buffer and stderr as text
+ * `input` is written to stdin when given. A run that takes longer than
+ * FFMPEG_TIMEOUT_MS is killed and rejects with status 422
+ */
+function run(command, args, input = null) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: [input ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+    const stdout = [];
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+      const error = new Error(`${command} took longer than ${FFMPEG_TIMEOUT_MS / 1000} s; the video may be damaged or too long to process`);
+      error.status = 422;
+      reject(error);
+    }, FFMPEG_TIMEOUT_MS);
+
+    if (input) {
+      child.stdin.on('error', () => {}); // Reported through the exit code instead
+      child.stdin.end(input);
+    }
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => { stderr += chunk; });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      if (error.code === 'ENOENT') {
+        reject(new Error(`${command} not found. Install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH.`));
+      } else {
+        reject(error);
+      }
+    });
+
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut) return;
+      if (code !== 0) {
+        reject(new Error(`${command} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+        return;
+      }
+      resolve({ stdout: Buffer.concat(stdout), stderr });
+    });
+  });
+}
+
+/**
+ * Read duration and display dimensions of the first video stream,
+ * and whether there is an audio stream
+ */
+export async function probeVideo(filePath) {
+  const { stdout: output } = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    ...FILE_INPUT,
+    filePath
+  ]);
+
+  const info = JSON.parse(output.toString());
+  const stream = info.streams?.find(s => s.codec_type === 'video');
+
+  if (!stream) {
+    throw new Error('No video stream found');
+  }
+
+  const duration = parseFloat(stream.duration || info.format?.duration);
+  if (!duration) {
+    throw new Error('Could not determine video duration');
+  }
+
+  // ffmpeg auto-rotates on decode, so report the displayed orientation
+  const rotation = Math.abs(parseInt(
+    stream.side_data_list?.find(d => d.rotation !== undefined)?.rotation ?? stream.tags?.rotate ?? 0,
+    10
+  ));
+  const rotated = rotation % 180 === 90;
+
+  return {
+    duration,
+    width: rotated ? stream.height : stream.width,
+    height: rotated ? stream.width : stream.height,
+    codec: stream.codec_name,
+    hasAudio: info.streams.some(s => s.codec_type === 'audio')
+  };
+}
+
+/**
+ * Extract a single letterboxed JPEG frame at the given timestamp
+ */
+async function extractFrameAt(filePath, timestamp, layout) {
+  const { width, height } = layout;
+  const filter = [
+    `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black`
+  ].join(',');
+
+  const { stdout: jpeg } = await run(FFMPEG_PATH, [
+    '-v', 'error',
+    '-ss', timestamp.toFixed(3),
+    ...FILE_INPUT,
+    '-i', filePath,
+    '-frames:v', '1',
+    '-vf', filter,
+    '-q:v', '3',
+    '-f', 'image2pipe',
+    '-vcodec', 'mjpeg',
+    'pipe:1'
+  ]);
+
+  if (jpeg.length === 0) {
+    throw new Error(`No frame decoded at ${timestamp.toFixed(2)}s`);
+  }
+
+  return `data:image/jpeg;base64,${jpeg.toString('base64')}`;
+}
+
+/**
+ * Extract the frames in a sampling plan from a probed video
+ */
+export async function extractPlannedFrames(filePath, video, plan, sampling = DEFAULT_SAMPLING) {
+  const layout = getCanvasLayout(video.width, video.height, sampling);
+
+  const frames = [];
+  for (const { timestamp, segment, frameInSegment } of plan) {
+    const data = await extractFrameAt(filePath, timestamp, layout);
+    frames.push({ timestamp, data, segment, frameInSegment });
+  }
+
+  return frames;
+}
+
+/**
+ * Decode the audio around the given sampled frames to mono Float32 PCM at
+ * AUDIO_SAMPLE_RATE, for buildAudioSummary; the rest of the track is never
+ * decoded, so long videos cost no more memory than short ones
+ * Resolves null for videos without audio
+ */
+export async function extractAudio(filePath, video, frames) {
+  if (!video.hasAudio) return null;
+
+  const windows = [];
+  for (const [start, end] of getAudioWindows(frames)) {
+    const { stdout } = await run(FFMPEG_PATH, [
+      '-v', 'error',
+      '-ss', start.toFixed(3),
+      '-t', (end - start).toFixed(3),
+      ...FILE_INPUT,
+      '-i', filePath,
+      '-vn',
+      '-ac', '1',
+      '-ar', String(AUDIO_SAMPLE_RATE),
+      '-f', 'f32le',
+      'pipe:1'
+    ]);
+
+    // Copy so the Float32Array view starts on an aligned offset
+    windows.push({ start, samples: new Float32Array(new Uint8Array(stdout).buffer, 0, Math.floor(stdout.length / 4)) });
+  }
+
+  return { windows, sampleRate: AUDIO_SAMPLE_RATE, duration: video.duration };
+}
+
+/**
+ * Find scene change timestamps using ffmpeg's scene score
+ * Frames are downscaled first since only the change magnitude matters
+ */
+export async function detectSceneChanges(filePath, threshold = 0.3) {
+  const { stderr } = await run(FFMPEG_PATH, [
+    '-v', 'info',
+    '-nostats',
+    ...FILE_INPUT,
+    '-i', filePath,
+    '-an',
+    '-vf', `scale=320:-2,select='gt(scene,${threshold})',showinfo`,
+    '-f', 'null',
+    '-'
+  ]);
+
+  return [...stderr.matchAll(/pts_time:([\d.]+)/g)].map(match => parseFloat(match[1]));
+}
+
+// JPEG qscale for error-level analysis re-saves, roughly quality 75 (ELA_QUALITY)
+const ELA_QSCALE = 6;
+
+/**
+ * Decode JPEG bytes to RGB24 pixels
+ */
+async function decodeJpeg(jpeg) {
+  const { stdout, stderr } = await run(FFMPEG_PATH, [
+    '-v', 'info',
+    '-f', 'jpeg_pipe',
+    ...PIPE_INPUT,
+    '-i', 'pipe:0',
+    '-f', 'rawvideo',
+    '-pix_fmt', 'rgb24',
+    'pipe:1'
+  ], jpeg);
+
+  const size = stderr.slice(stderr.indexOf('Output #0')).match(/, (\d+)x(\d+)/);
+  if (!size) {
+    throw new Error('Could not read decoded frame size');
+  }
+  return { width: parseInt(size[1], 10), height: parseInt(size[2], 10), data: stdout };
+}
+
+/**
+ * Pixel loader for analyzeFrameForensics (lib/imageForensics.js):
+ * decodes a frame's JPEG data URL and a re-saved copy for error-level analysis
+ */
+export async function decodeFramePixels(frame) {
+  const jpeg = Buffer.from(frame.data.split(',')[1], 'base64');
+  const original = await decodeJpeg(jpeg);
+
+  const { stdout: resaved } = await run(FFMPEG_PATH, [
+    '-v', 'error',
+    '-f', 'jpeg_pipe',
+    ...PIPE_INPUT,
+    '-i', 'pipe:0',
+    '-q:v', String(ELA_QSCALE),
+    '-f', 'image2pipe',
+    '-vcodec', 'mjpeg',
+    'pipe:1'
+  ], jpeg);
+  const recompressed = await decodeJpeg(resaved);
+
+  return {
+    width: original.width,
+    height: original.height,
+    channels: 3,
+    original: original.data,
+    recompressed: recompressed.data
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * JSON file store
+ * One file per record, keyed by a URL-safe ID, under a directory resolved at call time
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const ID_PATTERN = /^[a-zA-Z0-9_-]{8,64}$/;
+
+export function isValidRecordId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+/**
+ * Create a store over the directory returned by getDir
+ */
+export function createFileStore(getDir) {
+  const recordPath = (id) => {
+    if (!isValidRecordId(id)) {
+      throw new Error(`Invalid record id: ${id}`);
+    }
+    return path.join(getDir(), `${id}.json`);
+  };
+
+  const get = async (id) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(recordPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const ids = async () => {
+    try {
+      const files = await fs.promises.readdir(getDir());
+      return files.filter(name => name.endsWith('.json')).map(name => path.basename(name, '.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  return {
+    /**
+     * Save a record; the record must carry its own id
+     */
+    async save(record) {
+      await fs.promises.mkdir(getDir(), { recursive: true });
+      await fs.promises.writeFile(recordPath(record.id), JSON.stringify(record));
+      return record.id;
+    },
+
+    /**
+     * Load a record, or null when it doesn't exist
+     */
+    get,
+
+    async remove(id) {
+      await fs.promises.rm(recordPath(id), { force: true });
+    },
+
+    /**
+     * Number of records in the store, without loading them
+     */
+    async count() {
+      return (await ids()).length;
+    },
+
+    /**
+     * Load every record in the store
+     */
+    async list() {
+      const records = await Promise.all((await ids()).map(id => get(id).catch(() => null)));
+      return records.filter(Boolean);
+    }
+  };
+}
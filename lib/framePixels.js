@@ -0,0 +1,37 @@
+/**
+ * Client-side pixel access for image forensics
+ * Decodes frame data URLs through a canvas and re-encodes them as JPEG
+ * for error-level analysis
+ */
+
+import { ELA_QUALITY } from './imageForensics.js';
+
+async function decodeImage(src) {
+  const image = new Image();
+  image.src = src;
+  await image.decode();
+  return image;
+}
+
+/**
+ * Pixel loader for analyzeFrameForensics
+ */
+export async function loadFramePixels(frame) {
+  const image = await decodeImage(frame.data);
+  const width = image.naturalWidth;
+  const height = image.naturalHeight;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  ctx.drawImage(image, 0, 0);
+  const original = ctx.getImageData(0, 0, width, height).data;
+
+  const resaved = await decodeImage(canvas.toDataURL('image/jpeg', ELA_QUALITY));
+  ctx.drawImage(resaved, 0, 0);
+  const recompressed = ctx.getImageData(0, 0, width, height).data;
+
+  return { width, height, channels: 4, original, recompressed };
+}
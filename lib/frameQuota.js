@@ -0,0 +1,51 @@
+/**
+ * Frame quota charging for analyses run with an API key
+ * Every image sent to the model counts, once per model call: each frame and
+ * face crop, for every ensemble member and every validation retry. The most
+ * an analysis could send is reserved before it starts, and what it didn't
+ * send is refunded once it settles. Node only.
+ */
+
+import { countModelImages, MAX_RESPONSE_ATTEMPTS } from './analyzeFrames.js';
+import { reserveFrames, releaseFrames } from './usageStore.js';
+
+// Model call stages are "model:<n>", prefixed with "member<id>:" in an ensemble
+const isModelCall = stage => /(^|:)model:\d+$/.test(stage.key) && stage.status === 'done';
+
+/**
+ * Reserve the frames a parsed analysis request (lib/analyzeRequest) could use
+ * Returns { allowed, usage, reserved, track, settle }: pass the analysis's
+ * onProgress through `track` so model calls are counted, then call `settle`
+ * when it has finished or failed, which resolves with { charged, usage }
+ */
+export async function reserveAnalysis(key, { frames, members }) {
+  const images = countModelImages(frames);
+  const reserved = images * (members ? members.length : 1) * MAX_RESPONSE_ATTEMPTS;
+  const { allowed, usage } = await reserveFrames(key, reserved);
+  let calls = 0;
+
+  return {
+    allowed,
+    usage,
+    reserved,
+    track: (onProgress = () => {}) => (stage) => {
+      if (isModelCall(stage)) calls++;
+      onProgress(stage);
+    },
+    async settle() {
+      const charged = Math.min(reserved, calls * images);
+      const settled = await releaseFrames(key, reserved - charged, { cancelRequest: calls === 0 });
+      return { charged, usage: settled };
+    }
+  };
+}
+
+/**
+ * 429 body for a reservation that didn't fit in the quota
+ */
+export function quotaExceeded({ reserved, usage }) {
+  return {
+    error: 'Monthly frame quota exceeded',
+    message: `This request may need ${reserved} frames; ${usage.remaining} of ${usage.limit} remain until ${usage.resetsAt}`
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * Client-side analysis history
+ * Uses the server result store when /api/history reports it enabled,
+ * otherwise keeps results in IndexedDB in this browser. The server store
+ * builds its own summaries with summarizeResult
+ */
+
+import { parseAnalysisResponse } from './riskMapping.js';
+
+const DB_NAME = 'video-verify';
+const DB_VERSION = 1;
+const STORE_NAME = 'analyses';
+
+let serverEnabled = null;
+
+/**
+ * Check once per page load whether the server store is configured
+ */
+async function useServerStore() {
+  if (serverEnabled === null) {
+    try {
+      const response = await fetch('/api/history');
+      serverEnabled = response.ok && (await response.json()).enabled === true;
+    } catch {
+      serverEnabled = false;
+    }
+  }
+  return serverEnabled;
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a single request against the object store
+ */
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = callback(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Build the list-view summary for a result
+ */
+export function summarizeResult(id, result) {
+  const parsed = parseAnalysisResponse(result);
+  return {
+    id,
+    fileName: result.fileName,
+    analyzedAt: result.analyzedAt,
+    riskLevel: parsed.riskLevel,
+    average: parsed.scores?.average ?? null
+  };
+}
+
+/**
+ * Save a completed analysis and return its stable ID
+ */
+export async function saveAnalysis(result) {
+  if (await useServerStore()) {
+    const response = await fetch('/api/history', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ result })
+    });
+    if (!response.ok) throw new Error('Failed to save analysis');
+    return (await response.json()).id;
+  }
+
+  const id = crypto.randomUUID();
+  await withStore('readwrite', store => store.put({ id, summary: summarizeResult(id, result), result }));
+  return id;
+}
+
+/**
+ * Load a saved analysis result by ID, or null if it doesn't exist
+ */
+export async function getAnalysis(id) {
+  if (await useServerStore()) {
+    const response = await fetch(`/api/history/${encodeURIComponent(id)}`);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error('Failed to load analysis');
+    return (await response.json()).result;
+  }
+
+  const record = await withStore('readonly', store => store.get(id));
+  return record?.result || null;
+}
+
+/**
+ * List saved analyses, newest first
+ */
+export async function listAnalyses() {
+  if (await useServerStore()) {
+    const response = await fetch('/api/history');
+    if (!response.ok) throw new Error('Failed to load history');
+    return (await response.json()).items;
+  }
+
+  const records = await withStore('readonly', store => store.getAll());
+  return records
+    .map(record => record.summary)
+    .sort((a, b) => new Date(b.analyzedAt) - new Date(a.analyzedAt));
+}
+
+export async function deleteAnalysis(id) {
+  if (await useServerStore()) {
+    const response = await fetch(`/api/history/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    if (!response.ok) throw new Error('Failed to delete analysis');
+    return;
+  }
+
+  await withStore('readwrite', store => store.delete(id));
+}
@@ -0,0 +1,360 @@
+/**
+ * Classical image forensics on extracted frames
+ * Deterministic per-frame analyses that need no model: error-level analysis,
+ * noise-residual inconsistency between faces and background, and
+ * frame-to-frame motion jitter. Each gives a 0-10 score (higher = more
+ * suspicious, like the region scores) and a coarse heatmap for overlays.
+ *
+ * Pixels come from a loader so the same code runs in the browser (canvas)
+ * and on the server (ffmpeg): loadPixels(frame) resolves
+ * { width, height, channels, original, recompressed } where recompressed is
+ * the frame re-encoded as JPEG at ELA_QUALITY.
+ */
+
+export const FORENSIC_ANALYSES = [
+  { key: 'ela', label: 'Error Level' },
+  { key: 'noise', label: 'Noise Residual' },
+  { key: 'flow', label: 'Motion Jitter' }
+];
+
+export const ELA_QUALITY = 0.75;
+
+const GRID_COLS = 32; // Heatmap cells across for ELA and noise
+const FLOW_WIDTH = 160; // Frames are downscaled to this width for block matching
+const FLOW_BLOCK = 8;
+const FLOW_SEARCH = 4; // Max displacement searched, in downscaled pixels
+const MIN_BLOCK_STD = 4; // Flat blocks have no reliable motion
+const PADDING_LUMA = 2; // Cells this dark and flat are letterbox padding
+const RATIO_DEADBAND = 0.5; // log2 face/background ratio treated as natural variation
+// Integer block matching flips between neighbouring vectors on sub-pixel
+// motion, so jitter up to JITTER_DEADBAND pixels is quantization
+const JITTER_DEADBAND = 1;
+const JITTER_SCALE = 3.3; // Score per downscaled pixel of jitter beyond the deadband
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const clampScore = value => round(Math.min(10, Math.max(0, value)));
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+function toGray(data, width, height, channels) {
+  const gray = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += channels) {
+    gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  return gray;
+}
+
+/**
+ * Which heatmap cells fall inside a face box (boxes are 0-1 of the frame)
+ */
+function faceCellMask(faces, cols, rows) {
+  const mask = new Uint8Array(cols * rows);
+  for (const { box } of faces || []) {
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const x = (col + 0.5) / cols;
+        const y = (row + 0.5) / rows;
+        if (x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height) {
+          mask[row * cols + col] = 1;
+        }
+      }
+    }
+  }
+  return mask;
+}
+
+/**
+ * Score how far faces stand out from the background, or, without faces,
+ * how far the strongest cells stand out from the rest
+ */
+function inconsistencyScore(values, valid, faceMask) {
+  const face = [];
+  const background = [];
+  values.forEach((value, index) => {
+    if (!valid[index]) return;
+    (faceMask[index] ? face : background).push(value);
+  });
+
+  if (face.length > 0 && background.length >= 4) {
+    const ratio = (mean(face) + 0.5) / (median(background) + 0.5);
+    return clampScore((Math.abs(Math.log2(ratio)) - RATIO_DEADBAND) * 4);
+  }
+
+  const all = [...face, ...background];
+  if (all.length < 4) return null;
+  const ratio = (percentile(all, 0.98) + 0.5) / (median(all) + 0.5);
+  return clampScore((Math.log2(ratio) - 1) * 3.3);
+}
+
+function toHeatmap(values, valid, cols, rows) {
+  const max = Math.max(1e-6, ...values.filter((_, index) => valid[index]));
+  return {
+    cols,
+    rows,
+    values: Array.from(values, (value, index) => (valid[index] ? round(value / max, 2) : 0))
+  };
+}
+
+/**
+ * Per-cell means of a per-pixel map, and which cells are picture rather
+ * than letterbox padding
+ */
+function cellStats(map, gray, width, height, cols, rows) {
+  const sums = new Float64Array(cols * rows);
+  const luma = new Float64Array(cols * rows);
+  const counts = new Uint32Array(cols * rows);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(rows - 1, Math.floor((y * rows) / height));
+    for (let x = 0; x < width; x++) {
+      const cell = row * cols + Math.min(cols - 1, Math.floor((x * cols) / width));
+      const i = y * width + x;
+      sums[cell] += map[i];
+      luma[cell] += gray[i];
+      counts[cell]++;
+    }
+  }
+
+  const values = Array.from(sums, (sum, cell) => sum / Math.max(1, counts[cell]));
+  const valid = Array.from(luma, (sum, cell) => counts[cell] > 0 && sum / counts[cell] > PADDING_LUMA);
+  return { values, valid };
+}
+
+/**
+ * Error-level analysis: how much each area changes when re-saved as JPEG.
+ * Regions pasted from a different source recompress differently from the rest
+ */
+function errorLevel(pixels, gray, faces) {
+  const { width, height, channels, original, recompressed } = pixels;
+  const diff = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < diff.length; i++, p += channels) {
+    diff[i] = (Math.abs(original[p] - recompressed[p])
+      + Math.abs(original[p + 1] - recompressed[p + 1])
+      + Math.abs(original[p + 2] - recompressed[p + 2])) / 3;
+  }
+
+  const cols = GRID_COLS;
+  const rows = Math.max(1, Math.round((GRID_COLS * height) / width));
+  const { values, valid } = cellStats(diff, gray, width, height, cols, rows);
+  return {
+    score: inconsistencyScore(values, valid, faceCellMask(faces, cols, rows)),
+    heatmap: toHeatmap(values, valid, cols, rows)
+  };
+}
+
+/**
+ * Noise residual: high-pass energy left after removing local structure.
+ * Camera sensor noise is fairly even across a frame; generated or blended
+ * faces are often smoother or noisier than their surroundings
+ */
+function noiseResidual(pixels, gray, faces) {
+  const { width, height } = pixels;
+  const residual = new Float32Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      residual[i] = Math.abs(4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - width] - gray[i + width]) / 4;
+    }
+  }
+
+  const cols = GRID_COLS;
+  const rows = Math.max(1, Math.round((GRID_COLS * height) / width));
+  const { values, valid } = cellStats(residual, gray, width, height, cols, rows);
+  return {
+    score: inconsistencyScore(values, valid, faceCellMask(faces, cols, rows)),
+    heatmap: toHeatmap(values, valid, cols, rows)
+  };
+}
+
+function downscale(gray, width, height) {
+  const scale = FLOW_WIDTH / width;
+  const outWidth = Math.min(width, FLOW_WIDTH);
+  const outHeight = Math.max(FLOW_BLOCK, Math.round(height * Math.min(1, scale)));
+  const out = new Float32Array(outWidth * outHeight);
+  const counts = new Uint32Array(outWidth * outHeight);
+
+  for (let y = 0; y < height; y++) {
+    const oy = Math.min(outHeight - 1, Math.floor((y * outHeight) / height));
+    for (let x = 0; x < width; x++) {
+      const o = oy * outWidth + Math.min(outWidth - 1, Math.floor((x * outWidth) / width));
+      out[o] += gray[y * width + x];
+      counts[o]++;
+    }
+  }
+  for (let i = 0; i < out.length; i++) out[i] /= Math.max(1, counts[i]);
+
+  return { gray: out, width: outWidth, height: outHeight };
+}
+
+/**
+ * Block-matching motion from prev to current, with the frame's median
+ * motion (camera movement) removed; flat blocks are marked invalid
+ */
+function motionField(prev, current) {
+  const { width, height } = current;
+  const cols = Math.floor(width / FLOW_BLOCK);
+  const rows = Math.floor(height / FLOW_BLOCK);
+  const vx = new Float32Array(cols * rows);
+  const vy = new Float32Array(cols * rows);
+  const valid = new Array(cols * rows).fill(false);
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const x0 = col * FLOW_BLOCK;
+      const y0 = row * FLOW_BLOCK;
+
+      let sum = 0;
+      let sumSq = 0;
+      for (let y = 0; y < FLOW_BLOCK; y++) {
+        for (let x = 0; x < FLOW_BLOCK; x++) {
+          const v = current.gray[(y0 + y) * width + x0 + x];
+          sum += v;
+          sumSq += v * v;
+        }
+      }
+      const n = FLOW_BLOCK * FLOW_BLOCK;
+      if (Math.sqrt(Math.max(0, sumSq / n - (sum / n) ** 2)) < MIN_BLOCK_STD) continue;
+
+      let best = Infinity;
+      let bestX = 0;
+      let bestY = 0;
+      for (let dy = -FLOW_SEARCH; dy <= FLOW_SEARCH; dy++) {
+        for (let dx = -FLOW_SEARCH; dx <= FLOW_SEARCH; dx++) {
+          if (x0 + dx < 0 || y0 + dy < 0 || x0 + dx + FLOW_BLOCK > width || y0 + dy + FLOW_BLOCK > height) continue;
+          let sad = 0;
+          for (let y = 0; y < FLOW_BLOCK && sad < best; y++) {
+            for (let x = 0; x < FLOW_BLOCK; x++) {
+              sad += Math.abs(current.gray[(y0 + y) * width + x0 + x] - prev.gray[(y0 + y + dy) * width + x0 + x + dx]);
+            }
+          }
+          // Prefer the smaller displacement on ties so static blocks stay at zero
+          if (sad < best || (sad === best && Math.hypot(dx, dy) < Math.hypot(bestX, bestY))) {
+            best = sad;
+            bestX = dx;
+            bestY = dy;
+          }
+        }
+      }
+
+      const index = row * cols + col;
+      vx[index] = bestX;
+      vy[index] = bestY;
+      valid[index] = true;
+    }
+  }
+
+  const validIndexes = valid.flatMap((ok, index) => (ok ? [index] : []));
+  const globalX = median(validIndexes.map(i => vx[i])) ?? 0;
+  const globalY = median(validIndexes.map(i => vy[i])) ?? 0;
+  for (const i of validIndexes) {
+    vx[i] -= globalX;
+    vy[i] -= globalY;
+  }
+
+  return { cols, rows, vx, vy, valid };
+}
+
+/**
+ * Motion jitter: change in local (camera-compensated) motion between
+ * consecutive frame pairs. Natural motion is smooth at these intervals;
+ * face swaps tend to wobble against the head they sit on
+ */
+function motionJitter(field, previousField, faces) {
+  const { cols, rows } = field;
+  const values = new Array(cols * rows).fill(0);
+  const valid = field.valid.map((ok, index) => ok && previousField.valid[index]);
+
+  valid.forEach((ok, index) => {
+    if (ok) {
+      values[index] = Math.hypot(field.vx[index] - previousField.vx[index], field.vy[index] - previousField.vy[index]);
+    }
+  });
+
+  const faceMask = faceCellMask(faces, cols, rows);
+  const inFaces = values.filter((_, index) => valid[index] && faceMask[index]);
+  const all = values.filter((_, index) => valid[index]);
+  if (all.length === 0) return null;
+
+  const jitter = inFaces.length > 0 ? mean(inFaces) : percentile(all, 0.9);
+  return {
+    score: clampScore((jitter - JITTER_DEADBAND) * JITTER_SCALE),
+    heatmap: {
+      cols,
+      rows,
+      values: values.map(value => round(Math.min(1, value / 2), 2))
+    }
+  };
+}
+
+/**
+ * Run all analyses and attach `forensics` to each frame
+ * Frames are processed in order; motion needs two earlier frames from the
+ * same segment, so the first two frames of each segment have no flow result.
+ * A frame whose pixels can't be loaded keeps no `forensics`
+ */
+export async function analyzeFrameForensics(frames, loadPixels) {
+  const analyzed = [];
+  let previous = null; // { segment, small, field }
+
+  for (const frame of frames) {
+    let pixels;
+    try {
+      pixels = await loadPixels(frame);
+    } catch (error) {
+      console.warn(`Forensics skipped at ${frame.timestamp?.toFixed(2)}s: ${error.message}`);
+      analyzed.push(frame);
+      previous = null;
+      continue;
+    }
+
+    const gray = toGray(pixels.original, pixels.width, pixels.height, pixels.channels);
+    const small = downscale(gray, pixels.width, pixels.height);
+
+    const sameSegment = previous && previous.segment === frame.segment;
+    const field = sameSegment ? motionField(previous.small, small) : null;
+    const flow = field && previous.field ? motionJitter(field, previous.field, frame.faces) : null;
+
+    analyzed.push({
+      ...frame,
+      forensics: {
+        ela: errorLevel(pixels, gray, frame.faces),
+        noise: noiseResidual(pixels, gray, frame.faces),
+        flow
+      }
+    });
+    previous = { segment: frame.segment, small, field };
+  }
+
+  return analyzed;
+}
+
+/**
+ * Average each analysis over the frames that produced a score
+ * Returns { ela, noise, flow, average, frames } or null when nothing ran
+ */
+export function summarizeForensics(frames) {
+  const withForensics = frames.filter(frame => frame.forensics);
+  if (withForensics.length === 0) return null;
+
+  const summary = { frames: withForensics.length };
+  for (const { key } of FORENSIC_ANALYSES) {
+    const scores = withForensics.map(frame => frame.forensics[key]?.score).filter(score => typeof score === 'number');
+    summary[key] = scores.length > 0 ? round(mean(scores)) : null;
+  }
+
+  const available = FORENSIC_ANALYSES.map(({ key }) => summary[key]).filter(score => score !== null);
+  summary.average = available.length > 0 ? round(mean(available)) : null;
+  return summary;
+}
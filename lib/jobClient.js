@@ -0,0 +1,139 @@
+/**
+ * Client for the analysis job API (/api/jobs)
+ * Starts jobs with upload progress, follows them over Server-Sent Events
+ * (polling when the stream drops), and remembers the running job in
+ * localStorage so the upload page can pick it up again after a reload
+ */
+
+import { readError } from './responseError.js';
+
+const ACTIVE_JOB_KEY = 'video-verify-active-job';
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * POST an analysis request as a job; resolves with the job's initial view
+ * onUploadProgress(fraction) follows the request body upload. Errors carry
+ * the HTTP `status`; 503 means the server has jobs disabled
+ */
+export function startJob(body, { onUploadProgress = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    // fetch can't report upload progress, XMLHttpRequest can
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', '/api/jobs');
+    xhr.setRequestHeader('Content-Type', 'application/json');
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) onUploadProgress(event.loaded / event.total);
+    };
+    xhr.onload = () => {
+      let data = null;
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        // Reported below
+      }
+      if (xhr.status === 202 && data) {
+        resolve(data);
+      } else {
+        const error = new Error(data?.error || `Starting the analysis failed (${xhr.status})`);
+        error.status = xhr.status;
+        reject(error);
+      }
+    };
+    xhr.onerror = () => reject(new Error('Upload failed'));
+    xhr.send(JSON.stringify(body));
+  });
+}
+
+/**
+ * Fetch a job's current view; null when the server no longer has it
+ */
+export async function fetchJob(id, { frames = false } = {}) {
+  const response = await fetch(`/api/jobs/${encodeURIComponent(id)}${frames ? '?frames=1' : ''}`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(await readError(response, 'Failed to load analysis job'));
+  }
+  return response.json();
+}
+
+/**
+ * Ask the server to cancel a running job
+ */
+export async function cancelJob(id) {
+  const response = await fetch(`/api/jobs/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  if (!response.ok && response.status !== 409) {
+    throw new Error(await readError(response, 'Failed to cancel analysis'));
+  }
+}
+
+/**
+ * Follow a job until it finishes, calling onUpdate with each view
+ * Resolves with the final view; rejects when the job disappears
+ */
+export function watchJob(id, onUpdate = () => {}) {
+  return new Promise((resolve, reject) => {
+    let pollTimer = null;
+    const handle = (view) => {
+      onUpdate(view);
+      if (view.status !== 'running') {
+        clearTimeout(pollTimer);
+        resolve(view);
+        return true;
+      }
+      return false;
+    };
+
+    const poll = async () => {
+      try {
+        const view = await fetchJob(id);
+        if (!view) {
+          reject(new Error('The analysis job is no longer available'));
+          return;
+        }
+        if (handle(view)) return;
+      } catch (error) {
+        console.warn('Polling analysis job failed:', error);
+      }
+      pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+
+    if (typeof EventSource === 'undefined') {
+      poll();
+      return;
+    }
+
+    const source = new EventSource(`/api/jobs/${encodeURIComponent(id)}/events`);
+    source.addEventListener('job', (event) => {
+      if (handle(JSON.parse(event.data))) source.close();
+    });
+    source.onerror = () => {
+      // The stream closes after the final event, or dropped; polling settles either
+      source.close();
+      poll();
+    };
+  });
+}
+
+export function rememberActiveJob(id) {
+  try {
+    localStorage.setItem(ACTIVE_JOB_KEY, id);
+  } catch {
+    // Storage unavailable: the job just can't be resumed after leaving
+  }
+}
+
+export function getActiveJob() {
+  try {
+    return localStorage.getItem(ACTIVE_JOB_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function forgetActiveJob() {
+  try {
+    localStorage.removeItem(ACTIVE_JOB_KEY);
+  } catch {
+    // Nothing to forget
+  }
+}
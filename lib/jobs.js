@@ -0,0 +1,253 @@
+/**
+ * Analysis jobs
+ * Runs an analysis in the background of the server process and records its
+ * stages, so clients can poll or stream progress, cancel, and come back for
+ * the result, or be called back (lib/webhooks) when it finishes. Jobs live
+ * in memory: they need a long-running server (`next start`), and are lost
+ * on restart. Node only.
+ */
+
+import crypto from 'crypto';
+import { analyzeFrames, analyzeFramesWithEnsemble } from './analyzeFrames.js';
+import { isValidRecordId } from './fileStore.js';
+import { assessResult } from './apiResults.js';
+import { sendWebhook } from './webhooks.js';
+
+export const JOB_STATUSES = ['running', 'completed', 'failed', 'cancelled'];
+
+// Finished jobs are kept this long for clients to collect the result
+const JOB_TTL_MS = 60 * 60 * 1000;
+// ...and their frames only this long, for a reloaded page to finish the
+// analysis with; jobs without a client context drop them when they finish
+const JOB_FRAMES_TTL_MS = 10 * 60 * 1000;
+
+// Defaults for ANALYSIS_JOBS_MAX_RUNNING and ANALYSIS_JOBS_MAX_KEPT
+const MAX_RUNNING_JOBS = 20;
+const MAX_KEPT_JOBS = 500;
+
+// Shared across API routes, which may load this module separately
+const jobs = globalThis.videoVerifyJobs || (globalThis.videoVerifyJobs = new Map());
+
+const isFinished = job => job.status !== 'running';
+
+export const isValidJobId = isValidRecordId;
+
+/**
+ * Whether this server accepts jobs: ANALYSIS_JOBS=on|off, defaulting to off
+ * on Vercel, where background work and in-memory state don't outlive a request
+ */
+export function jobsEnabled() {
+  const setting = process.env.ANALYSIS_JOBS;
+  return setting ? setting !== 'off' : !process.env.VERCEL;
+}
+
+function limitFromEnv(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * Public view of a job: everything but the frames, listeners and controller
+ * Pass `includeFrames` for the frames the job analyzed, null once released
+ */
+export function describeJob(job, { includeFrames = false } = {}) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    stages: job.stages,
+    context: job.context,
+    callback: job.callback,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    ...(includeFrames && { frames: job.frames })
+  };
+}
+
+function notify(job) {
+  job.updatedAt = new Date().toISOString();
+  const view = describeJob(job);
+  job.listeners.forEach(listener => listener(view));
+}
+
+/**
+ * Add or update a stage by key; progress is the share of model calls done
+ */
+function recordStage(job, { key, label, status }) {
+  const now = new Date().toISOString();
+  const existing = job.stages.find(stage => stage.key === key);
+  if (existing) {
+    Object.assign(existing, { label, status, ...(status !== 'running' && { finishedAt: now }) });
+  } else {
+    job.stages.push({ key, label, status, startedAt: now, ...(status !== 'running' && { finishedAt: now }) });
+  }
+
+  const calls = job.stages.filter(stage => stage.key.includes('model:') && stage.status === 'done').length;
+  job.progress = Math.max(job.progress, Math.min(95, Math.round((calls / job.expectedCalls) * 90)));
+  notify(job);
+}
+
+/**
+ * POST the outcome to the job's callbackUrl; the result is summarized, and
+ * the full job stays available from /api/jobs/<id> until it expires
+ */
+async function sendCallback(job) {
+  const { result } = job;
+  const payload = {
+    jobId: job.id,
+    status: job.status,
+    finishedAt: job.updatedAt,
+    result: result && {
+      ...assessResult(result),
+      verdict: result.verdict ?? null,
+      scores: result.scores ?? null,
+      incomplete: Boolean(result.incomplete),
+      keyEvidence: result.keyEvidence ?? null,
+      framesAnalyzed: result.framesAnalyzed,
+      detector: result.detector,
+      policy: result.policy?.name ?? null
+    },
+    error: job.error
+  };
+
+  try {
+    job.callback.delivery = await sendWebhook(job.callback.url, `analysis.${job.status}`, payload, { job: job.id, keyId: job.keyId });
+  } catch (error) {
+    console.error(`Callback for job ${job.id} failed:`, error);
+  }
+}
+
+function finish(job, fields) {
+  if (isFinished(job)) return;
+  Object.assign(job, fields);
+  const now = new Date().toISOString();
+  job.stages
+    .filter(stage => stage.status === 'running')
+    .forEach(stage => Object.assign(stage, { status: fields.status === 'cancelled' ? 'cancelled' : 'failed', finishedAt: now }));
+  notify(job);
+  job.listeners.clear();
+  if (job.callback) sendCallback(job);
+  job.reservation?.settle().catch(error => console.error(`Usage for job ${job.id} failed:`, error));
+
+  if (job.context) {
+    setTimeout(() => { job.frames = null; }, JOB_FRAMES_TTL_MS).unref?.();
+  } else {
+    job.frames = null;
+  }
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref?.();
+}
+
+/**
+ * Refuse a new job while ANALYSIS_JOBS_MAX_RUNNING are running, and forget
+ * the oldest finished jobs beyond ANALYSIS_JOBS_MAX_KEPT
+ */
+function makeRoom() {
+  const running = [...jobs.values()].filter(job => !isFinished(job)).length;
+  const maxRunning = limitFromEnv('ANALYSIS_JOBS_MAX_RUNNING', MAX_RUNNING_JOBS);
+  if (running >= maxRunning) {
+    const error = new Error(`The server is already running its limit of ${maxRunning} analyses; try again shortly`);
+    error.status = 503;
+    throw error;
+  }
+
+  // Map order is creation order, so the oldest finished jobs go first
+  const maxKept = limitFromEnv('ANALYSIS_JOBS_MAX_KEPT', MAX_KEPT_JOBS);
+  for (const [id, job] of jobs) {
+    if (jobs.size < maxKept) break;
+    if (isFinished(job)) jobs.delete(id);
+  }
+}
+
+/**
+ * Start a job for a parsed analysis request (lib/analyzeRequest)
+ * `context` is stored as given and returned with the job, for the client to
+ * finish the analysis with if it reconnects. With a callbackUrl, the
+ * outcome is posted there as an analysis.completed, .failed or .cancelled
+ * webhook, logged for the API key `keyId`. `reservation` (lib/frameQuota) is
+ * settled when the job finishes.
+ * Returns the job's public view; throws with status 503 when too many jobs
+ * are running
+ */
+export function createJob({ frames, members, options, callbackUrl = null }, context = null, { reservation = null, keyId = null } = {}) {
+  makeRoom();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomBytes(16).toString('base64url'),
+    status: 'running',
+    progress: 0,
+    stages: [{
+      key: 'upload',
+      label: `Received ${frames.length} frames`,
+      status: 'done',
+      startedAt: now,
+      finishedAt: now
+    }],
+    context,
+    // `delivery` is the webhook delivery ID once the callback has been sent
+    callback: callbackUrl ? { url: callbackUrl, delivery: null } : null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    frames,
+    expectedCalls: members ? members.length : 1,
+    reservation,
+    keyId,
+    controller: new AbortController(),
+    listeners: new Set()
+  };
+  jobs.set(job.id, job);
+
+  const onProgress = stage => !isFinished(job) && recordStage(job, stage);
+  const analysisOptions = {
+    ...options,
+    signal: job.controller.signal,
+    onProgress: reservation ? reservation.track(onProgress) : onProgress
+  };
+  const run = members
+    ? analyzeFramesWithEnsemble(frames, members, analysisOptions)
+    : analyzeFrames(frames, analysisOptions);
+
+  run.then(
+    result => finish(job, { status: 'completed', progress: 100, result }),
+    (error) => {
+      if (job.controller.signal.aborted) return;
+      console.error(`Job ${job.id} failed:`, error);
+      finish(job, { status: 'failed', error: error.message });
+    }
+  );
+
+  return describeJob(job);
+}
+
+/**
+ * A job's internal record, or null when unknown, expired, or started with
+ * an API key other than `keyId`
+ */
+export function getJob(id, keyId = null) {
+  const job = jobs.get(id);
+  return job && (!job.keyId || job.keyId === keyId) ? job : null;
+}
+
+/**
+ * Cancel a running job; returns false when it had already finished
+ */
+export function cancelJob(job) {
+  if (isFinished(job)) return false;
+  job.controller.abort();
+  finish(job, { status: 'cancelled', error: 'Cancelled' });
+  return true;
+}
+
+/**
+ * Call `listener` with the job's public view on every update until it
+ * finishes; returns the function that unsubscribes
+ */
+export function subscribeToJob(job, listener) {
+  if (isFinished(job)) return () => {};
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
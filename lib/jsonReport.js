@@ -0,0 +1,102 @@
+/**
+ * Machine-readable JSON report
+ * Bump REPORT_SCHEMA_VERSION on any breaking change to the document shape
+ * (major) or when adding fields (minor), so ingesting systems can branch on it
+ */
+
+export const REPORT_SCHEMA = 'video-verify.report';
+export const REPORT_SCHEMA_VERSION = '1.14';
+
+/**
+ * Build the versioned report document from a stored analysis result
+ * and its parsed risk data
+ */
+export function buildJsonReport({ result, riskData, signals, confidence, probability = null }) {
+  return {
+    schema: REPORT_SCHEMA,
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    analyzedAt: result.analyzedAt || null,
+    input: {
+      fileName: result.fileName || null,
+      fileSize: result.fileSize ?? null,
+      fileType: result.fileType || null,
+      lastModified: result.lastModified ? new Date(result.lastModified).toISOString() : null,
+      // URL the video was fetched from; null for uploaded and local files
+      sourceUrl: result.sourceUrl || null,
+      duration: result.video?.duration ?? null,
+      width: result.video?.width ?? null,
+      height: result.video?.height ?? null
+    },
+    sampling: result.sampling ? { ...result.sampling, passes: result.passCount || 1 } : null,
+    frames: (result.frames || []).map((frame, index) => ({
+      index: index + 1,
+      timestamp: frame.timestamp,
+      segment: frame.segment ?? null,
+      frameInSegment: frame.frameInSegment ?? null,
+      // null when face detection didn't run for this frame
+      faces: Array.isArray(frame.faces)
+        ? frame.faces.map(face => ({ box: face.box, score: face.score ?? null, person: face.person ?? null }))
+        : null,
+      // Scores and heatmaps per analysis; null when forensics didn't run
+      forensics: frame.forensics || null
+    })),
+    audio: result.audio || null,
+    metadata: result.metadata || null,
+    forensics: result.forensics || null,
+    // Weights and cut-offs that produced riskLevel
+    policy: riskData.policy,
+    // Artifact behind result.probability; null when no calibration was loaded
+    calibration: result.calibration
+      ? {
+          method: result.calibration.method,
+          fittedAt: result.calibration.fittedAt,
+          samples: result.calibration.samples,
+          policy: result.calibration.policy,
+          features: result.calibration.features,
+          interval: result.calibration.interval
+        }
+      : null,
+    detector: result.detector || null,
+    model: {
+      structured: Boolean(result.structured),
+      rawOutput: result.rawOutput ?? result.analysis ?? null,
+      // Response checks: attempts, repairs made, rejected values and missing fields
+      validation: result.validation || null,
+      passes: result.passes || null
+    },
+    result: {
+      riskLevel: riskData.riskLevel,
+      verdict: riskData.verdict || null,
+      // True when region scores or the verdict are missing after retries
+      incomplete: riskData.incomplete,
+      scores: riskData.scores || null,
+      segmentScores: result.segmentScores || null,
+      frameScores: result.frameScores || null,
+      personScores: result.personScores || null,
+      annotations: result.annotations || null,
+      // Per-detector scores and agreement when an ensemble ran
+      ensemble: result.ensemble || null,
+      keyEvidence: riskData.keyEvidence || null,
+      analysis: riskData.rawAnalysis || null,
+      signals,
+      // Heuristic; prefer probability when present
+      confidence,
+      probability
+    }
+  };
+}
+
+/**
+ * Trigger a browser download of the JSON report
+ */
+export function downloadJsonReport(props) {
+  const report = buildJsonReport(props);
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `video-verify-report-${Date.now()}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
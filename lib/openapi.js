@@ -0,0 +1,389 @@
+/**
+ * OpenAPI description of the public REST API (/api/v1)
+ * Built on request from the same constants that validate requests and shape
+ * results (providers, prompt variants, ensemble size, regions, verdicts, risk
+ * levels, key defaults), so the spec follows the code it describes
+ */
+
+import { DETECTOR_PROVIDERS, REQUEST_PROVIDERS } from './detectors.js';
+import { MAX_REQUEST_FRAMES } from './analyzeRequest.js';
+import { MAX_FACES_PER_FRAME } from './faceDetection.js';
+import { PROMPT_VARIANTS, MAX_RESPONSE_ATTEMPTS } from './analyzeFrames.js';
+import { MAX_ENSEMBLE_MEMBERS } from './ensemble.js';
+import { VERDICTS } from './responseSchema.js';
+import { RISK_LEVELS, SCORE_REGIONS } from './riskMapping.js';
+import { DEFAULT_POLICY } from './riskPolicy.js';
+import { CALIBRATION_METHODS } from './calibration.js';
+import { DEFAULT_RATE_LIMIT, DEFAULT_MONTHLY_FRAMES } from './apiKeys.js';
+
+export const API_VERSION = '1.0.0';
+
+const REGION_KEYS = SCORE_REGIONS.map(region => region.key);
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ oneOf: [schema, { type: 'null' }] });
+const score = { type: 'integer', minimum: 0, maximum: 10 };
+const average = { type: 'number', minimum: 0, maximum: 10 };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const regionScores = Object.fromEntries(SCORE_REGIONS.map(region => [region.key, { ...score, description: region.label }]));
+
+const box = {
+  type: 'object',
+  description: 'Fractions of the frame width and height',
+  required: ['x', 'y', 'width', 'height'],
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    width: { type: 'number' },
+    height: { type: 'number' }
+  }
+};
+
+const schemas = () => ({
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  Frame: {
+    type: 'object',
+    required: ['data', 'timestamp'],
+    properties: {
+      data: { type: 'string', description: 'JPEG or PNG data URL' },
+      timestamp: { type: 'number', description: 'Seconds from the start of the video' },
+      segment: { type: 'integer', minimum: 1 },
+      frameInSegment: { type: 'integer', minimum: 1 },
+      faces: {
+        type: 'array',
+        description: 'Detected faces; an empty array means none were found',
+        maxItems: MAX_FACES_PER_FRAME,
+        items: {
+          type: 'object',
+          required: ['box'],
+          properties: {
+            box,
+            person: { type: 'integer', minimum: 1, description: 'Tracked automatically when left out' },
+            crop: { type: 'string', description: 'Data URL of the face crop, sent to the model at high detail' }
+          }
+        }
+      }
+    }
+  },
+  EnsembleMember: {
+    type: 'object',
+    properties: {
+      provider: { type: 'string', enum: REQUEST_PROVIDERS },
+      model: { type: 'string', description: 'One of the server\'s ENSEMBLE_MODELS; omit for the provider\'s configured model' },
+      prompt: { type: 'string', enum: Object.keys(PROMPT_VARIANTS), default: 'standard' },
+      temperature: { type: 'number', minimum: 0, maximum: 2 }
+    }
+  },
+  AnalyzeRequest: {
+    type: 'object',
+    required: ['frames'],
+    properties: {
+      frames: { type: 'array', minItems: 1, maxItems: MAX_REQUEST_FRAMES, items: ref('Frame') },
+      detector: {
+        type: 'string',
+        enum: REQUEST_PROVIDERS,
+        description: 'Defaults to the server\'s DETECTOR_PROVIDER'
+      },
+      sampling: {
+        type: 'object',
+        required: ['segments', 'framesPerSegment', 'segmentDuration'],
+        properties: {
+          segments: { type: 'number', exclusiveMinimum: 0 },
+          framesPerSegment: { type: 'number', exclusiveMinimum: 0 },
+          segmentDuration: { type: 'number', exclusiveMinimum: 0 }
+        }
+      },
+      audio: nullable({
+        type: 'object',
+        required: ['hasAudio'],
+        description: 'Audio summary of the sampled segments, as the JSON report\'s `audio`',
+        properties: { hasAudio: { type: 'boolean' } }
+      }),
+      perFrame: { type: 'boolean', default: false, description: 'Score every frame' },
+      annotate: { type: 'boolean', default: false, description: 'Box suspicious regions' },
+      ensemble: {
+        description: `true for the server's configured ensemble, or 2-${MAX_ENSEMBLE_MEMBERS} members (ENSEMBLE_MAX_MEMBERS may allow fewer)`,
+        oneOf: [
+          { type: 'boolean' },
+          { type: 'array', minItems: 2, maxItems: MAX_ENSEMBLE_MEMBERS, items: ref('EnsembleMember') }
+        ]
+      }
+    }
+  },
+  Scores: {
+    type: 'object',
+    properties: { ...regionScores, average: nullable({ ...average, description: 'Weighted per the risk policy' }) }
+  },
+  Validation: {
+    type: 'object',
+    required: ['attempts', 'repairs', 'errors', 'missing'],
+    properties: {
+      attempts: { type: 'integer', minimum: 0 },
+      repairs: stringList,
+      errors: stringList,
+      missing: { type: 'array', items: { type: 'string', enum: [...REGION_KEYS, 'verdict'] } }
+    }
+  },
+  Policy: {
+    type: 'object',
+    required: Object.keys(DEFAULT_POLICY),
+    properties: {
+      name: { type: 'string' },
+      weights: {
+        type: 'object',
+        properties: Object.fromEntries(REGION_KEYS.map(key => [key, { type: 'number', minimum: 0 }]))
+      },
+      riskBands: { type: 'object', properties: { medium: average, high: average } },
+      severityBands: { type: 'object', properties: { medium: average, high: average } },
+      verdictOverride: { type: 'boolean' }
+    }
+  },
+  Probability: {
+    type: 'object',
+    required: ['probability', 'low', 'high', 'method'],
+    properties: {
+      probability: { type: 'number', minimum: 0, maximum: 1 },
+      low: { type: 'number', minimum: 0, maximum: 1 },
+      high: { type: 'number', minimum: 0, maximum: 1 },
+      method: { type: 'string', enum: CALIBRATION_METHODS }
+    }
+  },
+  AnalysisResult: {
+    type: 'object',
+    required: ['success', 'structured', 'incomplete', 'rawOutput', 'framesAnalyzed', 'detector', 'policy'],
+    properties: {
+      success: { type: 'boolean' },
+      structured: { type: 'boolean', description: 'false when the model never returned usable JSON' },
+      scores: ref('Scores'),
+      incomplete: { type: 'boolean', description: 'Region scores or the verdict were missing after retries' },
+      validation: ref('Validation'),
+      segmentScores: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { segment: { type: 'integer' }, start: { type: 'number' }, end: { type: 'number' }, ...regionScores, average }
+        }
+      },
+      frameScores: {
+        type: 'array',
+        description: 'When perFrame was set',
+        items: {
+          type: 'object',
+          properties: { frame: { type: 'integer' }, timestamp: { type: 'number' }, segment: nullable({ type: 'integer' }), score }
+        }
+      },
+      personScores: {
+        type: 'array',
+        description: 'When several people were tracked',
+        items: {
+          type: 'object',
+          properties: {
+            person: { type: 'integer' },
+            ...regionScores,
+            average,
+            verdict: nullable({ type: 'string', enum: VERDICTS }),
+            keyEvidence: nullable({ type: 'string' })
+          }
+        }
+      },
+      annotations: {
+        type: 'array',
+        description: 'When annotate was set',
+        items: {
+          type: 'object',
+          properties: {
+            frame: { type: 'integer' },
+            timestamp: { type: 'number' },
+            region: { type: 'string' },
+            box,
+            score: nullable(score),
+            note: nullable({ type: 'string' }),
+            excerpt: nullable({ type: 'string' }),
+            member: { type: 'integer', description: 'Ensemble member that placed it' }
+          }
+        }
+      },
+      audio: { type: 'object', description: 'The audio summary the request sent' },
+      verdict: nullable({ type: 'string', enum: VERDICTS }),
+      keyEvidence: { type: 'string' },
+      analysis: { type: 'string' },
+      rawOutput: { type: 'string' },
+      framesAnalyzed: { type: 'integer' },
+      detector: {
+        type: 'object',
+        properties: { provider: { type: 'string', enum: Object.keys(DETECTOR_PROVIDERS) }, model: { type: 'string' } }
+      },
+      policy: ref('Policy'),
+      calibration: { type: 'object', description: 'The calibration artifact behind `probability`, when one is configured' },
+      ensemble: {
+        type: 'object',
+        description: 'When an ensemble ran',
+        properties: {
+          members: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                label: { type: 'string' },
+                provider: { type: 'string' },
+                model: nullable({ type: 'string' }),
+                prompt: { type: 'string' },
+                temperature: nullable({ type: 'number' }),
+                structured: { type: 'boolean' },
+                scores: nullable(ref('Scores')),
+                verdict: nullable({ type: 'string', enum: VERDICTS }),
+                incomplete: { type: 'boolean' },
+                rawOutput: nullable({ type: 'string' }),
+                error: nullable({ type: 'string' })
+              }
+            }
+          },
+          spread: { type: 'object', properties: Object.fromEntries(REGION_KEYS.map(key => [key, { type: 'number' }])) },
+          agreement: nullable({ type: 'number', minimum: 0, maximum: 1 }),
+          verdictAgreement: nullable({ type: 'number', minimum: 0, maximum: 1 })
+        }
+      }
+    }
+  },
+  ApiResult: {
+    type: 'object',
+    required: ['id', 'createdAt', 'riskLevel', 'probability', 'result'],
+    properties: {
+      id: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      riskLevel: { type: 'string', enum: Object.keys(RISK_LEVELS) },
+      probability: nullable(ref('Probability')),
+      result: ref('AnalysisResult')
+    }
+  },
+  Usage: {
+    type: 'object',
+    required: ['key', 'month', 'frames', 'requests', 'limit', 'remaining', 'resetsAt', 'rateLimit'],
+    properties: {
+      key: { type: 'string' },
+      month: { type: 'string', description: 'UTC calendar month, YYYY-MM' },
+      frames: { type: 'integer', description: 'Frames charged this month' },
+      requests: { type: 'integer' },
+      limit: nullable({ type: 'integer', description: 'Monthly frame quota; null for none' }),
+      remaining: nullable({ type: 'integer' }),
+      resetsAt: { type: 'string', format: 'date-time' },
+      rateLimit: {
+        type: 'object',
+        properties: { requests: { type: 'integer' }, windowSeconds: { type: 'integer' } }
+      }
+    }
+  }
+});
+
+const rateLimitHeaders = {
+  'X-RateLimit-Limit': { schema: { type: 'integer' }, description: 'Requests allowed per window' },
+  'X-RateLimit-Remaining': { schema: { type: 'integer' } },
+  'X-RateLimit-Reset': { schema: { type: 'integer' }, description: 'Unix time when the oldest counted request leaves the window' }
+};
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+// Responses every authenticated operation can return
+const authResponses = {
+  401: errorResponse('Missing or invalid API key'),
+  429: { ...errorResponse('Rate limit or monthly frame quota exceeded'), headers: { 'Retry-After': { schema: { type: 'integer' } } } },
+  503: errorResponse('API_KEYS_FILE is not set')
+};
+
+const jsonResponse = (description, schema, headers = rateLimitHeaders) => ({
+  description,
+  headers,
+  content: { 'application/json': { schema } }
+});
+
+/**
+ * The OpenAPI 3.1 document for /api/v1; `serverUrl` is the deployment's origin
+ */
+export function buildOpenApiSpec({ serverUrl = null } = {}) {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Video Verify API',
+      version: API_VERSION,
+      description: 'Deepfake screening of sampled video frames. Authenticate with an API key; '
+        + `keys default to ${DEFAULT_RATE_LIMIT.requests} requests per ${DEFAULT_RATE_LIMIT.windowSeconds} seconds `
+        + `and ${DEFAULT_MONTHLY_FRAMES} frames a month.`
+    },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    paths: {
+      '/api/v1/analyze': {
+        post: {
+          operationId: 'analyze',
+          summary: 'Analyze frames',
+          description: 'Runs detection and stores the result. Every image sent to the model (each frame and face crop, '
+            + 'for every detector and every validation retry) counts against the monthly quota. The most the request '
+            + `could use (${MAX_RESPONSE_ATTEMPTS} calls per detector) must fit in the quota; the unused part is refunded.`,
+          requestBody: { required: true, content: { 'application/json': { schema: ref('AnalyzeRequest') } } },
+          responses: {
+            201: jsonResponse('Result stored', ref('ApiResult'), {
+              ...rateLimitHeaders,
+              Location: { schema: { type: 'string' } },
+              'X-Frame-Quota-Limit': { schema: { type: 'integer' }, description: 'Absent when the key has no quota' },
+              'X-Frame-Quota-Remaining': { schema: { type: 'integer' } },
+              'X-Frames-Charged': { schema: { type: 'integer' }, description: 'Images sent to the model for this request' }
+            }),
+            400: errorResponse('Invalid request'),
+            ...authResponses,
+            500: errorResponse('Analysis failed; only images already sent to the model are charged')
+          }
+        }
+      },
+      '/api/v1/results/{id}': {
+        get: {
+          operationId: 'getResult',
+          summary: 'Fetch a stored result',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: jsonResponse('The result', ref('ApiResult')),
+            400: errorResponse('Invalid result id'),
+            404: errorResponse('No such result for this key'),
+            ...authResponses
+          }
+        }
+      },
+      '/api/v1/usage': {
+        get: {
+          operationId: 'getUsage',
+          summary: 'This month\'s usage and the key\'s limits',
+          responses: {
+            200: jsonResponse('Usage', ref('Usage')),
+            ...authResponses
+          }
+        }
+      },
+      '/api/v1/openapi.json': {
+        get: {
+          operationId: 'getOpenApiSpec',
+          summary: 'This document',
+          security: [],
+          responses: { 200: { description: 'OpenAPI document', content: { 'application/json': {} } } }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: schemas()
+    }
+  };
+}
@@ -0,0 +1,415 @@
+/**
+ * PDF report generation using @react-pdf/renderer
+ * Loaded on demand from the results page so the PDF renderer stays out of the main bundle
+ */
+
+import { Document, Page, View, Text, Image, StyleSheet, pdf } from '@react-pdf/renderer';
+import { SCORE_REGIONS, SEVERITY_COLORS, getScoreSeverity } from './riskMapping.js';
+import { describePolicy } from './riskPolicy.js';
+import { describeIncomplete } from './responseSchema.js';
+import { getRepresentativeCrop } from './faceTracking.js';
+
+const styles = StyleSheet.create({
+  page: {
+    padding: 36,
+    paddingBottom: 60,
+    fontSize: 10,
+    fontFamily: 'Helvetica',
+    color: '#1f2937'
+  },
+  title: {
+    fontSize: 20,
+    fontFamily: 'Helvetica-Bold',
+    marginBottom: 4
+  },
+  subtitle: {
+    fontSize: 9,
+    color: '#6b7280',
+    marginBottom: 16
+  },
+  section: {
+    marginBottom: 16
+  },
+  sectionTitle: {
+    fontSize: 12,
+    fontFamily: 'Helvetica-Bold',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+    paddingBottom: 4,
+    marginBottom: 8
+  },
+  row: {
+    flexDirection: 'row',
+    marginBottom: 3
+  },
+  label: {
+    width: 110,
+    color: '#6b7280'
+  },
+  // Wraps long values (URLs) within the row instead of running off the page
+  value: {
+    flex: 1
+  },
+  riskBadge: {
+    padding: 8,
+    borderRadius: 4,
+    marginBottom: 6
+  },
+  riskLabel: {
+    fontSize: 14,
+    fontFamily: 'Helvetica-Bold'
+  },
+  scoreRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6
+  },
+  scoreLabel: {
+    width: 130
+  },
+  scoreTrack: {
+    flex: 1,
+    height: 8,
+    backgroundColor: '#e5e7eb',
+    borderRadius: 4
+  },
+  scoreFill: {
+    height: 8,
+    borderRadius: 4
+  },
+  scoreValue: {
+    width: 40,
+    textAlign: 'right',
+    fontFamily: 'Helvetica-Bold'
+  },
+  signal: {
+    flexDirection: 'row',
+    marginBottom: 6
+  },
+  signalDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginTop: 2,
+    marginRight: 8
+  },
+  signalCategory: {
+    fontSize: 8,
+    color: '#6b7280',
+    textTransform: 'uppercase'
+  },
+  segmentLabel: {
+    fontSize: 9,
+    fontFamily: 'Helvetica-Bold',
+    color: '#6b7280',
+    marginTop: 6,
+    marginBottom: 4
+  },
+  contactSheet: {
+    flexDirection: 'row',
+    flexWrap: 'wrap'
+  },
+  thumb: {
+    width: 62,
+    marginRight: 4,
+    marginBottom: 4
+  },
+  person: {
+    flexDirection: 'row',
+    marginBottom: 10
+  },
+  personCrop: {
+    width: 64,
+    height: 64,
+    marginRight: 10,
+    borderRadius: 4
+  },
+  thumbCaption: {
+    fontSize: 6,
+    color: '#6b7280',
+    textAlign: 'center'
+  },
+  analysis: {
+    lineHeight: 1.5
+  },
+  footer: {
+    position: 'absolute',
+    bottom: 20,
+    left: 36,
+    right: 36,
+    fontSize: 7,
+    color: '#9ca3af'
+  }
+});
+
+/**
+ * Group frames by segment for the contact sheet
+ */
+function groupFramesBySegment(frames) {
+  return frames.reduce((groups, frame) => {
+    const key = frame.segment || 1;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(frame);
+    return groups;
+  }, {});
+}
+
+function ScoreBar({ label, score, policy }) {
+  const color = SEVERITY_COLORS[getScoreSeverity(score, policy)];
+  return (
+    <View style={styles.scoreRow}>
+      <Text style={styles.scoreLabel}>{label}</Text>
+      <View style={styles.scoreTrack}>
+        <View style={[styles.scoreFill, { width: `${score * 10}%`, backgroundColor: color }]} />
+      </View>
+      <Text style={[styles.scoreValue, { color }]}>{score}/10</Text>
+    </View>
+  );
+}
+
+export function ReportDocument({ result, riskData, signals, confidence, probability }) {
+  const { scores, policy } = riskData;
+  const frameGroups = groupFramesBySegment(result.frames || []);
+
+  return (
+    <Document title={`Video Authenticity Report - ${result.fileName}`} author="Video Verify">
+      <Page size="A4" style={styles.page}>
+        <Text style={styles.title}>Video Authenticity Report</Text>
+        <Text style={styles.subtitle}>
+          Generated {new Date().toLocaleString()} by Video Verify - cameronobrien.dev
+        </Text>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>File Information</Text>
+          <View style={styles.row}>
+            <Text style={styles.label}>File Name</Text>
+            <Text>{result.fileName}</Text>
+          </View>
+          {result.sourceUrl && (
+            <View style={styles.row}>
+              <Text style={styles.label}>Source URL</Text>
+              <Text style={styles.value}>{result.sourceUrl}</Text>
+            </View>
+          )}
+          <View style={styles.row}>
+            <Text style={styles.label}>File Size</Text>
+            <Text>{(result.fileSize / (1024 * 1024)).toFixed(2)} MB</Text>
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.label}>Frames Analyzed</Text>
+            <Text>{result.framesAnalyzed}</Text>
+          </View>
+          {result.sampling?.label && (
+            <View style={styles.row}>
+              <Text style={styles.label}>Sampling Profile</Text>
+              <Text>{result.sampling.label}</Text>
+            </View>
+          )}
+          {result.passCount > 1 && (
+            <View style={styles.row}>
+              <Text style={styles.label}>Sampling Passes</Text>
+              <Text>{result.passCount} (adaptive follow-up after an ambiguous first pass)</Text>
+            </View>
+          )}
+          {typeof result.forensics?.average === 'number' && (
+            <View style={styles.row}>
+              <Text style={styles.label}>Image Forensics</Text>
+              <Text>{result.forensics.average}/10 average (error level, noise residual, motion jitter)</Text>
+            </View>
+          )}
+          {result.metadata?.container && (
+            <View style={styles.row}>
+              <Text style={styles.label}>Container</Text>
+              <Text>
+                {[
+                  result.metadata.container.toUpperCase(),
+                  result.metadata.codec?.format,
+                  result.metadata.encoder && `encoder ${result.metadata.encoder}`
+                ].filter(Boolean).join(', ')}
+              </Text>
+            </View>
+          )}
+          <View style={styles.row}>
+            <Text style={styles.label}>Analysis Date</Text>
+            <Text>{new Date(result.analyzedAt).toLocaleString()}</Text>
+          </View>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Risk Assessment</Text>
+          <View style={[styles.riskBadge, { backgroundColor: riskData.riskInfo.bgColor }]}>
+            <Text style={[styles.riskLabel, { color: riskData.riskInfo.color }]}>
+              {riskData.riskInfo.label}
+            </Text>
+            <Text>{riskData.riskInfo.description}</Text>
+          </View>
+          {probability ? (
+            <View style={styles.row}>
+              <Text style={styles.label}>Probability of Manipulation</Text>
+              <Text>
+                {Math.round(probability.probability * 100)}% ({Math.round(probability.low * 100)}–{Math.round(probability.high * 100)}%, {probability.method} calibration)
+              </Text>
+            </View>
+          ) : (
+            <View style={styles.row}>
+              <Text style={styles.label}>Confidence (uncalibrated)</Text>
+              <Text>{Math.round(confidence)}%</Text>
+            </View>
+          )}
+          {riskData.verdict && (
+            <View style={styles.row}>
+              <Text style={styles.label}>Verdict</Text>
+              <Text>{riskData.verdict}</Text>
+            </View>
+          )}
+          {riskData.incomplete && (
+            <View style={styles.row}>
+              <Text style={styles.label}>Incomplete Result</Text>
+              <Text>{describeIncomplete(result)}</Text>
+            </View>
+          )}
+          <View style={styles.row}>
+            <Text style={styles.label}>Risk Policy</Text>
+            <Text>{policy.name} ({describePolicy(policy)})</Text>
+          </View>
+        </View>
+
+        {scores && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Region Analysis Scores (0 = authentic, 10 = manipulated)</Text>
+            {SCORE_REGIONS.map(({ key, label }) => (
+              scores[key] !== undefined && <ScoreBar key={key} label={label} score={scores[key]} policy={policy} />
+            ))}
+            {scores.average !== undefined && <ScoreBar label="Average Score" score={scores.average} policy={policy} />}
+          </View>
+        )}
+
+        {result.segmentScores?.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Segment Scores (average of regions)</Text>
+            {result.segmentScores.map(segment => (
+              <ScoreBar
+                key={segment.segment}
+                label={`Segment ${segment.segment} (${segment.start.toFixed(1)}s-${segment.end.toFixed(1)}s)`}
+                score={segment.average}
+                policy={policy}
+              />
+            ))}
+          </View>
+        )}
+
+        {result.personScores?.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Per-Person Scores</Text>
+            {result.personScores.map((person) => {
+              const crop = getRepresentativeCrop(result.frames, person);
+              return (
+                <View key={person.person} style={styles.person} wrap={false}>
+                  {crop && <Image src={crop} style={styles.personCrop} />}
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.signalCategory}>
+                      Person {person.person} - {person.verdict || 'N/A'} ({person.frames.length} frames)
+                    </Text>
+                    {SCORE_REGIONS.map(({ key, label }) =>
+                      person[key] !== undefined && <ScoreBar key={key} label={label} score={person[key]} policy={policy} />
+                    )}
+                    <ScoreBar label="Average Score" score={person.average} policy={policy} />
+                    {person.keyEvidence && <Text>{person.keyEvidence}</Text>}
+                  </View>
+                </View>
+              );
+            })}
+          </View>
+        )}
+
+        {result.ensemble && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Detector Ensemble</Text>
+            {typeof result.ensemble.agreement === 'number' && (
+              <View style={styles.row}>
+                <Text style={styles.label}>Agreement</Text>
+                <Text>
+                  {Math.round(result.ensemble.agreement * 100)}% (verdict shared by
+                  {' '}{Math.round(result.ensemble.verdictAgreement * 100)}% of detectors)
+                </Text>
+              </View>
+            )}
+            {result.ensemble.members.map(member => (
+              member.scores
+                ? <ScoreBar key={member.id} label={`${member.label} (${member.verdict || 'N/A'})`} score={member.scores.average} policy={policy} />
+                : (
+                  <View key={member.id} style={styles.row}>
+                    <Text style={styles.label}>{member.label}</Text>
+                    <Text>{member.error ? `Failed: ${member.error}` : 'No scores'}</Text>
+                  </View>
+                )
+            ))}
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Detected Signals</Text>
+          {signals.map((signal, index) => (
+            <View key={index} style={styles.signal} wrap={false}>
+              <View style={[styles.signalDot, { backgroundColor: SEVERITY_COLORS[signal.severity] }]} />
+              <View style={{ flex: 1 }}>
+                <Text style={styles.signalCategory}>
+                  {signal.category} - {signal.severity}
+                </Text>
+                <Text>{signal.signal}</Text>
+              </View>
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Detailed Analysis</Text>
+          <Text style={styles.analysis}>{riskData.rawAnalysis || result.analysis}</Text>
+        </View>
+
+        {Object.keys(frameGroups).length > 0 && (
+          <View style={styles.section} break>
+            <Text style={styles.sectionTitle}>Analyzed Frames</Text>
+            {Object.entries(frameGroups).map(([segment, frames]) => (
+              <View key={segment} wrap={false}>
+                <Text style={styles.segmentLabel}>
+                  Segment {segment} ({frames[0].timestamp?.toFixed(1)}s)
+                </Text>
+                <View style={styles.contactSheet}>
+                  {frames.map((frame, index) => (
+                    <View key={index} style={styles.thumb}>
+                      <Image src={frame.data} />
+                      <Text style={styles.thumbCaption}>
+                        {frame.timestamp?.toFixed(2)}s
+                        {Array.isArray(frame.faces) && frame.faces.length === 0 ? ' · no face' : ''}
+                      </Text>
+                    </View>
+                  ))}
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
+
+        <Text style={styles.footer} fixed>
+          This analysis is provided for informational purposes only and should not be considered
+          definitive proof of video authenticity or manipulation. Always use multiple verification
+          methods for critical applications.
+        </Text>
+      </Page>
+    </Document>
+  );
+}
+
+/**
+ * Render the report and trigger a browser download
+ */
+export async function downloadPdfReport(props) {
+  const blob = await pdf(<ReportDocument {...props} />).toBlob();
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `video-verify-report-${Date.now()}.pdf`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,28 @@
+/**
+ * Per-key request rate limiting for the public API
+ * Sliding-window counters kept in server memory, so limits apply per server
+ * instance and reset on restart. Node only.
+ */
+
+// Shared across API routes, which may load this module separately
+const windows = globalThis.videoVerifyRateLimits || (globalThis.videoVerifyRateLimits = new Map());
+
+/**
+ * Count a request against `id`'s limit of `requests` per `windowSeconds`
+ * Returns { allowed, limit, remaining, resetAt } where resetAt (ms) is when
+ * the oldest counted request leaves the window; rejected requests aren't counted
+ */
+export function checkRateLimit(id, { requests, windowSeconds }, now = Date.now()) {
+  const windowMs = windowSeconds * 1000;
+  const recent = (windows.get(id) || []).filter(time => time > now - windowMs);
+  const allowed = recent.length < requests;
+  if (allowed) recent.push(now);
+  windows.set(id, recent);
+
+  return {
+    allowed,
+    limit: requests,
+    remaining: requests - recent.length,
+    resetAt: (recent[0] ?? now) + windowMs
+  };
+}
@@ -0,0 +1,66 @@
+/**
+ * Recorded detector responses
+ * With DETECTOR_RECORD_DIR set, every raw response is saved under a hash of
+ * its request; the `replay` provider serves them back from
+ * DETECTOR_REPLAY_DIR so evaluations rerun offline and deterministically.
+ * Node only.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * File name for a request: a hash of everything that shapes the response
+ * `model` is the per-request model override, so ensemble members using
+ * different models get separate recordings
+ */
+export function recordingKey({ model = null, system, content, temperature = null }) {
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify({ model, system, content, temperature }))
+    .digest('hex');
+  return `${hash}.json`;
+}
+
+/**
+ * Wrap a detector so each response is also written to `dir`
+ */
+export function withRecording(detector, dir, model = null) {
+  return {
+    ...detector,
+    async complete(request) {
+      const text = await detector.complete(request);
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(dir, recordingKey({ model, ...request })),
+        JSON.stringify({ provider: detector.name, model: detector.model, text }, null, 2)
+      );
+      return text;
+    }
+  };
+}
+
+/**
+ * Detector that answers from recordings in `dir` and fails on unrecorded requests
+ */
+export function createReplayDetector(dir, model = null) {
+  if (!dir) {
+    throw new Error('The replay detector needs DETECTOR_REPLAY_DIR');
+  }
+
+  return {
+    name: 'replay',
+    model: model || 'recorded',
+    async complete(request) {
+      const file = path.join(dir, recordingKey({ model, ...request }));
+      try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8')).text;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`No recorded response for this request in ${dir}`);
+        }
+        throw error;
+      }
+    }
+  };
+}
@@ -0,0 +1,356 @@
+/**
+ * Remote video fetching for analysis by URL
+ * Downloads a direct video URL, or the segments of an HLS (.m3u8) playlist,
+ * to a local file for ffmpeg. Guards against server-side request forgery:
+ * http(s) only, no credentials, and every host (including redirect targets
+ * and playlist entries) must resolve to a public address, checked when the
+ * connection is made. Size and total time are capped. Node only.
+ */
+
+import fs from 'fs';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+export const MAX_URL_BYTES = parseInt(process.env.MAX_URL_BYTES || '', 10)
+  || parseInt(process.env.MAX_UPLOAD_BYTES || '', 10)
+  || 200 * 1024 * 1024;
+export const URL_FETCH_TIMEOUT_MS = parseInt(process.env.URL_FETCH_TIMEOUT_MS || '', 10) || 120000;
+
+const MAX_REDIRECTS = 5;
+const MAX_PLAYLIST_BYTES = 1024 * 1024;
+const MAX_HLS_SEGMENTS = 2000;
+// Variants up to this height are preferred; higher ones cost more to download than sampling needs
+const HLS_TARGET_HEIGHT = 720;
+
+const HLS_TYPES = ['application/vnd.apple.mpegurl', 'application/x-mpegurl', 'audio/mpegurl', 'audio/x-mpegurl'];
+const VIDEO_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/mp4'];
+
+// Loopback, private, link-local, shared, documentation, benchmarking, multicast and reserved ranges
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+function fetchError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// For local testing only: lets URLs reach this machine and the private network
+const allowPrivate = () => process.env.URL_FETCH_ALLOW_PRIVATE === 'true';
+
+/**
+ * Whether an IP address is outside the public internet
+ */
+export function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Parse and check a URL before fetching it; throws a 400 error when it
+ * can't be fetched. Host names are checked again when they resolve
+ */
+export function checkRemoteUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw fetchError('Enter an absolute http:// or https:// URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw fetchError('Only http:// and https:// URLs can be analyzed');
+  }
+  if (url.username || url.password) {
+    throw fetchError('URLs with credentials are not supported');
+  }
+
+  // Literal addresses skip DNS, so they are checked here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host) && !allowPrivate()) {
+    throw fetchError(`${url.hostname} is not a public address`);
+  }
+  return url;
+}
+
+/**
+ * A dns.lookup that refuses names resolving to any non-public address unless
+ * `allowPrivate()` is true. Pass it as a connection's `lookup` so the checked
+ * address is the one connected to (lib/webhooks uses it for callbacks)
+ */
+export function createPublicLookup(allowPrivate) {
+  return function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      if (!allowPrivate() && addresses.some(entry => isPrivateAddress(entry.address))) {
+        return callback(fetchError(`${hostname} resolves to a non-public address`));
+      }
+      return options.all
+        ? callback(null, addresses)
+        : callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+const publicLookup = createPublicLookup(allowPrivate);
+
+/**
+ * GET a URL, following redirects (each one checked), and resolve with the
+ * response once a 2xx arrives; `signal` aborts the whole fetch
+ */
+async function openUrl(value, signal, redirects = 0) {
+  const url = checkRemoteUrl(value);
+  const client = url.protocol === 'https:' ? https : http;
+
+  const response = await new Promise((resolve, reject) => {
+    const request = client.get(url, {
+      lookup: publicLookup,
+      signal,
+      headers: { 'User-Agent': 'video-verify', Accept: '*/*' }
+    }, resolve);
+    request.on('error', reject);
+  });
+
+  if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+    response.resume();
+    if (redirects >= MAX_REDIRECTS) {
+      throw fetchError(`More than ${MAX_REDIRECTS} redirects`, 502);
+    }
+    return openUrl(new URL(response.headers.location, url).href, signal, redirects + 1);
+  }
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    response.resume();
+    throw fetchError(`The server answered ${response.statusCode} for ${url.href}`, 502);
+  }
+
+  response.url = url.href;
+  return response;
+}
+
+/**
+ * Count bytes against the shared budget, failing once it is spent
+ */
+function meter(budget) {
+  return async function* (source) {
+    for await (const chunk of source) {
+      budget.remaining -= chunk.length;
+      if (budget.remaining < 0) {
+        throw fetchError(`The video exceeds the ${Math.round(budget.limit / (1024 * 1024))} MB limit`, 413);
+      }
+      yield chunk;
+    }
+  };
+}
+
+async function readPlaylist(response, budget) {
+  if (parseInt(response.headers['content-length'] || '', 10) > MAX_PLAYLIST_BYTES) {
+    response.resume();
+    throw fetchError('The HLS playlist is too large', 413);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > MAX_PLAYLIST_BYTES) {
+      response.destroy();
+      throw fetchError('The HLS playlist is too large', 413);
+    }
+    chunks.push(chunk);
+  }
+  budget.remaining -= size;
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function isPlaylist(response) {
+  const type = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  return HLS_TYPES.includes(type) || new URL(response.url).pathname.toLowerCase().endsWith('.m3u8');
+}
+
+function checkVideoType(response) {
+  const type = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!type || type.startsWith('video/') || VIDEO_TYPES.includes(type)) return type || null;
+  if (type === 'text/html') {
+    throw fetchError('The URL points to a web page; link to the video file or .m3u8 playlist itself', 415);
+  }
+  throw fetchError(`The URL serves ${type}, not a video or HLS playlist`, 415);
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, key, value] of text.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)) {
+    attributes[key] = value.replace(/^"|"$/g, '');
+  }
+  return attributes;
+}
+
+/**
+ * Parse an HLS playlist: a master playlist's variants, or a media
+ * playlist's init map and segments, with URIs resolved against `baseUrl`
+ */
+export function parsePlaylist(text, baseUrl) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') {
+    throw fetchError('The playlist is not an HLS (#EXTM3U) playlist', 415);
+  }
+
+  const variants = [];
+  const segments = [];
+  let map = null;
+  let pending = null;
+
+  for (const line of lines.slice(1)) {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const attributes = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+      const [, height] = (attributes.RESOLUTION || '').split('x').map(Number);
+      pending = { type: 'variant', bandwidth: Number(attributes.BANDWIDTH) || 0, height: height || null };
+    } else if (line.startsWith('#EXTINF:')) {
+      pending = { type: 'segment', duration: parseFloat(line.slice('#EXTINF:'.length)) || 0 };
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      map = new URL(parseAttributes(line.slice('#EXT-X-MAP:'.length)).URI, baseUrl).href;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const { METHOD } = parseAttributes(line.slice('#EXT-X-KEY:'.length));
+      if (METHOD && METHOD !== 'NONE') {
+        throw fetchError('Encrypted HLS streams can\'t be analyzed', 415);
+      }
+    } else if (line.startsWith('#EXT-X-BYTERANGE')) {
+      throw fetchError('HLS byte-range playlists are not supported', 415);
+    } else if (!line.startsWith('#') && pending) {
+      const entry = { ...pending, url: new URL(line, baseUrl).href };
+      delete entry.type;
+      (pending.type === 'variant' ? variants : segments).push(entry);
+      pending = null;
+    }
+  }
+
+  return { variants, map, segments };
+}
+
+/**
+ * The variant to download: the highest bandwidth at or below
+ * HLS_TARGET_HEIGHT, else the lowest bandwidth
+ */
+function pickVariant(variants) {
+  const fitting = variants.filter(variant => variant.height && variant.height <= HLS_TARGET_HEIGHT);
+  const byBandwidth = (a, b) => a.bandwidth - b.bandwidth;
+  return fitting.length > 0 ? fitting.sort(byBandwidth).at(-1) : [...variants].sort(byBandwidth)[0];
+}
+
+/**
+ * Download an HLS stream's segments (after its init map) into one file
+ */
+async function downloadPlaylist(response, filePath, budget, signal) {
+  let playlist = parsePlaylist(await readPlaylist(response, budget), response.url);
+
+  if (playlist.variants.length > 0) {
+    const variant = pickVariant(playlist.variants);
+    const media = await openUrl(variant.url, signal);
+    playlist = parsePlaylist(await readPlaylist(media, budget), media.url);
+    if (playlist.variants.length > 0) {
+      throw fetchError('The HLS variant is itself a master playlist', 415);
+    }
+  }
+
+  if (playlist.segments.length === 0) {
+    throw fetchError('The HLS playlist has no segments', 415);
+  }
+  if (playlist.segments.length > MAX_HLS_SEGMENTS) {
+    throw fetchError(`The HLS playlist has more than ${MAX_HLS_SEGMENTS} segments`, 413);
+  }
+
+  const out = fs.createWriteStream(filePath);
+  try {
+    for (const url of [playlist.map, ...playlist.segments.map(segment => segment.url)].filter(Boolean)) {
+      const part = await openUrl(url, signal);
+      await pipeline(part, meter(budget), out, { end: false });
+    }
+  } finally {
+    await new Promise(resolve => out.end(resolve));
+  }
+
+  return {
+    fileType: playlist.map ? 'video/mp4' : 'video/mp2t',
+    segments: playlist.segments.length
+  };
+}
+
+/**
+ * Name for a fetched video: the last path segment of its URL, else the host
+ * A segment that isn't valid percent-encoding is used as it is
+ */
+function fileNameFor(url) {
+  const { pathname, hostname } = new URL(url);
+  const base = path.posix.basename(pathname);
+  try {
+    return decodeURIComponent(base) || hostname;
+  } catch {
+    return base || hostname;
+  }
+}
+
+/**
+ * Download the video at `url` to `filePath`
+ * Resolves with { sourceUrl, finalUrl, fileName, fileType, fileSize, format }
+ * where format is 'file' or 'hls'. Errors carry an HTTP `status`: 400 for
+ * URLs that may not be fetched, 413 over the size limit, 415 for content
+ * that isn't video, 502 when the remote server fails and 504 on timeout
+ */
+export async function fetchRemoteVideo(url, filePath, {
+  maxBytes = MAX_URL_BYTES,
+  timeoutMs = URL_FETCH_TIMEOUT_MS
+} = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const budget = { remaining: maxBytes, limit: maxBytes };
+
+  try {
+    const response = await openUrl(url, controller.signal);
+    const declared = parseInt(response.headers['content-length'] || '', 10);
+
+    let details;
+    if (isPlaylist(response)) {
+      details = { format: 'hls', ...(await downloadPlaylist(response, filePath, budget, controller.signal)) };
+    } else {
+      const fileType = checkVideoType(response);
+      if (declared > maxBytes) {
+        response.resume();
+        throw fetchError(`The video exceeds the ${Math.round(maxBytes / (1024 * 1024))} MB limit`, 413);
+      }
+      await pipeline(response, meter(budget), fs.createWriteStream(filePath));
+      details = { format: 'file', fileType };
+    }
+
+    return {
+      sourceUrl: url,
+      finalUrl: response.url,
+      fileName: fileNameFor(response.url),
+      fileType: details.fileType,
+      fileSize: (await fs.promises.stat(filePath)).size,
+      format: details.format
+    };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw fetchError(`Fetching the video took longer than ${Math.round(timeoutMs / 1000)} seconds`, 504);
+    }
+    if (!error.status) {
+      throw fetchError(`Couldn't fetch the video: ${error.message}`, 502);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
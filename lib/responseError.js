@@ -0,0 +1,22 @@
+/**
+ * Error messages for failed API responses in the browser
+ * The API answers errors with JSON { error, message }, but a proxy or the
+ * framework's body-size limit can answer with an HTML page instead
+ */
+
+/**
+ * The message to show for a failed response: the API's own message when the
+ * body is JSON, otherwise `fallback` with the HTTP status
+ */
+export async function readError(response, fallback) {
+  const type = response.headers.get('Content-Type') || '';
+  if (type.includes('application/json')) {
+    try {
+      const data = await response.json();
+      return data.message || data.error || fallback;
+    } catch {
+      // Fall through to the status
+    }
+  }
+  return `${fallback} (${response.status}${response.statusText ? ` ${response.statusText}` : ''})`;
+}
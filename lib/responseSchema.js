@@ -0,0 +1,187 @@
+/**
+ * Model response validation
+ * Checks a detector's raw text against the JSON shape the prompts ask for:
+ * integer 0-10 region scores, a verdict from VERDICTS, and the required
+ * text fields. Small deviations are repaired and listed; values that can't be
+ * repaired are dropped and reported, never scored as 0.
+ */
+
+import { SCORE_REGIONS } from './riskMapping.js';
+
+export const VERDICTS = ['AUTHENTIC', 'SUSPICIOUS', 'MANIPULATED'];
+
+const TEXT_FIELDS = ['key_evidence', 'detailed_analysis'];
+
+/**
+ * Pull the JSON object out of a response: the text itself, or the outermost
+ * {...} when the model wrapped it in markdown fences or prose
+ * Returns { data, repaired }, or null when no object parses
+ */
+function extractJson(text) {
+  const isObject = data => typeof data === 'object' && data !== null && !Array.isArray(data);
+  try {
+    const data = JSON.parse(text);
+    if (isObject(data)) return { data, repaired: false };
+  } catch {
+    // Fall through to the outermost braces
+  }
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    const data = JSON.parse(text.slice(start, end + 1));
+    return isObject(data) ? { data, repaired: true } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check one score: { value } when valid, with `repair` describing any change
+ * (numeric strings are parsed, fractions rounded), or { error }
+ */
+function checkScore(raw) {
+  let value = raw;
+  let repair = null;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    value = Number(value);
+    repair = `"${raw}" read as ${value}`;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return { error: `${JSON.stringify(raw)} is not a number` };
+  }
+  if (value < 0 || value > 10) {
+    return { error: `${value} is outside 0-10` };
+  }
+  if (!Number.isInteger(value)) {
+    return { value: Math.round(value), repair: `${value} rounded to ${Math.round(value)}` };
+  }
+  return { value, repair };
+}
+
+/**
+ * Check one verdict: { value } from VERDICTS, ignoring case and surrounding
+ * space, or { error }
+ */
+function checkVerdict(raw) {
+  const value = typeof raw === 'string' ? raw.trim().toUpperCase() : null;
+  if (!VERDICTS.includes(value)) {
+    return { error: `${JSON.stringify(raw)} is not one of ${VERDICTS.join(', ')}` };
+  }
+  return { value, repair: value !== raw ? `"${raw}" read as ${value}` : null };
+}
+
+/**
+ * Validate a raw model response
+ * `regions` are the region keys that must be scored (audio only when audio
+ * features were sent). Returns { data, repairs, errors, missing }:
+ * - data: the parsed response with every score and verdict checked, top level,
+ *   per segment and per person; invalid values are removed. null when no JSON
+ *   object could be read
+ * - repairs: changes made to accept a value
+ * - errors: values that were rejected, and required fields that are absent
+ * - missing: regions and 'verdict' left without a valid top-level value,
+ *   which make the result incomplete
+ */
+export function validateResponse(text, { regions }) {
+  const requiredScores = regions.map(key => `${key}_score`);
+  const extracted = typeof text === 'string' ? extractJson(text) : null;
+  if (!extracted) {
+    return { data: null, repairs: [], errors: ['response is not a JSON object'], missing: [...regions, 'verdict'] };
+  }
+
+  const repairs = extracted.repaired ? ['JSON extracted from surrounding text'] : [];
+  const errors = [];
+
+  // Check the scores and verdict of one entry; `label` prefixes messages
+  const checkEntry = (entry, label, required, fields = [...requiredScores, 'verdict']) => {
+    const checked = { ...entry };
+    for (const field of fields) {
+      if (entry[field] === undefined || entry[field] === null) {
+        delete checked[field];
+        if (required) errors.push(`${label}${field} is missing`);
+        continue;
+      }
+      const result = field === 'verdict' ? checkVerdict(entry[field]) : checkScore(entry[field]);
+      if (result.error) {
+        delete checked[field];
+        errors.push(`${label}${field}: ${result.error}`);
+      } else {
+        checked[field] = result.value;
+        if (result.repair) repairs.push(`${label}${field}: ${result.repair}`);
+      }
+    }
+    return checked;
+  };
+
+  const raw = extracted.data;
+  const data = checkEntry(raw, '', true);
+  if (Array.isArray(raw.segments)) {
+    data.segments = raw.segments
+      .filter(entry => entry && typeof entry === 'object')
+      .map(entry => checkEntry(entry, `segment ${entry.segment} `, false));
+  }
+  if (Array.isArray(raw.persons)) {
+    data.persons = raw.persons
+      .filter(entry => entry && typeof entry === 'object')
+      .map(entry => checkEntry(entry, `person ${entry.person} `, false));
+  }
+  if (Array.isArray(raw.frames)) {
+    data.frames = raw.frames
+      .filter(entry => entry && typeof entry === 'object')
+      .map(entry => checkEntry(entry, `frame ${entry.frame} `, false, ['score']));
+  }
+
+  TEXT_FIELDS
+    .filter(field => typeof raw[field] !== 'string' || raw[field].trim() === '')
+    .forEach(field => errors.push(`${field} is missing`));
+
+  const missing = [
+    ...regions.filter(key => data[`${key}_score`] === undefined),
+    ...(data.verdict === undefined ? ['verdict'] : [])
+  ];
+
+  return { data, repairs, errors, missing };
+}
+
+/**
+ * Validation summary for a result merged from several (adaptive passes or
+ * ensemble members), or null when none were validated. Regions count as
+ * missing only when the merged scores have no value for them; the verdict
+ * is re-derived from the merged average, so it is never missing
+ */
+export function mergeValidation(results, scores) {
+  const validated = results.filter(result => result?.validation);
+  if (validated.length === 0) return null;
+
+  return {
+    attempts: validated.reduce((sum, result) => sum + result.validation.attempts, 0),
+    repairs: validated.flatMap(result => result.validation.repairs),
+    errors: validated.flatMap(result => result.validation.errors),
+    missing: [...new Set(validated.flatMap(result => result.validation.missing))]
+      .filter(key => key !== 'verdict' && typeof scores?.[key] !== 'number')
+  };
+}
+
+/**
+ * One-sentence explanation of an incomplete result for the results page and
+ * reports, or null when the result is complete
+ */
+export function describeIncomplete(result) {
+  if (!result.incomplete) return null;
+
+  const attempts = result.validation?.attempts;
+  const after = attempts ? ` after ${attempts} attempt${attempts > 1 ? 's' : ''}` : '';
+  if (!result.structured) {
+    return `The model's response could not be read as scores${after}; the risk level comes from its wording and is not rated LOW.`;
+  }
+
+  const missing = result.validation?.missing || [];
+  const regions = SCORE_REGIONS.filter(region => missing.includes(region.key)).map(region => region.label.toLowerCase());
+  const parts = [
+    ...(regions.length > 0 ? [`no valid ${regions.join(', ')} score${regions.length > 1 ? 's' : ''}`] : []),
+    ...(missing.includes('verdict') ? ['no valid verdict'] : [])
+  ];
+  return `The model gave ${parts.join(' and ') || 'an incomplete response'}${after}. The average covers the scored regions only, and the result is not rated LOW.`;
+}
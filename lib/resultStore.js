@@ -0,0 +1,107 @@
+/**
+ * Server-side analysis result store
+ * One JSON file per result under RESULT_STORE_DIR, plus a small summary file
+ * per result under its summaries/ directory for the history list. Results
+ * belong to the browser that saved them, identified by an HttpOnly cookie;
+ * other browsers can't list, load or delete them. Each browser keeps its
+ * newest RESULT_STORE_MAX_PER_OWNER results (default 100), and the store
+ * holds at most RESULT_STORE_MAX_ENTRIES (default 2000).
+ * Disabled unless RESULT_STORE_DIR is set, in which case clients keep history in IndexedDB
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import { createFileStore, isValidRecordId } from './fileStore.js';
+import { summarizeResult } from './history.js';
+
+const OWNER_COOKIE = 'video-verify-history';
+const OWNER_COOKIE_MAX_AGE = 5 * 365 * 24 * 60 * 60;
+const OWNER_TOKEN_PATTERN = /^[a-zA-Z0-9_-]{43}$/;
+const MAX_ENTRIES = 2000;
+const MAX_PER_OWNER = 100;
+
+const store = createFileStore(() => process.env.RESULT_STORE_DIR);
+// Listing reads only these, so it doesn't load every result's frames
+const summaries = createFileStore(() => path.join(process.env.RESULT_STORE_DIR, 'summaries'));
+
+export function isResultStoreConfigured() {
+  return Boolean(process.env.RESULT_STORE_DIR);
+}
+
+export const isValidResultId = isValidRecordId;
+
+function limitFromEnv(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * The history owner for a request, from its cookie; a request without one
+ * gets a new cookie. Only a hash of the cookie is stored with results
+ */
+export function resolveOwner(req, res) {
+  let token = req.cookies?.[OWNER_COOKIE];
+  if (!OWNER_TOKEN_PATTERN.test(token || '')) {
+    token = crypto.randomBytes(32).toString('base64url');
+    const secure = req.headers['x-forwarded-proto'] === 'https' || req.socket?.encrypted ? '; Secure' : '';
+    res.setHeader('Set-Cookie',
+      `${OWNER_COOKIE}=${token}; Path=/api/history; Max-Age=${OWNER_COOKIE_MAX_AGE}; HttpOnly; SameSite=Strict${secure}`);
+  }
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Save a result for `owner` under a new ID and return the ID
+ * The list-view summary is built here, not taken from the client. The
+ * owner's oldest results make room past the per-owner limit; throws with
+ * status 507 when the store is full
+ */
+export async function saveResult(owner, result) {
+  const own = await listResults(owner);
+  const maxPerOwner = limitFromEnv('RESULT_STORE_MAX_PER_OWNER', MAX_PER_OWNER);
+  for (const { id } of own.slice(maxPerOwner - 1)) {
+    await deleteResult(owner, id);
+  }
+
+  if (own.length < maxPerOwner && await summaries.count() >= limitFromEnv('RESULT_STORE_MAX_ENTRIES', MAX_ENTRIES)) {
+    const error = new Error('Server history is full');
+    error.status = 507;
+    throw error;
+  }
+
+  const id = crypto.randomBytes(16).toString('base64url');
+  const summary = summarizeResult(id, result);
+  await store.save({ id, owner, summary, result });
+  await summaries.save({ ...summary, owner });
+  return id;
+}
+
+/**
+ * Load one of `owner`'s results as { id, summary, result }, or null
+ */
+export async function getResult(owner, id) {
+  const record = await store.get(id);
+  if (!record || record.owner !== owner) return null;
+  return { id: record.id, summary: record.summary, result: record.result };
+}
+
+/**
+ * Delete one of `owner`'s results; other owners' results are left alone
+ */
+export async function deleteResult(owner, id) {
+  const summary = await summaries.get(id);
+  if (!summary || summary.owner !== owner) return;
+  await store.remove(id);
+  await summaries.remove(id);
+}
+
+/**
+ * List `owner`'s results as summaries, newest first
+ */
+export async function listResults(owner) {
+  const records = await summaries.list();
+  return records
+    .filter(record => record.owner === owner)
+    .map(({ owner: recordOwner, ...summary }) => summary)
+    .sort((a, b) => new Date(b.analyzedAt) - new Date(a.analyzedAt));
+}
@@ -3,6 +3,9 @@
  * Handles both structured JSON responses and legacy free-text responses
  */
 
+import { FORENSIC_ANALYSES } from './imageForensics.js';
+import { DEFAULT_POLICY, riskBandForScore } from './riskPolicy.js';
+
 export const RISK_LEVELS = {
   LOW: {
     label: 'LOW RISK',
@@ -28,21 +31,96 @@ export const SIGNAL_CATEGORIES = {
   MOUTH: 'Mouth Analysis',
   EYES: 'Eye Analysis',
   BOUNDARY: 'Face Boundary',
-  TEMPORAL: 'Temporal Consistency'
+  TEMPORAL: 'Temporal Consistency',
+  AUDIO: 'Audio',
+  METADATA: 'Container Metadata',
+  FORENSICS: 'Image Forensics'
+};
+
+// Scored regions in display order
+export const SCORE_REGIONS = [
+  { key: 'mouth', label: 'Mouth Region' },
+  { key: 'eyes', label: 'Eye Region' },
+  { key: 'boundary', label: 'Face Boundary' },
+  { key: 'temporal', label: 'Temporal Consistency' },
+  { key: 'audio', label: 'Audio' }
+];
+
+// Display colors per severity, matching the risk level palette
+export const SEVERITY_COLORS = {
+  low: RISK_LEVELS.LOW.color,
+  medium: RISK_LEVELS.MEDIUM.color,
+  high: RISK_LEVELS.HIGH.color
 };
 
+const VERDICT_RISK_LEVELS = { MANIPULATED: 'HIGH', SUSPICIOUS: 'MEDIUM' };
+const RISK_ORDER = ['LOW', 'MEDIUM', 'HIGH'];
+const RISK_VERDICTS = { HIGH: 'MANIPULATED', MEDIUM: 'SUSPICIOUS', LOW: 'AUTHENTIC' };
+const higherRisk = (a, b) => (RISK_ORDER.indexOf(b) > RISK_ORDER.indexOf(a) ? b : a);
+
+// Free-text phrases, checked in order; negations come before the words they negate
+const LEGACY_PHRASES = [
+  { pattern: /\b(NOT|NON)[\s-]+(LIKELY\s+)?AUTHENTIC\b|\b(IN|UN)AUTHENTIC\b/, riskLevel: 'HIGH' },
+  { pattern: /\bNO\s+(SIGNS?|EVIDENCE|INDICATIONS?)\s+OF\s+(MANIPULATION|TAMPERING)\b|\bNOT\s+(BEEN\s+)?(MANIPULATED|SUSPICIOUS)\b/, riskLevel: 'LOW' },
+  { pattern: /\bPOSSIBLY\s+MANIPULATED\b|\bSUSPICIOUS\b/, riskLevel: 'MEDIUM' },
+  { pattern: /\bMANIPULAT(ED|ION)\b/, riskLevel: 'HIGH' },
+  { pattern: /\bAUTHENTIC\b/, riskLevel: 'LOW' }
+];
+
+/**
+ * Verdict implied by a merged or aggregated average, or null without one
+ */
+export function verdictForAverage(average, policy = DEFAULT_POLICY) {
+  if (typeof average !== 'number') return null;
+  return RISK_VERDICTS[riskBandForScore(average, policy)];
+}
+
+/**
+ * Risk level for an average score and the model's verdict: the policy's band
+ * for the average, raised to the verdict's level when verdictOverride is on
+ */
+export function riskLevelForScore(average, verdict, policy = DEFAULT_POLICY) {
+  const riskLevel = riskBandForScore(average, policy);
+  const verdictLevel = VERDICT_RISK_LEVELS[verdict];
+  return policy.verdictOverride && verdictLevel ? higherRisk(riskLevel, verdictLevel) : riskLevel;
+}
+
+/**
+ * Verdict for an average merged from several results (adaptive passes), or
+ * null without one. Each result's verdict is weighed as riskLevelForScore
+ * does, so merging never undoes a policy escalation
+ */
+export function verdictForMerged(average, verdicts, policy = DEFAULT_POLICY) {
+  if (typeof average !== 'number') return null;
+  const riskLevel = verdicts
+    .map(verdict => riskLevelForScore(average, verdict, policy))
+    .reduce(higherRisk, riskBandForScore(average, policy));
+  return RISK_VERDICTS[riskLevel];
+}
+
 /**
  * Parse analysis response - handles both structured JSON and legacy formats
+ * Uses the risk policy stamped on the result (lib/riskPolicy); results
+ * stored before policies existed get DEFAULT_POLICY
+ * An incomplete result (lib/responseSchema) is never LOW risk: a video
+ * can't be cleared on the regions the model happened to score
  */
 export function parseAnalysisResponse(result) {
+  const policy = result.policy || DEFAULT_POLICY;
+  const incomplete = Boolean(result.incomplete);
+  const withFloor = (riskData) => {
+    const riskLevel = incomplete && riskData.riskLevel === 'LOW' ? 'MEDIUM' : riskData.riskLevel;
+    return { ...riskData, riskLevel, riskInfo: RISK_LEVELS[riskLevel], incomplete, policy };
+  };
+
   // Handle structured response (new format)
   if (result.structured && result.scores) {
-    return parseStructuredResponse(result);
+    return withFloor(parseStructuredResponse(result, policy));
   }
 
   // Handle legacy free-text response
   if (result.analysis && typeof result.analysis === 'string') {
-    return parseLegacyResponse(result.analysis);
+    return withFloor(parseLegacyResponse(result.analysis));
   }
 
   // Fallback for unexpected format
@@ -50,27 +128,20 @@ export function parseAnalysisResponse(result) {
     riskLevel: 'MEDIUM',
     riskInfo: RISK_LEVELS.MEDIUM,
     scores: null,
-    rawAnalysis: JSON.stringify(result)
+    rawAnalysis: JSON.stringify(result),
+    incomplete,
+    policy
   };
 }
 
 /**
  * Parse structured JSON response with scores
  */
-function parseStructuredResponse(result) {
+function parseStructuredResponse(result, policy) {
   const { scores, verdict, keyEvidence, analysis } = result;
-  const avgScore = scores.average;
 
-  let riskLevel;
-
-  // Determine risk level based on average score and verdict
-  if (avgScore >= 6 || verdict === 'MANIPULATED') {
-    riskLevel = 'HIGH';
-  } else if (avgScore >= 4 || verdict === 'SUSPICIOUS') {
-    riskLevel = 'MEDIUM';
-  } else {
-    riskLevel = 'LOW';
-  }
+  // Risk level from the average score; with verdictOverride the model's verdict can raise it
+  const riskLevel = riskLevelForScore(scores.average, verdict, policy);
 
   return {
     riskLevel,
@@ -84,29 +155,12 @@ function parseStructuredResponse(result) {
 
 /**
  * Parse legacy free-text response (fallback)
+ * The first phrase in LEGACY_PHRASES found anywhere in the text decides;
+ * MEDIUM when none is
  */
 function parseLegacyResponse(gptResponse) {
   const response = gptResponse.toUpperCase();
-
-  let riskLevel;
-
-  if (response.includes('LIKELY AUTHENTIC') || response.includes('AUTHENTIC')) {
-    riskLevel = 'LOW';
-  } else if (response.includes('LIKELY MANIPULATED') || response.includes('MANIPULATED')) {
-    riskLevel = 'HIGH';
-  } else if (response.includes('POSSIBLY MANIPULATED') || response.includes('SUSPICIOUS')) {
-    riskLevel = 'MEDIUM';
-  } else {
-    // Fallback checks
-    if (response.includes('NO SIGNS OF MANIPULATION') ||
-        response.includes('APPEARS AUTHENTIC')) {
-      riskLevel = 'LOW';
-    } else if (response.includes('HIGH CONFIDENCE') && response.includes('MANIPULAT')) {
-      riskLevel = 'HIGH';
-    } else {
-      riskLevel = 'MEDIUM';
-    }
-  }
+  const riskLevel = LEGACY_PHRASES.find(({ pattern }) => pattern.test(response))?.riskLevel || 'MEDIUM';
 
   return {
     riskLevel,
@@ -118,8 +172,33 @@ function parseLegacyResponse(gptResponse) {
 
 /**
  * Extract detected signals from analysis
+ * Container metadata findings (lib/containerMetadata) and image forensics
+ * scores (lib/imageForensics) are appended in their own categories; they
+ * come from the file and frames, not the model
+ */
+export function extractSignals(result, { metadata = null, forensics = null } = {}) {
+  const metadataSignals = (metadata?.findings || []).map(finding => ({
+    category: SIGNAL_CATEGORIES.METADATA,
+    signal: finding.signal,
+    severity: finding.severity
+  }));
+
+  const forensicSignals = FORENSIC_ANALYSES.map(({ key }) => key)
+    .filter(key => typeof forensics?.[key] === 'number')
+    .map(key => ({
+      category: SIGNAL_CATEGORIES.FORENSICS,
+      signal: getScoreDescription(key, forensics[key], result.policy),
+      severity: getScoreSeverity(forensics[key], result.policy),
+      score: forensics[key]
+    }));
+
+  return [...getModelSignals(result), ...forensicSignals, ...metadataSignals];
+}
+
+/**
+ * Signals from the model's scores, or from the verdict for legacy responses
  */
-export function extractSignals(result) {
+function getModelSignals(result) {
   const signals = [];
 
   // Handle structured response with scores
@@ -130,8 +209,8 @@ export function extractSignals(result) {
     if (scores.mouth !== undefined) {
       signals.push({
         category: SIGNAL_CATEGORIES.MOUTH,
-        signal: getScoreDescription('mouth', scores.mouth),
-        severity: getScoreSeverity(scores.mouth),
+        signal: getScoreDescription('mouth', scores.mouth, result.policy),
+        severity: getScoreSeverity(scores.mouth, result.policy),
         score: scores.mouth
       });
     }
@@ -139,8 +218,8 @@ export function extractSignals(result) {
     if (scores.eyes !== undefined) {
       signals.push({
         category: SIGNAL_CATEGORIES.EYES,
-        signal: getScoreDescription('eyes', scores.eyes),
-        severity: getScoreSeverity(scores.eyes),
+        signal: getScoreDescription('eyes', scores.eyes, result.policy),
+        severity: getScoreSeverity(scores.eyes, result.policy),
         score: scores.eyes
       });
     }
@@ -148,8 +227,8 @@ export function extractSignals(result) {
     if (scores.boundary !== undefined) {
       signals.push({
         category: SIGNAL_CATEGORIES.BOUNDARY,
-        signal: getScoreDescription('boundary', scores.boundary),
-        severity: getScoreSeverity(scores.boundary),
+        signal: getScoreDescription('boundary', scores.boundary, result.policy),
+        severity: getScoreSeverity(scores.boundary, result.policy),
         score: scores.boundary
       });
     }
@@ -157,12 +236,21 @@ export function extractSignals(result) {
     if (scores.temporal !== undefined) {
       signals.push({
         category: SIGNAL_CATEGORIES.TEMPORAL,
-        signal: getScoreDescription('temporal', scores.temporal),
-        severity: getScoreSeverity(scores.temporal),
+        signal: getScoreDescription('temporal', scores.temporal, result.policy),
+        severity: getScoreSeverity(scores.temporal, result.policy),
         score: scores.temporal
       });
     }
 
+    if (scores.audio !== undefined) {
+      signals.push({
+        category: SIGNAL_CATEGORIES.AUDIO,
+        signal: getScoreDescription('audio', scores.audio, result.policy),
+        severity: getScoreSeverity(scores.audio, result.policy),
+        score: scores.audio
+      });
+    }
+
     // Add key evidence as a signal if present
     if (keyEvidence) {
       signals.unshift({
@@ -204,7 +292,7 @@ export function extractSignals(result) {
 /**
  * Get description for a score
  */
-function getScoreDescription(region, score) {
+function getScoreDescription(region, score, policy = DEFAULT_POLICY) {
   const descriptions = {
     mouth: {
       low: 'Natural lip and teeth appearance',
@@ -225,31 +313,72 @@ function getScoreDescription(region, score) {
       low: 'Consistent frame-to-frame motion',
       medium: 'Some temporal inconsistencies',
       high: 'Significant temporal artifacts detected'
+    },
+    audio: {
+      low: 'Natural voice with speech matching mouth movement',
+      medium: 'Some synthetic-voice or lip-sync irregularities',
+      high: 'Voice cloning or lip-sync mismatch indicators'
+    },
+    ela: {
+      low: 'Even JPEG error levels across the frame',
+      medium: 'Some areas recompress differently from the rest',
+      high: 'Face recompresses unlike its surroundings (possible paste)'
+    },
+    noise: {
+      low: 'Consistent sensor noise between face and background',
+      medium: 'Noise level differs between face and background',
+      high: 'Face noise inconsistent with the rest of the frame'
+    },
+    flow: {
+      low: 'Smooth motion between consecutive frames',
+      medium: 'Some local motion jitter',
+      high: 'Face motion jitters against the surrounding head'
     }
   };
 
-  const level = score < 4 ? 'low' : score < 7 ? 'medium' : 'high';
+  const level = getScoreSeverity(score, policy);
   return descriptions[region]?.[level] || `Score: ${score}/10`;
 }
 
 /**
- * Get severity from score
+ * Get severity from score, using the policy's severity bands
  */
-function getScoreSeverity(score) {
-  if (score < 4) return 'low';
-  if (score < 7) return 'medium';
+export function getScoreSeverity(score, policy = DEFAULT_POLICY) {
+  if (score < policy.severityBands.medium) return 'low';
+  if (score < policy.severityBands.high) return 'medium';
   return 'high';
 }
 
 /**
  * Calculate confidence score (0-100)
+ * A heuristic, not a probability; reports show the calibrated probability
+ * from lib/calibration instead when a calibration artifact is loaded
+ * With a forensics summary (lib/imageForensics), agreement between the
+ * forensic average and the model's average raises confidence and
+ * disagreement lowers it
+ * With an ensemble (lib/ensemble), confidence comes from how closely the
+ * detectors agree instead of the score and frame count
  */
-export function calculateConfidence(signals, frameCount, scores) {
+export function calculateConfidence(signals, frameCount, scores, { forensics = null, ensemble = null } = {}) {
+  const forensicAverage = typeof forensics?.average === 'number' ? forensics.average : null;
+
   // If we have structured scores, use them for confidence
   if (scores) {
+    const avgScore = scores.average || 5;
+
+    // -10 when the forensics and the model are at opposite ends, +10 when they match
+    const forensicAdjustment = forensicAverage !== null
+      ? (0.5 - Math.abs(avgScore - forensicAverage) / 10) * 20
+      : 0;
+
+    // 30 when the detectors are far apart and split on the verdict, 95 when they match
+    if (typeof ensemble?.agreement === 'number') {
+      const agreementConfidence = 30 + ensemble.agreement * 45 + (ensemble.verdictAgreement ?? 0) * 20;
+      return Math.min(95, Math.max(30, agreementConfidence + forensicAdjustment));
+    }
+
     // Higher average score = more confident in detection
     // More frames analyzed = more confident
-    const avgScore = scores.average || 5;
     const scoreConfidence = Math.min(95, 50 + avgScore * 5);
     const frameBonus = Math.min(20, frameCount * 0.8);
 
@@ -257,18 +386,21 @@ export function calculateConfidence(signals, frameCount, scores) {
     const scoreVariance = Math.abs(avgScore - 5);
     const certaintyBonus = scoreVariance * 3;
 
-    return Math.min(95, Math.max(30, scoreConfidence + frameBonus + certaintyBonus));
+    return Math.min(95, Math.max(30, scoreConfidence + frameBonus + certaintyBonus + forensicAdjustment));
   }
 
-  // Legacy calculation
+  // Legacy calculation; metadata and forensic signals say nothing about the model's certainty
+  const modelSignals = signals.filter(s =>
+    s.category !== SIGNAL_CATEGORIES.METADATA && s.category !== SIGNAL_CATEGORIES.FORENSICS
+  );
   let confidence = Math.min(50 + (frameCount * 3), 70);
 
-  const highSeverityCount = signals.filter(s => s.severity === 'high').length;
-  const lowSeverityCount = signals.filter(s => s.severity === 'low').length;
+  const highSeverityCount = modelSignals.filter(s => s.severity === 'high').length;
+  const lowSeverityCount = modelSignals.filter(s => s.severity === 'low').length;
 
   confidence += (highSeverityCount + lowSeverityCount) * 5;
 
-  const mediumSeverityCount = signals.filter(s => s.severity === 'medium').length;
+  const mediumSeverityCount = modelSignals.filter(s => s.severity === 'medium').length;
   confidence -= mediumSeverityCount * 3;
 
   return Math.max(30, Math.min(95, Math.round(confidence)));
@@ -0,0 +1,105 @@
+/**
+ * Risk policy
+ * Region weights for the average score, the average cut-offs for the risk
+ * bands, the per-score severity cut-offs, and whether the model's verdict can
+ * raise the risk level. The server stamps the applied policy on every result
+ * so the client, merges and reports all read the same one.
+ */
+
+export const DEFAULT_POLICY = {
+  name: 'default',
+  // Relative weight of each region in the average; 0 leaves a region out
+  weights: { mouth: 1, eyes: 1, boundary: 1, temporal: 1, audio: 1 },
+  // Average score at which a result becomes MEDIUM and HIGH risk
+  riskBands: { medium: 4, high: 6 },
+  // Score at which a single score is shown as medium and high severity
+  severityBands: { medium: 4, high: 7 },
+  // A MANIPULATED or SUSPICIOUS verdict raises the risk level to at least HIGH or MEDIUM
+  verdictOverride: true
+};
+
+function validBands(bands) {
+  return Number.isFinite(bands.medium) && Number.isFinite(bands.high)
+    && bands.medium > 0 && bands.medium < bands.high && bands.high <= 10;
+}
+
+/**
+ * Fill a partial policy from DEFAULT_POLICY and check it
+ * Throws with a message naming the invalid field
+ */
+export function normalizePolicy(config = {}) {
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new Error('Risk policy must be an object');
+  }
+
+  const unknownWeights = Object.keys(config.weights || {}).filter(key => !(key in DEFAULT_POLICY.weights));
+  if (unknownWeights.length > 0) {
+    throw new Error(`Unknown region weight: ${unknownWeights.join(', ')}`);
+  }
+
+  const policy = {
+    name: config.name ?? 'custom',
+    weights: { ...DEFAULT_POLICY.weights, ...config.weights },
+    riskBands: { ...DEFAULT_POLICY.riskBands, ...config.riskBands },
+    severityBands: { ...DEFAULT_POLICY.severityBands, ...config.severityBands },
+    verdictOverride: config.verdictOverride ?? DEFAULT_POLICY.verdictOverride
+  };
+
+  if (typeof policy.name !== 'string' || policy.name === '') {
+    throw new Error('Risk policy name must be a non-empty string');
+  }
+  if (!Object.values(policy.weights).every(weight => Number.isFinite(weight) && weight >= 0)
+    || Object.values(policy.weights).every(weight => weight === 0)) {
+    throw new Error('Region weights must be non-negative numbers, at least one above 0');
+  }
+  if (!validBands(policy.riskBands)) {
+    throw new Error('riskBands need 0 < medium < high <= 10');
+  }
+  if (!validBands(policy.severityBands)) {
+    throw new Error('severityBands need 0 < medium < high <= 10');
+  }
+  if (typeof policy.verdictOverride !== 'boolean') {
+    throw new Error('verdictOverride must be true or false');
+  }
+
+  return policy;
+}
+
+/**
+ * Weighted average of the region scores that are present, rounded to one
+ * decimal; null when no weighted region has a score
+ */
+export function weightedAverage(scores, policy = DEFAULT_POLICY) {
+  let total = 0;
+  let weight = 0;
+  for (const [key, w] of Object.entries(policy.weights)) {
+    if (typeof scores[key] !== 'number' || w === 0) continue;
+    total += scores[key] * w;
+    weight += w;
+  }
+  return weight > 0 ? Math.round((total / weight) * 10) / 10 : null;
+}
+
+/**
+ * Risk band of an average score: LOW, MEDIUM or HIGH
+ */
+export function riskBandForScore(average, policy = DEFAULT_POLICY) {
+  if (average >= policy.riskBands.high) return 'HIGH';
+  if (average >= policy.riskBands.medium) return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * One-line summary of a policy for the results page and reports
+ */
+export function describePolicy(policy = DEFAULT_POLICY) {
+  const weights = Object.entries(policy.weights)
+    .filter(([, weight]) => weight !== 1)
+    .map(([key, weight]) => `${key} ×${weight}`);
+
+  return [
+    `MEDIUM from ${policy.riskBands.medium}, HIGH from ${policy.riskBands.high}`,
+    weights.length > 0 ? `weights ${weights.join(', ')}` : 'equal region weights',
+    policy.verdictOverride ? 'model verdict can raise the risk level' : 'risk level from the score only'
+  ].join('; ');
+}
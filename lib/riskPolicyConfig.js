@@ -0,0 +1,28 @@
+/**
+ * Server-side risk policy loading
+ * RISK_POLICY_FILE names a JSON file and RISK_POLICY holds the JSON inline;
+ * either may be partial and is filled from DEFAULT_POLICY. Node only.
+ */
+
+import fs from 'fs';
+import { DEFAULT_POLICY, normalizePolicy } from './riskPolicy.js';
+
+let cached = null;
+
+/**
+ * The configured policy, read once per process
+ * Throws when the configuration is unreadable or invalid
+ */
+export function loadRiskPolicy() {
+  if (cached) return cached;
+
+  let config = null;
+  if (process.env.RISK_POLICY_FILE) {
+    config = JSON.parse(fs.readFileSync(process.env.RISK_POLICY_FILE, 'utf8'));
+  } else if (process.env.RISK_POLICY) {
+    config = JSON.parse(process.env.RISK_POLICY);
+  }
+
+  cached = config ? normalizePolicy(config) : DEFAULT_POLICY;
+  return cached;
+}
@@ -0,0 +1,130 @@
+/**
+ * Multi-segment temporal sampling plan
+ * Shared by browser (canvas) and server (ffmpeg) frame extraction so both
+ * produce the same {timestamp, segment, frameInSegment} layout
+ */
+
+// Named sampling profiles offered on the upload page and the CLI
+// maxWidth/maxHeight of null keep the source resolution
+export const SAMPLING_PROFILES = {
+  quick: {
+    profile: 'quick',
+    label: 'Quick',
+    description: '6 single frames spread across the video',
+    segments: 6,
+    framesPerSegment: 1,
+    segmentDuration: 0.5,
+    maxWidth: 1280,
+    maxHeight: 720
+  },
+  standard: {
+    profile: 'standard',
+    label: 'Standard',
+    description: '24 frames: 8 consecutive frames at 25%, 50% and 75%',
+    segments: 3, // Sample from 3 different parts of video
+    framesPerSegment: 8, // 8 consecutive frames each
+    segmentDuration: 1, // ~1 second per segment
+    maxWidth: 1280,
+    maxHeight: 720
+  },
+  thorough: {
+    profile: 'thorough',
+    label: 'Thorough',
+    description: '48 frames: 8 consecutive frames from 6 segments at full resolution',
+    segments: 6,
+    framesPerSegment: 8,
+    segmentDuration: 1,
+    maxWidth: null,
+    maxHeight: null
+  }
+};
+
+export const DEFAULT_SAMPLING = SAMPLING_PROFILES.standard;
+
+/**
+ * Look up a sampling profile by name, or null if there is no such profile
+ */
+export function getSamplingProfile(name) {
+  return Object.hasOwn(SAMPLING_PROFILES, name) ? SAMPLING_PROFILES[name] : null;
+}
+
+/**
+ * Seconds between consecutive frames within a segment
+ */
+export function getFrameInterval(sampling = DEFAULT_SAMPLING) {
+  return sampling.segmentDuration / sampling.framesPerSegment;
+}
+
+/**
+ * Get the start time of each segment
+ * Segments are spaced evenly, e.g. 25%, 50%, 75% of video duration for 3 segments
+ */
+export function getSegmentStartTimes(duration, sampling = DEFAULT_SAMPLING) {
+  const { segments, segmentDuration } = sampling;
+
+  // Avoid first/last 10% of video
+  const safeStart = duration * 0.1;
+  const safeEnd = duration * 0.9;
+
+  let segmentTimestamps;
+
+  if (duration < 3) {
+    // Very short video: spread across the safe range
+    const span = safeEnd - segmentDuration - safeStart;
+    segmentTimestamps = Array.from({ length: segments }, (_, i) =>
+      segments === 1 ? duration * 0.5 : safeStart + span * (i / (segments - 1))
+    );
+  } else {
+    // Normal video: evenly spaced, 25%, 50%, 75% for 3 segments
+    segmentTimestamps = Array.from({ length: segments }, (_, i) =>
+      duration * ((i + 1) / (segments + 1))
+    );
+  }
+
+  // Ensure segments don't exceed video duration
+  return segmentTimestamps.map(t =>
+    Math.max(0, Math.min(t, duration - segmentDuration))
+  );
+}
+
+/**
+ * Get the full list of frame positions to capture, in capture order
+ */
+export function getSamplingPlan(duration, sampling = DEFAULT_SAMPLING) {
+  return getPlanForSegments(getSegmentStartTimes(duration, sampling), sampling);
+}
+
+/**
+ * Build frame positions for the given segment start times
+ * Segments are numbered from firstSegment so later passes don't reuse numbers
+ */
+export function getPlanForSegments(startTimes, sampling = DEFAULT_SAMPLING, firstSegment = 1) {
+  const { framesPerSegment } = sampling;
+  const frameInterval = getFrameInterval(sampling);
+
+  return startTimes.flatMap((baseTime, segmentIndex) =>
+    Array.from({ length: framesPerSegment }, (_, frameIndex) => ({
+      timestamp: baseTime + (frameIndex * frameInterval),
+      segment: firstSegment + segmentIndex,
+      frameInSegment: frameIndex + 1
+    }))
+  );
+}
+
+/**
+ * Fit the source dimensions inside the max canvas size, letterboxed
+ * A null max keeps the source dimension
+ */
+export function getCanvasLayout(videoWidth, videoHeight, sampling = DEFAULT_SAMPLING) {
+  const width = Math.min(videoWidth, sampling.maxWidth ?? videoWidth);
+  const height = Math.min(videoHeight, sampling.maxHeight ?? videoHeight);
+
+  const scale = Math.min(width / videoWidth, height / videoHeight);
+
+  return {
+    width,
+    height,
+    scaledWidth: videoWidth * scale,
+    scaledHeight: videoHeight * scale
+  };
+}
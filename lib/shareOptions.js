@@ -0,0 +1,19 @@
+/**
+ * Share link options shared by the share panel and the share API
+ */
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Expiry choices; null means the link never expires
+export const SHARE_EXPIRY_OPTIONS = [
+  { label: '1 day', seconds: DAY_SECONDS },
+  { label: '7 days', seconds: 7 * DAY_SECONDS },
+  { label: '30 days', seconds: 30 * DAY_SECONDS },
+  { label: 'Never', seconds: null }
+];
+
+export const DEFAULT_SHARE_EXPIRY = 7 * DAY_SECONDS;
+
+export function isValidExpiry(seconds) {
+  return SHARE_EXPIRY_OPTIONS.some(option => option.seconds === seconds);
+}
@@ -0,0 +1,93 @@
+/**
+ * Shared result permalinks
+ * Stores a snapshot of a result under an unguessable ID, with optional expiry
+ * One JSON file per share under SHARE_STORE_DIR. Disabled unless it is set:
+ * permalinks must outlive restarts and work on every instance, so the
+ * directory has to be durable storage shared by all of them. It holds at
+ * most SHARE_STORE_MAX_ENTRIES shares (default 1000); expired shares are
+ * cleared to make room
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import { createFileStore, isValidRecordId } from './fileStore.js';
+
+const MAX_ENTRIES = 1000;
+
+const store = createFileStore(() => process.env.SHARE_STORE_DIR);
+// Each share's expiry, so expired shares can be found without loading them
+const expiries = createFileStore(() => path.join(process.env.SHARE_STORE_DIR, 'expiries'));
+
+export function isShareStoreConfigured() {
+  return Boolean(process.env.SHARE_STORE_DIR);
+}
+
+export const isValidShareId = isValidRecordId;
+
+function maxEntries() {
+  const value = parseInt(process.env.SHARE_STORE_MAX_ENTRIES || '', 10);
+  return value > 0 ? value : MAX_ENTRIES;
+}
+
+async function removeShare(id) {
+  await store.remove(id);
+  await expiries.remove(id);
+}
+
+/**
+ * Make room for a new share, clearing expired ones when the store is full;
+ * throws with status 507 when it is still full
+ */
+async function makeRoom() {
+  if (await store.count() < maxEntries()) return;
+
+  const now = new Date();
+  for (const { id, expiresAt } of await expiries.list()) {
+    if (expiresAt && new Date(expiresAt) <= now) await removeShare(id);
+  }
+
+  if (await store.count() >= maxEntries()) {
+    const error = new Error('Share storage is full');
+    error.status = 507;
+    throw error;
+  }
+}
+
+/**
+ * Create a share and return its record
+ * Frame thumbnails are dropped unless includeFrames is set
+ */
+export async function createShare(result, { expiresIn = null, includeFrames = true } = {}) {
+  await makeRoom();
+
+  const now = Date.now();
+  const record = {
+    id: crypto.randomBytes(16).toString('base64url'),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: expiresIn ? new Date(now + expiresIn * 1000).toISOString() : null,
+    includesFrames: includeFrames,
+    result: includeFrames ? result : { ...result, frames: [] }
+  };
+
+  await store.save(record);
+  await expiries.save({ id: record.id, expiresAt: record.expiresAt });
+  return record;
+}
+
+/**
+ * Load a share, or null when it doesn't exist or has expired
+ * Expired shares are deleted on access
+ */
+export async function getShare(id) {
+  if (!isShareStoreConfigured()) return null;
+
+  const record = await store.get(id);
+  if (!record) return null;
+
+  if (record.expiresAt && new Date(record.expiresAt) <= new Date()) {
+    await removeShare(id);
+    return null;
+  }
+
+  return record;
+}
@@ -0,0 +1,45 @@
+/**
+ * Site sessions: a signed HttpOnly cookie the app's pages are served with,
+ * which lets their requests to the upload page's API routes through without
+ * an API key (lib/apiAuth). SameSite=Strict keeps other sites from using it.
+ * Signed with SITE_SESSION_SECRET, or a secret made when the server starts,
+ * which every instance must share and which changes on restart. Node only.
+ */
+
+import crypto from 'crypto';
+
+const SESSION_COOKIE = 'video-verify-site';
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60;
+
+function sessionSecret() {
+  if (process.env.SITE_SESSION_SECRET) return process.env.SITE_SESSION_SECRET;
+  return globalThis.videoVerifySessionSecret
+    || (globalThis.videoVerifySessionSecret = crypto.randomBytes(32).toString('base64url'));
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', sessionSecret()).update(value).digest('base64url');
+}
+
+/**
+ * Set a new session cookie on a page response; call from getServerSideProps
+ */
+export function issueSiteSession(req, res) {
+  const expires = Math.floor(Date.now() / 1000) + SESSION_MAX_AGE;
+  const value = `${expires}.${crypto.randomBytes(16).toString('base64url')}`;
+  const secure = req.headers['x-forwarded-proto'] === 'https' || req.socket?.encrypted ? '; Secure' : '';
+  res.setHeader('Set-Cookie',
+    `${SESSION_COOKIE}=${value}.${sign(value)}; Path=/api; Max-Age=${SESSION_MAX_AGE}; HttpOnly; SameSite=Strict${secure}`);
+}
+
+/**
+ * Whether a request carries an unexpired session cookie signed by this server
+ */
+export function hasSiteSession(req) {
+  const match = /^(\d+)\.([a-zA-Z0-9_-]{22})\.([a-zA-Z0-9_-]{43})$/.exec(req.cookies?.[SESSION_COOKIE] || '');
+  if (!match || Number(match[1]) < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(sign(`${match[1]}.${match[2]}`));
+  const actual = Buffer.from(match[3]);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,97 @@
+/**
+ * Monthly frame usage per API key
+ * One JSON file per key and calendar month (UTC) under API_USAGE_DIR, which
+ * must be set: quotas have to survive restarts, so it has to be durable
+ * storage shared by every instance. Node only.
+ */
+
+import { createFileStore } from './fileStore.js';
+
+const store = createFileStore(() => process.env.API_USAGE_DIR);
+
+export function isUsageStoreConfigured() {
+  return Boolean(process.env.API_USAGE_DIR);
+}
+
+// Updates to one key's usage run one at a time so concurrent requests can't
+// overdraw it; shared across API routes, which may load this module separately
+const queues = globalThis.videoVerifyUsageQueues || (globalThis.videoVerifyUsageQueues = new Map());
+
+function serialize(keyId, task) {
+  const run = (queues.get(keyId) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  queues.set(keyId, settled);
+  settled.then(() => {
+    if (queues.get(keyId) === settled) queues.delete(keyId);
+  });
+  return run;
+}
+
+function currentMonth(now = new Date()) {
+  return now.toISOString().slice(0, 7);
+}
+
+/**
+ * Start of the next UTC month, when quotas reset
+ */
+function nextMonthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString();
+}
+
+async function loadUsage(key) {
+  const month = currentMonth();
+  const id = `${key.id}-${month}`;
+  return await store.get(id) || { id, key: key.id, month, frames: 0, requests: 0 };
+}
+
+function describeUsage(key, record) {
+  return {
+    key: key.id,
+    month: record.month,
+    frames: record.frames,
+    requests: record.requests,
+    limit: key.monthlyFrames,
+    remaining: key.monthlyFrames === null ? null : Math.max(0, key.monthlyFrames - record.frames),
+    resetsAt: nextMonthStart()
+  };
+}
+
+/**
+ * This month's usage for a key: { key, month, frames, requests, limit, remaining, resetsAt }
+ */
+export async function getUsage(key) {
+  return describeUsage(key, await loadUsage(key));
+}
+
+/**
+ * Charge `frames` to the key's monthly quota before running an analysis
+ * Returns { allowed, usage }; nothing is charged when it isn't allowed
+ */
+export function reserveFrames(key, frames) {
+  return serialize(key.id, async () => {
+    const record = await loadUsage(key);
+    if (key.monthlyFrames !== null && record.frames + frames > key.monthlyFrames) {
+      return { allowed: false, usage: describeUsage(key, record) };
+    }
+
+    record.frames += frames;
+    record.requests += 1;
+    await store.save(record);
+    return { allowed: true, usage: describeUsage(key, record) };
+  });
+}
+
+/**
+ * Refund frames a reservation didn't use; `cancelRequest` also stops counting
+ * the request, for an analysis that never reached the model
+ * Resolves with the key's usage after the refund
+ */
+export function releaseFrames(key, frames, { cancelRequest = false } = {}) {
+  return serialize(key.id, async () => {
+    const record = await loadUsage(key);
+    record.frames = Math.max(0, record.frames - frames);
+    if (cancelRequest) record.requests = Math.max(0, record.requests - 1);
+    await store.save(record);
+    return describeUsage(key, record);
+  });
+}
@@ -0,0 +1,232 @@
+/**
+ * Webhook callbacks for finished analyses
+ * Callbacks only go to public addresses, checked when each connection is
+ * made, like URLs fetched for analysis (lib/remoteMedia). Signs each
+ * delivery with HMAC-SHA256 under WEBHOOK_SECRET, retries failed deliveries
+ * with exponential backoff, and keeps a delivery log of one JSON file per
+ * delivery under WEBHOOK_LOG_DIR, readable only with the API key whose
+ * request set the callback. Callbacks are disabled unless both are set.
+ * Retries are scheduled in server memory and stop on restart. Node only.
+ */
+
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import crypto from 'crypto';
+import { createFileStore, isValidRecordId } from './fileStore.js';
+import { createPublicLookup, isPrivateAddress } from './remoteMedia.js';
+
+export const WEBHOOK_EVENTS = ['analysis.completed', 'analysis.failed', 'analysis.cancelled'];
+export const SIGNATURE_HEADER = 'X-Video-Verify-Signature';
+export const TIMESTAMP_HEADER = 'X-Video-Verify-Timestamp';
+
+// Six attempts: now, then 5 s, 20 s, 80 s, 5⅓ min and 21⅓ min later by default
+const MAX_ATTEMPTS = 6;
+const BACKOFF_FACTOR = 4;
+const ATTEMPT_TIMEOUT_MS = 10000;
+
+// Receivers should reject signatures older than this
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const store = createFileStore(() => process.env.WEBHOOK_LOG_DIR);
+
+export const isValidDeliveryId = isValidRecordId;
+
+// For local testing only: lets callbacks reach this machine and the private network
+const allowPrivate = () => process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+const publicLookup = createPublicLookup(allowPrivate);
+
+export function webhooksConfigured() {
+  return Boolean(process.env.WEBHOOK_SECRET && process.env.WEBHOOK_LOG_DIR);
+}
+
+/**
+ * Signature header value for a body sent at `timestamp` (Unix seconds):
+ * "sha256=" and the hex HMAC of "<timestamp>.<body>"
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a delivery's signature and timestamp headers (lower-cased, as Node
+ * gives them) against the raw body. Returns null when valid, or the reason it isn't
+ */
+export function verifySignature(secret, headers, body, now = Date.now()) {
+  const timestamp = Number(headers[TIMESTAMP_HEADER.toLowerCase()]);
+  const signature = headers[SIGNATURE_HEADER.toLowerCase()];
+  if (!Number.isInteger(timestamp) || typeof signature !== 'string') {
+    return 'missing signature headers';
+  }
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return 'timestamp outside the tolerance';
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+    ? null
+    : 'signature mismatch';
+}
+
+/**
+ * Reason a callback URL can't be used, or null when it can
+ * WEBHOOK_ALLOWED_HOSTS, a comma-separated list of host names, restricts
+ * where callbacks may go. Host names are checked again when they resolve
+ */
+export function checkCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'callbackUrl must be an absolute URL';
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return 'callbackUrl must use http or https';
+  }
+  if (url.username || url.password) {
+    return 'callbackUrl must not contain credentials';
+  }
+
+  // Literal addresses skip DNS, so they are checked here
+  const host = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  const local = host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host));
+  if (local && !allowPrivate()) {
+    return `callbackUrl host ${url.hostname} is not a public address`;
+  }
+
+  const allowed = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  if (allowed.length > 0 && !allowed.includes(url.hostname.toLowerCase())) {
+    return `callbackUrl host ${url.hostname} is not in WEBHOOK_ALLOWED_HOSTS`;
+  }
+  return null;
+}
+
+function retryDelay(attempt) {
+  const base = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '', 10) || 5000;
+  return base * BACKOFF_FACTOR ** (attempt - 1);
+}
+
+// Status codes worth retrying; other 4xx responses mean the receiver refused it
+const isRetryable = status => status === 408 || status === 429 || status >= 500;
+
+/**
+ * POST a body to a public address, without following redirects; resolves
+ * with the response status
+ */
+function post(value, headers, body, signal) {
+  const url = new URL(value);
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      lookup: publicLookup,
+      signal,
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * POST a delivery once, recording the attempt; schedules the next attempt
+ * when this one fails and may succeed later
+ */
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: new Date(started).toISOString(), status: null, error: null, durationMs: null };
+
+  const signal = AbortSignal.timeout(ATTEMPT_TIMEOUT_MS);
+  try {
+    attempt.status = await post(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'video-verify-webhook',
+      'X-Video-Verify-Event': delivery.event,
+      'X-Video-Verify-Delivery': delivery.id,
+      [TIMESTAMP_HEADER]: String(timestamp),
+      [SIGNATURE_HEADER]: signPayload(process.env.WEBHOOK_SECRET, timestamp, body)
+    }, body, signal);
+    if (attempt.status < 200 || attempt.status >= 300) attempt.error = `HTTP ${attempt.status}`;
+  } catch (error) {
+    attempt.error = signal.aborted
+      ? `No response within ${ATTEMPT_TIMEOUT_MS / 1000} s`
+      : error.message;
+  }
+  attempt.durationMs = Date.now() - started;
+
+  delivery.attempts.push(attempt);
+  const retry = attempt.error && (attempt.status === null || isRetryable(attempt.status))
+    && delivery.attempts.length < MAX_ATTEMPTS;
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+  } else if (retry) {
+    const delay = retryDelay(delivery.attempts.length);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    setTimeout(() => attemptDelivery(delivery), delay);
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  }
+
+  await store.save(delivery).catch(error => console.error(`Webhook log for ${delivery.id} failed:`, error));
+  if (delivery.status === 'failed') {
+    console.error(`Webhook ${delivery.id} to ${delivery.url} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+  }
+}
+
+/**
+ * Start delivering `payload` for `event` to `url`; returns the delivery's ID
+ * The delivery ID is added to the payload, so receivers can drop duplicates.
+ * `keyId` is the API key the log is kept for; without one it isn't served
+ */
+export async function sendWebhook(url, event, payload, { job = null, keyId = null } = {}) {
+  const id = crypto.randomBytes(16).toString('base64url');
+  const delivery = {
+    id,
+    key: keyId,
+    job,
+    url,
+    event,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: null,
+    attempts: [],
+    payload: { event, deliveryId: id, ...payload }
+  };
+  await store.save(delivery);
+  attemptDelivery(delivery);
+  return id;
+}
+
+/**
+ * A delivery's log record, or null when unknown or logged for another key
+ */
+export async function getDelivery(keyId, id) {
+  const record = await store.get(id);
+  if (!record || record.key !== keyId) return null;
+  const { key, ...delivery } = record;
+  return delivery;
+}
+
+/**
+ * A key's delivery log, newest first, without payloads; pass `job` for one job's deliveries
+ */
+export async function listDeliveries(keyId, { job = null } = {}) {
+  const records = await store.list();
+  return records
+    .filter(record => record.key === keyId && (!job || record.job === job))
+    .map(({ key, payload, ...record }) => record)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
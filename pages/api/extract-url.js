@@ -0,0 +1,77 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractVideoFile, readContainerMetadata, MAX_SEGMENTS } from '../../lib/analyzeVideoFile';
+import { withSiteAccess } from '../../lib/apiAuth';
+import { fetchRemoteVideo } from '../../lib/remoteMedia';
+import { DEFAULT_SAMPLING, getSamplingProfile } from '../../lib/sampling';
+
+/**
+ * Fetch a video by URL (a direct file or an HLS playlist) and sample it like
+ * /api/extract. Also returns the container metadata the browser would read
+ * from an uploaded file, and where the video came from
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { url, profile, starts = null, firstSegment = 1 } = req.body || {};
+
+  if (typeof url !== 'string' || url.trim() === '') {
+    return res.status(400).json({ error: 'No URL provided' });
+  }
+
+  const sampling = profile ? getSamplingProfile(profile) : DEFAULT_SAMPLING;
+  if (!sampling) {
+    return res.status(400).json({ error: `Unknown sampling profile: ${profile}` });
+  }
+
+  if (starts !== null && (!Array.isArray(starts) || starts.length > MAX_SEGMENTS
+    || starts.some(t => !Number.isFinite(t) || t < 0))) {
+    return res.status(400).json({ error: 'Invalid segment start times' });
+  }
+
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-verify-'));
+  const filePath = path.join(tempDir, 'input');
+
+  try {
+    const source = await fetchRemoteVideo(url.trim(), filePath);
+    const { video, frames, audio } = await extractVideoFile(filePath, sampling, {
+      starts,
+      firstSegment: parseInt(firstSegment, 10) || 1
+    });
+
+    return res.status(200).json({
+      success: true,
+      sourceUrl: source.sourceUrl,
+      finalUrl: source.finalUrl,
+      format: source.format,
+      fileName: source.fileName,
+      fileSize: source.fileSize,
+      fileType: source.fileType,
+      video,
+      sampling,
+      frames,
+      audio,
+      metadata: await readContainerMetadata(filePath)
+    });
+
+  } catch (error) {
+    console.error('URL extraction error:', error);
+    return res.status(error.status || 500).json({
+      error: 'Extraction failed',
+      message: error.message
+    });
+  } finally {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+export default withSiteAccess(handler, { rateLimited: true });
+
+export const config = {
+  api: {
+    responseLimit: false
+  }
+};
@@ -0,0 +1,113 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractVideoFile, MAX_SEGMENTS } from '../../lib/analyzeVideoFile';
+import { withSiteAccess } from '../../lib/apiAuth';
+import { DEFAULT_SAMPLING, getSamplingProfile } from '../../lib/sampling';
+
+// Raw uploads are streamed to disk, so this can be larger than the JSON body limit
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES || '', 10) || 200 * 1024 * 1024;
+
+/**
+ * Stream the raw request body to a file, enforcing the size limit
+ */
+async function saveRequestBody(req, filePath) {
+  const out = fs.createWriteStream(filePath);
+  let received = 0;
+
+  try {
+    for await (const chunk of req) {
+      received += chunk.length;
+      if (received > MAX_UPLOAD_BYTES) {
+        const error = new Error(`Upload exceeds ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))} MB limit`);
+        error.status = 413;
+        throw error;
+      }
+      if (!out.write(chunk)) {
+        await new Promise(resolve => out.once('drain', resolve));
+      }
+    }
+  } finally {
+    await new Promise(resolve => out.end(resolve));
+  }
+
+  return received;
+}
+
+/**
+ * File names arrive URI-encoded; a malformed one is kept as sent
+ */
+function decodeFileName(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const contentType = req.headers['content-type'] || '';
+  if (!contentType.startsWith('video/') && contentType !== 'application/octet-stream') {
+    return res.status(415).json({ error: 'Send the raw video file with a video/* Content-Type' });
+  }
+
+  const sampling = req.query.profile ? getSamplingProfile(req.query.profile) : DEFAULT_SAMPLING;
+  if (!sampling) {
+    return res.status(400).json({ error: `Unknown sampling profile: ${req.query.profile}` });
+  }
+
+  // Explicit segment start times (e.g. an adaptive follow-up pass) replace the default plan
+  const starts = req.query.starts
+    ? String(req.query.starts).split(',').map(Number)
+    : null;
+  if (starts && (starts.length > MAX_SEGMENTS || starts.some(t => !Number.isFinite(t) || t < 0))) {
+    return res.status(400).json({ error: 'Invalid segment start times' });
+  }
+  const firstSegment = parseInt(req.query.firstSegment, 10) || 1;
+
+  const fileName = decodeFileName(String(req.headers['x-file-name'] || req.query.fileName || 'upload'));
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-verify-'));
+  const filePath = path.join(tempDir, 'input');
+
+  try {
+    const fileSize = await saveRequestBody(req, filePath);
+
+    if (fileSize === 0) {
+      return res.status(400).json({ error: 'No video provided' });
+    }
+
+    const { video, frames, audio } = await extractVideoFile(filePath, sampling, { starts, firstSegment });
+
+    return res.status(200).json({
+      success: true,
+      fileName,
+      fileSize,
+      video,
+      sampling,
+      frames,
+      audio
+    });
+
+  } catch (error) {
+    console.error('Extraction error:', error);
+    return res.status(error.status || 500).json({
+      error: 'Extraction failed',
+      message: error.message
+    });
+  } finally {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+export default withSiteAccess(handler, { rateLimited: true });
+
+export const config = {
+  api: {
+    bodyParser: false,
+    responseLimit: false
+  }
+};
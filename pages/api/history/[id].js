@@ -0,0 +1,47 @@
+import { withSiteAccess } from '../../../lib/apiAuth';
+import { isResultStoreConfigured, isValidResultId, resolveOwner, getResult, deleteResult } from '../../../lib/resultStore';
+
+async function handler(req, res) {
+  if (!isResultStoreConfigured()) {
+    return res.status(404).json({ error: 'Server history is not configured' });
+  }
+
+  const { id } = req.query;
+  if (!isValidResultId(id)) {
+    return res.status(400).json({ error: 'Invalid result id' });
+  }
+
+  try {
+    const owner = resolveOwner(req, res);
+
+    if (req.method === 'GET') {
+      const record = await getResult(owner, id);
+      if (!record) {
+        return res.status(404).json({ error: 'Result not found' });
+      }
+      return res.status(200).json(record);
+    }
+
+    if (req.method === 'DELETE') {
+      await deleteResult(owner, id);
+      return res.status(204).end();
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('History error:', error);
+    return res.status(500).json({
+      error: 'History request failed',
+      message: error.message
+    });
+  }
+}
+
+export default withSiteAccess(handler);
+
+export const config = {
+  api: {
+    responseLimit: false
+  }
+};
@@ -0,0 +1,51 @@
+import { withSiteAccess } from '../../../lib/apiAuth';
+import { isResultStoreConfigured, resolveOwner, saveResult, listResults } from '../../../lib/resultStore';
+
+async function handler(req, res) {
+  if (!isResultStoreConfigured()) {
+    // Clients fall back to IndexedDB when the server store is off
+    if (req.method === 'GET') {
+      return res.status(200).json({ enabled: false, items: [] });
+    }
+    return res.status(404).json({ error: 'Server history is not configured' });
+  }
+
+  try {
+    const owner = resolveOwner(req, res);
+
+    if (req.method === 'GET') {
+      const items = await listResults(owner);
+      return res.status(200).json({ enabled: true, items });
+    }
+
+    if (req.method === 'POST') {
+      const { result } = req.body || {};
+
+      if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        return res.status(400).json({ error: 'Invalid history record' });
+      }
+
+      const id = await saveResult(owner, result);
+      return res.status(201).json({ id });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('History error:', error);
+    return res.status(error.status || 500).json({
+      error: 'History request failed',
+      message: error.message
+    });
+  }
+}
+
+export default withSiteAccess(handler, { rateLimited: true });
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '100mb' // Same as /api/analyze: Thorough results carry full-resolution frames
+    }
+  }
+};
@@ -0,0 +1,59 @@
+import { withSiteAccess } from '../../../../lib/apiAuth';
+import { getJob, describeJob, subscribeToJob, isValidJobId } from '../../../../lib/jobs';
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Server-Sent Events stream of a job: a `job` event with the job's public
+ * view now and on every update, ending once the job has finished
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+  if (!isValidJobId(id)) {
+    return res.status(400).json({ error: 'Invalid job id' });
+  }
+
+  const job = getJob(id, req.apiKey?.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (view) => {
+    res.write(`event: job\ndata: ${JSON.stringify(view)}\n\n`);
+    if (view.status !== 'running') {
+      cleanup();
+      res.end();
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  let unsubscribe = () => {};
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  unsubscribe = subscribeToJob(job, send);
+  req.on('close', cleanup);
+  send(describeJob(job));
+}
+
+export default withSiteAccess(handler);
+
+export const config = {
+  api: {
+    responseLimit: false
+  }
+};
@@ -0,0 +1,35 @@
+import { withSiteAccess } from '../../../../lib/apiAuth';
+import { getJob, cancelJob, describeJob, isValidJobId } from '../../../../lib/jobs';
+
+async function handler(req, res) {
+  const { id, frames } = req.query;
+  if (!isValidJobId(id)) {
+    return res.status(400).json({ error: 'Invalid job id' });
+  }
+
+  const job = getJob(id, req.apiKey?.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (req.method === 'GET') {
+    return res.status(200).json(describeJob(job, { includeFrames: frames === '1' }));
+  }
+
+  if (req.method === 'DELETE') {
+    if (!cancelJob(job)) {
+      return res.status(409).json({ error: 'Job already finished', status: job.status });
+    }
+    return res.status(200).json(describeJob(job));
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+export default withSiteAccess(handler);
+
+export const config = {
+  api: {
+    responseLimit: false
+  }
+};
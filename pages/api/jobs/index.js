@@ -0,0 +1,64 @@
+import { parseAnalyzeRequest } from '../../../lib/analyzeRequest';
+import { withSiteAccess } from '../../../lib/apiAuth';
+import { reserveAnalysis, quotaExceeded } from '../../../lib/frameQuota';
+import { createJob, jobsEnabled } from '../../../lib/jobs';
+import { webhooksConfigured } from '../../../lib/webhooks';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!jobsEnabled()) {
+    return res.status(503).json({ error: 'Analysis jobs are disabled', message: 'Use /api/analyze' });
+  }
+
+  let reservation = null;
+  try {
+    const request = parseAnalyzeRequest(req.body);
+    if (request.error) {
+      return res.status(400).json(request);
+    }
+
+    if (request.callbackUrl && !webhooksConfigured()) {
+      return res.status(503).json({ error: 'Webhook callbacks are not configured', message: 'Set WEBHOOK_SECRET and WEBHOOK_LOG_DIR' });
+    }
+
+    const { context = null } = req.body;
+    if (context !== null && (typeof context !== 'object' || Array.isArray(context))) {
+      return res.status(400).json({ error: 'Invalid job context' });
+    }
+
+    // Requests made with an API key are charged to its frame quota
+    if (req.apiKey) {
+      reservation = await reserveAnalysis(req.apiKey, request);
+      if (!reservation.allowed) {
+        return res.status(429).json(quotaExceeded(reservation));
+      }
+    }
+
+    const job = createJob(request, context, { reservation, keyId: req.apiKey?.id ?? null });
+    reservation = null; // Settled by the job
+    return res.status(202).json(job);
+
+  } catch (error) {
+    console.error('Job error:', error);
+    if (reservation?.allowed) {
+      await reservation.settle().catch(usageError => console.error('Usage error:', usageError));
+    }
+    return res.status(error.status || 500).json({
+      error: 'Failed to start analysis job',
+      message: error.message
+    });
+  }
+}
+
+export default withSiteAccess(handler, { rateLimited: true });
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '100mb' // Same frames as /api/analyze
+    }
+  }
+};
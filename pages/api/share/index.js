@@ -0,0 +1,51 @@
+import { withSiteAccess } from '../../../lib/apiAuth';
+import { createShare, isShareStoreConfigured } from '../../../lib/shareStore';
+import { isValidExpiry } from '../../../lib/shareOptions';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isShareStoreConfigured()) {
+    return res.status(503).json({ error: 'Share links are not configured', message: 'Set SHARE_STORE_DIR to enable share links' });
+  }
+
+  try {
+    const { result, expiresIn = null, includeFrames = true } = req.body;
+
+    if (!result || typeof result !== 'object') {
+      return res.status(400).json({ error: 'No result provided' });
+    }
+
+    if (!isValidExpiry(expiresIn)) {
+      return res.status(400).json({ error: 'Invalid expiry' });
+    }
+
+    const share = await createShare(result, { expiresIn, includeFrames: Boolean(includeFrames) });
+
+    return res.status(201).json({
+      id: share.id,
+      path: `/results/${share.id}`,
+      expiresAt: share.expiresAt,
+      includesFrames: share.includesFrames
+    });
+
+  } catch (error) {
+    console.error('Share error:', error);
+    return res.status(error.status || 500).json({
+      error: 'Failed to create share link',
+      message: error.message
+    });
+  }
+}
+
+export default withSiteAccess(handler, { rateLimited: true });
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '100mb' // Same as /api/analyze: Thorough results carry full-resolution frames
+    }
+  }
+};
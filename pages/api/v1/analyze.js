@@ -0,0 +1,97 @@
+import { analyzeFrames, analyzeFramesWithEnsemble } from '../../../lib/analyzeFrames';
+import { parseAnalyzeRequest } from '../../../lib/analyzeRequest';
+import { withApiKey } from '../../../lib/apiAuth';
+import { saveApiResult, describeApiResult } from '../../../lib/apiResults';
+import { reserveAnalysis, quotaExceeded } from '../../../lib/frameQuota';
+
+function setQuotaHeaders(res, usage) {
+  if (usage.limit === null) return;
+  res.setHeader('X-Frame-Quota-Limit', usage.limit);
+  res.setHeader('X-Frame-Quota-Remaining', usage.remaining);
+}
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let request;
+  try {
+    request = parseAnalyzeRequest(req.body);
+  } catch (error) {
+    console.error('Configuration error:', error);
+    return res.status(error.status || 500).json({ error: 'Analysis failed', message: error.message });
+  }
+  if (request.error) {
+    return res.status(400).json(request);
+  }
+  if (request.callbackUrl) {
+    return res.status(400).json({ error: 'callbackUrl is not supported on /api/v1', message: 'Use /api/analyze for webhook callbacks' });
+  }
+
+  // Every image sent to the model counts, so the worst case is reserved first
+  const { frames, members, options } = request;
+
+  let reservation;
+  try {
+    reservation = await reserveAnalysis(req.apiKey, request);
+  } catch (error) {
+    console.error('Usage error:', error);
+    return res.status(500).json({ error: 'Failed to record usage', message: error.message });
+  }
+
+  setQuotaHeaders(res, reservation.usage);
+  if (!reservation.allowed) {
+    return res.status(429).json(quotaExceeded(reservation));
+  }
+
+  const analysisOptions = { ...options, onProgress: reservation.track() };
+  let result;
+  let failure;
+  try {
+    result = members
+      ? await analyzeFramesWithEnsemble(frames, members, analysisOptions)
+      : await analyzeFrames(frames, analysisOptions);
+  } catch (error) {
+    failure = error;
+  }
+
+  try {
+    const { charged, usage } = await reservation.settle();
+    res.setHeader('X-Frames-Charged', charged);
+    setQuotaHeaders(res, usage);
+  } catch (error) {
+    console.error('Usage error:', error);
+  }
+
+  if (failure) {
+    console.error('Analysis error:', failure);
+    return res.status(500).json({
+      error: 'Analysis failed',
+      message: failure.message
+    });
+  }
+
+  try {
+    const record = await saveApiResult(req.apiKey.id, result);
+    res.setHeader('Location', `/api/v1/results/${record.id}`);
+    return res.status(201).json(describeApiResult(record));
+
+  } catch (error) {
+    console.error('Result store error:', error);
+    return res.status(500).json({
+      error: 'Failed to store result',
+      message: error.message
+    });
+  }
+}
+
+export default withApiKey(handler);
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '100mb'
+    }
+  }
+};
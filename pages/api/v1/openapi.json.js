@@ -0,0 +1,10 @@
+import { buildOpenApiSpec } from '../../../lib/openapi';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  return res.status(200).json(buildOpenApiSpec({ serverUrl: `${protocol}://${req.headers.host}` }));
+}
@@ -0,0 +1,30 @@
+import { withApiKey } from '../../../../lib/apiAuth';
+import { isValidApiResultId, getApiResult, describeApiResult } from '../../../../lib/apiResults';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+  if (!isValidApiResultId(id)) {
+    return res.status(400).json({ error: 'Invalid result id' });
+  }
+
+  try {
+    const record = await getApiResult(req.apiKey.id, id);
+    if (!record) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    return res.status(200).json(describeApiResult(record));
+
+  } catch (error) {
+    console.error('Result error:', error);
+    return res.status(500).json({
+      error: 'Failed to load result',
+      message: error.message
+    });
+  }
+}
+
+export default withApiKey(handler);
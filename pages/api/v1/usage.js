@@ -0,0 +1,25 @@
+import { withApiKey } from '../../../lib/apiAuth';
+import { getUsage } from '../../../lib/usageStore';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const usage = await getUsage(req.apiKey);
+    return res.status(200).json({
+      ...usage,
+      rateLimit: req.apiKey.rateLimit
+    });
+
+  } catch (error) {
+    console.error('Usage error:', error);
+    return res.status(500).json({
+      error: 'Failed to load usage',
+      message: error.message
+    });
+  }
+}
+
+export default withApiKey(handler);
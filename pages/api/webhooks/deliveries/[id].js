@@ -0,0 +1,34 @@
+import { withApiKey } from '../../../../lib/apiAuth';
+import { isValidDeliveryId, getDelivery, webhooksConfigured } from '../../../../lib/webhooks';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!webhooksConfigured()) {
+    return res.status(503).json({ error: 'Webhook callbacks are not configured', message: 'Set WEBHOOK_SECRET and WEBHOOK_LOG_DIR' });
+  }
+
+  const { id } = req.query;
+  if (!isValidDeliveryId(id)) {
+    return res.status(400).json({ error: 'Invalid delivery id' });
+  }
+
+  try {
+    const delivery = await getDelivery(req.apiKey.id, id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    return res.status(200).json(delivery);
+
+  } catch (error) {
+    console.error('Webhook log error:', error);
+    return res.status(500).json({
+      error: 'Failed to load webhook delivery',
+      message: error.message
+    });
+  }
+}
+
+export default withApiKey(handler);
@@ -0,0 +1,32 @@
+import { withApiKey } from '../../../../lib/apiAuth';
+import { webhooksConfigured, listDeliveries } from '../../../../lib/webhooks';
+import { isValidJobId } from '../../../../lib/jobs';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!webhooksConfigured()) {
+    return res.status(503).json({ error: 'Webhook callbacks are not configured', message: 'Set WEBHOOK_SECRET and WEBHOOK_LOG_DIR' });
+  }
+
+  const { job = null } = req.query;
+  if (job !== null && !isValidJobId(job)) {
+    return res.status(400).json({ error: 'Invalid job id' });
+  }
+
+  try {
+    const items = await listDeliveries(req.apiKey.id, { job });
+    return res.status(200).json({ items });
+
+  } catch (error) {
+    console.error('Webhook log error:', error);
+    return res.status(500).json({
+      error: 'Failed to load webhook deliveries',
+      message: error.message
+    });
+  }
+}
+
+export default withApiKey(handler);
@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { RISK_LEVELS } from '../lib/riskMapping';
+import { listAnalyses, deleteAnalysis } from '../lib/history';
+import { issueSiteSession } from '../lib/siteSession';
+
+export async function getServerSideProps({ req, res }) {
+  // The session cookie lets this page's requests to the API routes through
+  issueSiteSession(req, res);
+  return { props: {} };
+}
+
+export default function History() {
+  const [items, setItems] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    listAnalyses()
+      .then(setItems)
+      .catch((err) => {
+        console.error('Failed to load history:', err);
+        setError('Could not load analysis history');
+        setItems([]);
+      });
+  }, []);
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteAnalysis(id);
+      setItems(current => current.filter(item => item.id !== id));
+    } catch (err) {
+      console.error('Failed to delete analysis:', err);
+      setError('Could not delete analysis');
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Analysis History - Video Verify</title>
+      </Head>
+
+      {/* Navigation */}
+      <nav className="nav-bar">
+        <Link href="/" className="nav-btn">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7" />
+          </svg>
+          New Analysis
+        </Link>
+        <div style={{ opacity: 0.7, fontSize: '0.85rem' }}>
+          Built by cameronobrien.dev
+        </div>
+      </nav>
+
+      <div className="container">
+        <header className="header">
+          <h1>Analysis History</h1>
+          <p>Past analyses, newest first</p>
+        </header>
+
+        {error && (
+          <div className="error-message">
+            {error}
+          </div>
+        )}
+
+        {items === null ? (
+          <div className="loading-overlay" style={{ position: 'relative', minHeight: '30vh' }}>
+            <div className="spinner" />
+            <div className="loading-text">Loading history...</div>
+          </div>
+        ) : items.length === 0 ? (
+          <div className="result-card">
+            <p>No saved analyses yet.</p>
+          </div>
+        ) : (
+          <div className="result-card">
+            <ul className="history-list">
+              {items.map(item => (
+                <li key={item.id} className="history-item">
+                  <Link href={`/results?id=${item.id}`} className="history-link">
+                    <div className="history-name">{item.fileName}</div>
+                    <div className="history-date">{new Date(item.analyzedAt).toLocaleString()}</div>
+                  </Link>
+                  <span className={`score-value ${item.riskLevel.toLowerCase()}`}>
+                    {RISK_LEVELS[item.riskLevel]?.label}
+                  </span>
+                  <span className="history-score">
+                    {item.average !== null ? `${item.average}/10` : 'N/A'}
+                  </span>
+                  <button className="history-delete" onClick={() => handleDelete(item.id)} aria-label="Delete analysis">
+                    &times;
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
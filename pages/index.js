@@ -1,16 +1,48 @@
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useEffect } from 'react';
 import Head from 'next/head';
+import Link from 'next/link';
 import { useRouter } from 'next/router';
 import { DEMO_FRAMES, DEMO_VIDEO_INFO } from '../lib/demoFrames';
+import { SAMPLING_PROFILES, DEFAULT_SAMPLING, getSegmentStartTimes, getPlanForSegments } from '../lib/sampling';
+import { extractFrames } from '../lib/extractFrames';
+import { loadFaceDetector, addFaceCrops } from '../lib/faceDetection';
+import { trackFaces } from '../lib/faceTracking';
+import { decodeAudio } from '../lib/extractAudio';
+import { inspectContainer, blobReader } from '../lib/containerMetadata';
+import { buildAudioSummary } from '../lib/audioFeatures';
+import { analyzeFrameForensics, summarizeForensics } from '../lib/imageForensics';
+import { loadFramePixels } from '../lib/framePixels';
+import { needsFollowUp, getFollowUpStartTimes, mergePasses } from '../lib/adaptiveSampling';
+import { saveAnalysis } from '../lib/history';
+import { readError } from '../lib/responseError';
+import { startJob, watchJob, fetchJob, cancelJob, rememberActiveJob, getActiveJob, forgetActiveJob } from '../lib/jobClient';
+import { issueSiteSession } from '../lib/siteSession';
+
+// Progress bar range covered by each analysis pass's job (upload, then model calls)
+const FIRST_PASS = { start: 35, end: 60 };
+const FOLLOW_UP_PASS = { start: 70, end: 80 };
+
+export async function getServerSideProps({ req, res }) {
+  // The session cookie lets this page's requests to the API routes through
+  issueSiteSession(req, res);
+  return { props: {} };
+}
 
 export default function Home() {
   const router = useRouter();
   const fileInputRef = useRef(null);
   const [file, setFile] = useState(null);
+  const [videoUrl, setVideoUrl] = useState(''); // Link to analyze instead of a file
   const [dragging, setDragging] = useState(false);
   const [loading, setLoading] = useState(false);
   const [progress, setProgress] = useState({ stage: '', percent: 0 });
   const [error, setError] = useState(null);
+  const [profile, setProfile] = useState(DEFAULT_SAMPLING.profile);
+  const [ensemble, setEnsemble] = useState(false);
+  const [jobId, setJobId] = useState(null); // Running analysis job, for cancelling
+  const [jobStages, setJobStages] = useState([]);
+
+  const sampling = SAMPLING_PROFILES[profile];
 
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -30,6 +62,7 @@ export default function Home() {
     const droppedFile = e.dataTransfer.files[0];
     if (droppedFile && droppedFile.type.startsWith('video/')) {
       setFile(droppedFile);
+      setVideoUrl('');
     } else {
       setError('Please upload a valid video file');
     }
@@ -40,166 +73,213 @@ export default function Home() {
     const selectedFile = e.target.files[0];
     if (selectedFile && selectedFile.type.startsWith('video/')) {
       setFile(selectedFile);
+      setVideoUrl('');
     } else {
       setError('Please upload a valid video file');
     }
   };
 
-  // Multi-segment temporal sampling:
-  // 3 segments at 25%, 50%, 75% of video duration
-  // 8 consecutive frames per segment = 24 total frames
-  const extractFrames = async (videoFile) => {
-    return new Promise((resolve, reject) => {
-      const video = document.createElement('video');
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-
-      video.preload = 'metadata';
-      video.muted = true;
-      video.playsInline = true;
-
-      const allFrames = [];
-      const segments = 3; // Sample from 3 different parts of video
-      const framesPerSegment = 8; // 8 consecutive frames each
-      const segmentDuration = 1; // ~1 second per segment
-      const frameInterval = segmentDuration / framesPerSegment; // ~0.125s between frames
-
-      let segmentTimestamps = [];
-      let currentSegment = 0;
-      let currentFrameInSegment = 0;
-
-      video.onloadedmetadata = () => {
-        const duration = video.duration;
-
-        // Sample at 25%, 50%, 75% of video duration
-        // Avoid first/last 10% of video
-        const safeStart = duration * 0.1;
-        const safeEnd = duration * 0.9;
-
-        if (duration < 3) {
-          // Very short video: sample evenly
-          segmentTimestamps = [
-            safeStart,
-            duration * 0.5,
-            safeEnd - segmentDuration
-          ];
-        } else {
-          // Normal video: sample at 25%, 50%, 75%
-          segmentTimestamps = [
-            duration * 0.25,
-            duration * 0.50,
-            duration * 0.75
-          ];
-        }
+  // Canvas extraction following the selected profile's sampling plan
+  const extractFramesInBrowser = (videoFile, {
+    getPlan,
+    faceDetector,
+    progressStart = 0,
+    progressEnd = 30
+  } = {}) => extractFrames(videoFile, {
+    sampling,
+    getPlan,
+    faceDetector,
+    onProgress: (segmentIndex, segmentCount, completed, total) => setProgress({
+      stage: `Extracting segment ${segmentIndex + 1}/${segmentCount}`,
+      percent: Math.round(progressStart + (completed / total) * (progressEnd - progressStart))
+    })
+  });
+
+  // Fallback for codecs the browser can't draw to a canvas (HEVC, ProRes):
+  // upload the file and let the server decode it with ffmpeg
+  const extractFramesOnServer = async (videoFile, { starts, firstSegment } = {}) => {
+    setProgress({ stage: 'Uploading video for server-side extraction', percent: starts ? 60 : 10 });
+
+    const query = new URLSearchParams({ profile });
+    if (starts) {
+      query.set('starts', starts.join(','));
+      query.set('firstSegment', firstSegment);
+    }
 
-        // Ensure segments don't exceed video duration
-        segmentTimestamps = segmentTimestamps.map(t =>
-          Math.min(t, duration - segmentDuration)
-        );
-
-        canvas.width = Math.min(video.videoWidth, 1280);
-        canvas.height = Math.min(video.videoHeight, 720);
-
-        const scale = Math.min(
-          canvas.width / video.videoWidth,
-          canvas.height / video.videoHeight
-        );
-        const scaledWidth = video.videoWidth * scale;
-        const scaledHeight = video.videoHeight * scale;
-
-        const captureFrame = () => {
-          if (currentSegment >= segments) {
-            URL.revokeObjectURL(video.src);
-            resolve(allFrames);
-            return;
-          }
-
-          const baseTime = segmentTimestamps[currentSegment];
-          const timestamp = baseTime + (currentFrameInSegment * frameInterval);
-          video.currentTime = timestamp;
-        };
-
-        video.onseeked = () => {
-          ctx.fillStyle = '#000';
-          ctx.fillRect(0, 0, canvas.width, canvas.height);
-          ctx.drawImage(
-            video,
-            (canvas.width - scaledWidth) / 2,
-            (canvas.height - scaledHeight) / 2,
-            scaledWidth,
-            scaledHeight
-          );
-
-          const frameData = canvas.toDataURL('image/jpeg', 0.8);
-          allFrames.push({
-            timestamp: video.currentTime,
-            data: frameData,
-            segment: currentSegment + 1,
-            frameInSegment: currentFrameInSegment + 1
-          });
+    const response = await fetch(`/api/extract?${query}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': videoFile.type || 'application/octet-stream',
+        'X-File-Name': encodeURIComponent(videoFile.name)
+      },
+      body: videoFile
+    });
 
-          const totalFrames = segments * framesPerSegment;
-          const completedFrames = (currentSegment * framesPerSegment) + currentFrameInSegment + 1;
-          setProgress({
-            stage: `Extracting segment ${currentSegment + 1}/${segments}`,
-            percent: Math.round((completedFrames / totalFrames) * 30)
-          });
+    if (!response.ok) {
+      throw new Error(await readError(response, 'Frame extraction failed'));
+    }
 
-          currentFrameInSegment++;
-          if (currentFrameInSegment >= framesPerSegment) {
-            currentSegment++;
-            currentFrameInSegment = 0;
-          }
-          captureFrame();
-        };
+    const { frames, video, audio } = await response.json();
+    if (!starts) setProgress({ stage: 'Frames ready', percent: 30 });
+    return { frames, video, audio, source: 'server' };
+  };
 
-        captureFrame();
-      };
+  // Videos given by URL are fetched and sampled on the server, which also
+  // reads their container metadata; follow-up passes fetch the URL again
+  const extractFramesFromUrl = async (url, { starts, firstSegment } = {}) => {
+    setProgress({ stage: 'Fetching video from URL', percent: starts ? 60 : 10 });
 
-      video.onerror = () => {
-        URL.revokeObjectURL(video.src);
-        reject(new Error('Failed to load video file'));
-      };
-
-      video.src = URL.createObjectURL(videoFile);
+    const response = await fetch('/api/extract-url', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url, profile, ...(starts && { starts, firstSegment }) })
     });
+
+    if (!response.ok) {
+      throw new Error(await readError(response, 'Fetching the video failed'));
+    }
+
+    const extracted = await response.json();
+    if (!starts) setProgress({ stage: 'Frames ready', percent: 30 });
+    return { ...extracted, source: 'server' };
   };
 
-  const analyzeFrames = async (frames, fileInfo) => {
-    setLoading(true);
-    setError(null);
+  // Follow a job to the end, mapping its progress onto the pass's range
+  const followJob = async (job, range) => {
+    rememberActiveJob(job.id);
+    setJobId(job.id);
+
+    const final = await watchJob(job.id, (view) => {
+      setJobStages(view.stages);
+      const current = [...view.stages].reverse().find(stage => stage.status === 'running') || view.stages[view.stages.length - 1];
+      setProgress({
+        stage: current?.label || 'Analyzing with AI',
+        percent: Math.round(range.start + 5 + (view.progress / 100) * (range.end - range.start - 5))
+      });
+    });
+    setJobId(null);
 
+    if (final.status === 'completed') return final.result;
+    forgetActiveJob();
+    throw new Error(final.status === 'cancelled' ? 'Analysis cancelled' : final.error || 'Analysis failed');
+  };
+
+  // Each pass is a server job; `context` lets a reopened page finish the analysis
+  // Servers with jobs disabled (serverless deployments) get one blocking request
+  const requestAnalysis = async ({ frames, audio }, frameSampling, context, range) => {
+    const body = {
+      frames,
+      audio,
+      sampling: frameSampling,
+      perFrame: true,
+      annotate: true,
+      ...(ensemble && { ensemble: true })
+    };
+
+    setProgress({ stage: 'Uploading frames', percent: range.start });
+    let job;
     try {
-      // Send to API
-      setProgress({ stage: 'Analyzing with AI', percent: 40 });
+      job = await startJob({ ...body, context }, {
+        onUploadProgress: fraction => setProgress({
+          stage: `Uploading frames (${Math.round(fraction * 100)}%)`,
+          percent: Math.round(range.start + fraction * 5)
+        })
+      });
+    } catch (jobError) {
+      if (jobError.status !== 503) throw jobError;
 
+      setProgress({ stage: 'Analyzing with AI', percent: range.start + 5 });
       const response = await fetch('/api/analyze', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ frames })
+        body: JSON.stringify(body)
       });
-
-      setProgress({ stage: 'Processing results', percent: 80 });
-
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Analysis failed');
+        throw new Error(await readError(response, 'Analysis failed'));
       }
+      return { job: null, result: await response.json() };
+    }
 
-      const result = await response.json();
+    return { job, result: await followJob(job, range) };
+  };
 
-      setProgress({ stage: 'Complete', percent: 100 });
+  // Forensics run locally on the same frames, after the model has them; then
+  // the passes are merged, saved to history and opened
+  const finishAnalysis = async (passes, analyzedFrames, fileInfo, frameSampling) => {
+    setProgress({ stage: 'Running image forensics', percent: 80 });
+    const framesWithForensics = await analyzeFrameForensics(analyzedFrames, loadFramePixels);
+
+    setProgress({ stage: 'Processing results', percent: 90 });
+
+    const result = mergePasses(passes);
+
+    setProgress({ stage: 'Complete', percent: 100 });
+
+    const analysisResult = {
+      ...result,
+      fileName: fileInfo.fileName,
+      fileSize: fileInfo.fileSize,
+      fileType: fileInfo.fileType,
+      lastModified: fileInfo.lastModified,
+      sourceUrl: fileInfo.sourceUrl || null,
+      video: fileInfo.video,
+      metadata: fileInfo.metadata || null,
+      forensics: summarizeForensics(framesWithForensics),
+      sampling: frameSampling,
+      frames: framesWithForensics.map(f => ({
+        timestamp: f.timestamp,
+        data: f.data,
+        segment: f.segment,
+        frameInSegment: f.frameInSegment,
+        faces: f.faces,
+        forensics: f.forensics
+      })),
+      analyzedAt: new Date().toISOString()
+    };
+    forgetActiveJob();
+
+    // Store results in history and navigate
+    try {
+      const id = await saveAnalysis(analysisResult);
+      router.push(`/results?id=${id}`);
+    } catch (storeError) {
+      // History unavailable (e.g. private browsing): keep this result for the current tab only
+      console.warn('Failed to save to history:', storeError);
+      sessionStorage.setItem('analysisResult', JSON.stringify(analysisResult));
+      router.push('/results');
+    }
+  };
 
-      // Store results and navigate
-      sessionStorage.setItem('analysisResult', JSON.stringify({
-        ...result,
-        fileName: fileInfo.fileName,
-        fileSize: fileInfo.fileSize,
-        frames: frames.map(f => ({ timestamp: f.timestamp, data: f.data, segment: f.segment })),
-        analyzedAt: new Date().toISOString()
-      }));
+  // A batch is { frames, audio } where audio summarizes the sound around those frames
+  // getFollowUp is called when the first pass is ambiguous (MEDIUM band)
+  // and returns a batch from extra segments, or null
+  const analyzeFrames = async (batch, fileInfo, frameSampling, getFollowUp) => {
+    setLoading(true);
+    setError(null);
+    setJobStages([]);
 
-      router.push('/results');
+    try {
+      const first = await requestAnalysis(batch, frameSampling, { fileInfo, sampling: frameSampling }, FIRST_PASS);
+      const passes = [first.result];
+      let analyzedFrames = batch.frames;
+
+      if (getFollowUp && needsFollowUp(first.result)) {
+        setProgress({ stage: 'Result ambiguous, sampling more segments', percent: 60 });
+        const extra = await getFollowUp();
+
+        if (extra) {
+          setJobStages([]);
+          const followUp = await requestAnalysis(extra, frameSampling, {
+            fileInfo,
+            sampling: frameSampling,
+            previousJob: first.job?.id || null
+          }, FOLLOW_UP_PASS);
+          passes.push(followUp.result);
+          analyzedFrames = [...batch.frames, ...extra.frames];
+        }
+      }
+
+      await finishAnalysis(passes, analyzedFrames, fileInfo, frameSampling);
 
     } catch (err) {
       console.error('Analysis error:', err);
@@ -208,19 +288,164 @@ export default function Home() {
     }
   };
 
+  // Pick up a job started before the page was left or reloaded; the video
+  // file is gone, so no follow-up pass is sampled
+  const resumeJob = async (id) => {
+    setLoading(true);
+    setError(null);
+    setProgress({ stage: 'Reconnecting to analysis', percent: FIRST_PASS.start });
+
+    try {
+      const job = await fetchJob(id);
+      if (!job || !job.context?.fileInfo) {
+        forgetActiveJob();
+        setLoading(false);
+        return;
+      }
+
+      const result = await followJob(job, FIRST_PASS);
+      const { frames } = await fetchJob(id, { frames: true });
+      const passes = [result];
+      let analyzedFrames = frames;
+
+      // A follow-up pass merges with the pass before it
+      const previous = job.context.previousJob ? await fetchJob(job.context.previousJob, { frames: true }) : null;
+
+      // The server lets go of a finished job's frames after a few minutes
+      if (!frames || (previous?.status === 'completed' && !previous.frames)) {
+        throw new Error('This analysis finished too long ago to reopen. Analyze the video again.');
+      }
+
+      if (previous?.status === 'completed') {
+        passes.unshift(previous.result);
+        analyzedFrames = [...previous.frames, ...frames];
+      }
+
+      await finishAnalysis(passes, analyzedFrames, job.context.fileInfo, job.context.sampling);
+
+    } catch (err) {
+      console.error('Analysis error:', err);
+      forgetActiveJob();
+      setError(err.message || 'Failed to resume analysis');
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const id = getActiveJob();
+    if (id) resumeJob(id);
+  }, []);
+
+  const handleCancel = async () => {
+    try {
+      await cancelJob(jobId);
+    } catch (err) {
+      console.error('Cancel error:', err);
+    }
+  };
+
   const handleAnalyze = async () => {
-    if (!file) return;
+    const url = videoUrl.trim();
+    if (!file && !url) return;
 
     setLoading(true);
     setError(null);
 
+    // Server-side extraction source for this video: the uploaded file or the URL
+    const extractOnServer = options => (file ? extractFramesOnServer(file, options) : extractFramesFromUrl(url, options));
+
     try {
+      // Face crops are best-effort: without a detector, whole frames are sent alone
+      setProgress({ stage: 'Loading face detection', percent: 2 });
+      const faceDetector = await loadFaceDetector();
+
+      // Container metadata of a local file is read here and stays in the browser
+      let metadata = null;
+      if (file) {
+        setProgress({ stage: 'Reading container metadata', percent: 4 });
+        try {
+          metadata = await inspectContainer(blobReader(file));
+        } catch (metadataError) {
+          console.warn('Container metadata unreadable:', metadataError);
+        }
+      }
+
       // Step 1: Extract frames
       setProgress({ stage: 'Extracting frames', percent: 5 });
-      const frames = await extractFrames(file);
+      let extracted = null;
+      if (file) {
+        try {
+          extracted = await extractFramesInBrowser(file, { faceDetector });
+        } catch (extractError) {
+          console.warn('Client-side extraction failed, using server:', extractError);
+        }
+      }
+      if (!extracted) {
+        extracted = await extractOnServer();
+        if (faceDetector) {
+          setProgress({ stage: 'Finding faces', percent: 30 });
+          extracted.frames = await addFaceCrops(extracted.frames, faceDetector);
+        }
+      }
+
+      // Number people once across all passes so per-person scores line up
+      let { frames, tracks } = trackFaces(extracted.frames);
+
+      // The server measures audio itself; in the browser, decode once and reuse for follow-ups
+      let decodedAudio = null;
+      if (extracted.source !== 'server') {
+        setProgress({ stage: 'Analyzing audio', percent: 32 });
+        decodedAudio = await decodeAudio(file);
+      }
+      const summarizeAudio = (batchFrames) => decodedAudio ? buildAudioSummary(decodedAudio, batchFrames) : null;
+
+      // Extra segments for an adaptive second pass, from the same source as the first
+      const getFollowUp = async () => {
+        const { duration } = extracted.video;
+        const starts = getFollowUpStartTimes(duration, getSegmentStartTimes(duration, sampling), { sampling });
+        if (starts.length === 0) return null;
+
+        const firstSegment = sampling.segments + 1;
+        let followUpFrames;
+        let followUpAudio;
+        if (extracted.source === 'server') {
+          const followUp = await extractOnServer({ starts, firstSegment });
+          followUpFrames = faceDetector ? await addFaceCrops(followUp.frames, faceDetector) : followUp.frames;
+          followUpAudio = followUp.audio;
+        } else {
+          const followUp = await extractFramesInBrowser(file, {
+            getPlan: () => getPlanForSegments(starts, sampling, firstSegment),
+            faceDetector,
+            progressStart: 60,
+            progressEnd: 70
+          });
+          followUpFrames = followUp.frames;
+          followUpAudio = summarizeAudio(followUpFrames);
+        }
+        ({ frames: followUpFrames, tracks } = trackFaces(followUpFrames, tracks));
+        return { frames: followUpFrames, audio: followUpAudio };
+      };
 
       // Step 2: Analyze
-      await analyzeFrames(frames, { fileName: file.name, fileSize: file.size });
+      await analyzeFrames({
+        frames,
+        audio: extracted.source === 'server' ? extracted.audio : summarizeAudio(frames)
+      }, file ? {
+        fileName: file.name,
+        fileSize: file.size,
+        fileType: file.type,
+        lastModified: file.lastModified,
+        video: extracted.video,
+        metadata
+      } : {
+        fileName: extracted.fileName,
+        fileSize: extracted.fileSize,
+        fileType: extracted.fileType,
+        lastModified: null,
+        sourceUrl: extracted.sourceUrl,
+        video: extracted.video,
+        metadata: extracted.metadata
+      }, sampling, getFollowUp);
 
     } catch (err) {
       console.error('Analysis error:', err);
@@ -237,10 +462,14 @@ export default function Home() {
     // Small delay to show loading state
     await new Promise(resolve => setTimeout(resolve, 300));
 
+    setProgress({ stage: 'Finding faces', percent: 20 });
+    const faceDetector = await loadFaceDetector();
+    const { frames } = trackFaces(faceDetector ? await addFaceCrops(DEMO_FRAMES, faceDetector) : DEMO_FRAMES);
+
     setProgress({ stage: 'Frames ready', percent: 30 });
 
-    // Use pre-extracted demo frames
-    await analyzeFrames(DEMO_FRAMES, DEMO_VIDEO_INFO);
+    // Use pre-extracted demo frames, which were captured with the standard profile
+    await analyzeFrames({ frames, audio: null }, DEMO_VIDEO_INFO, DEFAULT_SAMPLING);
   };
 
   const formatFileSize = (bytes) => {
@@ -266,8 +495,13 @@ export default function Home() {
           </svg>
           Portfolio
         </a>
-        <div style={{ opacity: 0.7, fontSize: '0.85rem' }}>
-          Built by cameronobrien.dev
+        <div className="nav-links">
+          <Link href="/history" className="nav-btn">
+            History
+          </Link>
+          <div style={{ opacity: 0.7, fontSize: '0.85rem' }}>
+            Built by cameronobrien.dev
+          </div>
         </div>
       </nav>
 
@@ -314,6 +548,50 @@ export default function Home() {
           )}
         </div>
 
+        <div className="url-input">
+          <label htmlFor="video-url">or analyze a link</label>
+          <input
+            id="video-url"
+            type="url"
+            inputMode="url"
+            placeholder="https://example.com/clip.mp4 or an HLS .m3u8 playlist"
+            value={videoUrl}
+            onChange={(e) => {
+              setVideoUrl(e.target.value);
+              setError(null);
+              if (e.target.value.trim()) setFile(null);
+            }}
+            disabled={loading}
+          />
+        </div>
+
+        <div className="profile-picker" role="radiogroup" aria-label="Sampling profile">
+          {Object.values(SAMPLING_PROFILES).map(option => (
+            <button
+              key={option.profile}
+              type="button"
+              role="radio"
+              aria-checked={profile === option.profile}
+              className={`profile-option ${profile === option.profile ? 'selected' : ''}`}
+              onClick={() => setProfile(option.profile)}
+              disabled={loading}
+            >
+              <span className="profile-label">{option.label}</span>
+              <span className="profile-description">{option.description}</span>
+            </button>
+          ))}
+        </div>
+
+        <label className="analysis-option">
+          <input
+            type="checkbox"
+            checked={ensemble}
+            onChange={(e) => setEnsemble(e.target.checked)}
+            disabled={loading}
+          />
+          Ensemble: run several detectors and measure how much they agree (slower)
+        </label>
+
         {error && (
           <div className="error-message">
             {error}
@@ -323,7 +601,7 @@ export default function Home() {
         <button
           className="btn btn-primary btn-full"
           onClick={handleAnalyze}
-          disabled={!file || loading}
+          disabled={(!file && !videoUrl.trim()) || loading}
         >
           {loading ? 'Analyzing...' : 'Analyze Video'}
         </button>
@@ -359,6 +637,18 @@ export default function Home() {
         <div className="loading-overlay">
           <div className="spinner" />
           <div className="loading-text">{progress.stage}...</div>
+          {jobStages.length > 0 && (
+            <ol className="job-stages">
+              {jobStages.map(stage => (
+                <li key={stage.key} className={`job-stage ${stage.status}`}>{stage.label}</li>
+              ))}
+            </ol>
+          )}
+          {jobId && (
+            <button type="button" className="btn btn-secondary job-cancel" onClick={handleCancel}>
+              Cancel analysis
+            </button>
+          )}
         </div>
       )}
     </>
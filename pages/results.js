@@ -1,113 +1,55 @@
-import React, { useState, useEffect } from 'react';
+import { useState, useEffect } from 'react';
 import Head from 'next/head';
+import Link from 'next/link';
 import { useRouter } from 'next/router';
-import Markdown from 'react-markdown';
-import { RISK_LEVELS, parseAnalysisResponse, extractSignals, calculateConfidence } from '../lib/riskMapping';
+import ResultsView from '../components/ResultsView';
+import SharePanel from '../components/SharePanel';
+import { getAnalysis } from '../lib/history';
+import { issueSiteSession } from '../lib/siteSession';
+
+export async function getServerSideProps({ req, res }) {
+  // The session cookie lets this page's requests to the API routes through
+  issueSiteSession(req, res);
+  return { props: {} };
+}
 
 export default function Results() {
   const router = useRouter();
   const [result, setResult] = useState(null);
-  const [riskData, setRiskData] = useState(null);
-  const [signals, setSignals] = useState([]);
-  const [confidence, setConfidence] = useState(0);
+  const [showShare, setShowShare] = useState(false);
 
   useEffect(() => {
-    const stored = sessionStorage.getItem('analysisResult');
-    if (!stored) {
+    if (!router.isReady) return;
+
+    const loadResult = async () => {
+      const { id } = router.query;
+
+      // Saved results are opened by ID; sessionStorage only holds results
+      // that couldn't be written to history
+      if (id) {
+        return getAnalysis(id);
+      }
+      const stored = sessionStorage.getItem('analysisResult');
+      return stored ? JSON.parse(stored) : null;
+    };
+
+    loadResult().then((data) => {
+      if (!data) {
+        router.push('/');
+        return;
+      }
+      setResult(data);
+    }).catch((err) => {
+      console.error('Failed to load result:', err);
       router.push('/');
-      return;
-    }
-
-    const data = JSON.parse(stored);
-    setResult(data);
-
-    // Process the analysis - pass entire API response object
-    const parsed = parseAnalysisResponse(data);
-    setRiskData(parsed);
-
-    const extractedSignals = extractSignals(parsed);
-    setSignals(extractedSignals);
-
-    const conf = calculateConfidence(extractedSignals, data.framesAnalyzed || 24, parsed.scores);
-    setConfidence(conf);
+    });
   }, [router]);
 
-  const handleDownloadReport = async () => {
-    const scoresSection = riskData?.scores ? `
---------------------------------------------------------------------------------
-REGION ANALYSIS SCORES (0=authentic, 10=manipulated)
---------------------------------------------------------------------------------
-Mouth Region:         ${riskData.scores.mouth ?? 'N/A'}/10
-Eye Region:           ${riskData.scores.eyes ?? 'N/A'}/10
-Face Boundary:        ${riskData.scores.boundary ?? 'N/A'}/10
-Temporal Consistency: ${riskData.scores.temporal ?? 'N/A'}/10
-Average Score:        ${riskData.scores.average ?? 'N/A'}/10
-
-Verdict: ${riskData.verdict || 'N/A'}
-${riskData.keyEvidence ? `Key Finding: ${riskData.keyEvidence}` : ''}
-` : '';
-
-    const reportContent = `
-================================================================================
-                        VIDEO AUTHENTICITY REPORT
-================================================================================
-
-Generated: ${new Date().toLocaleString()}
-Built by: Cameron O'Brien - cameronobrien.dev
-
---------------------------------------------------------------------------------
-FILE INFORMATION
---------------------------------------------------------------------------------
-File Name:       ${result.fileName}
-File Size:       ${(result.fileSize / (1024 * 1024)).toFixed(2)} MB
-Frames Analyzed: ${result.framesAnalyzed}
-Analysis Date:   ${new Date(result.analyzedAt).toLocaleString()}
-
---------------------------------------------------------------------------------
-RISK ASSESSMENT
---------------------------------------------------------------------------------
-Risk Level:      ${riskData?.riskInfo?.label || 'Unknown'}
-Confidence:      ${confidence}%
-
-${riskData?.riskInfo?.description || ''}
-${scoresSection}
---------------------------------------------------------------------------------
-DETECTED SIGNALS
---------------------------------------------------------------------------------
-${signals.map(s => `[${s.severity.toUpperCase()}] ${s.category}: ${s.signal}`).join('\n')}
-
---------------------------------------------------------------------------------
-DETAILED ANALYSIS
---------------------------------------------------------------------------------
-${riskData?.rawAnalysis || result.analysis}
-
-================================================================================
-                              END OF REPORT
-================================================================================
-
-This report was generated by Video Verify - AI-powered deepfake detection.
-Built by Cameron O'Brien | cameronobrien.dev
-
-Disclaimer: This analysis is provided for informational purposes only and should
-not be considered definitive proof of video authenticity or manipulation. Always
-use multiple verification methods for critical applications.
-    `.trim();
-
-    const blob = new Blob([reportContent], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `video-verify-report-${Date.now()}.txt`;
-    a.click();
-    URL.revokeObjectURL(url);
-  };
-
   const handleNewAnalysis = () => {
-    sessionStorage.removeItem('analysisResult');
     router.push('/');
   };
 
-  if (!result || !riskData) {
+  if (!result) {
     return (
       <div className="container">
         <div className="loading-overlay" style={{ position: 'relative', minHeight: '50vh' }}>
@@ -132,148 +74,31 @@ use multiple verification methods for critical applications.
           </svg>
           Portfolio
         </a>
-        <div style={{ opacity: 0.7, fontSize: '0.85rem' }}>
-          Built by cameronobrien.dev
-        </div>
-      </nav>
-
-      <div className="container">
-        <header className="header">
-          <h1>Analysis Complete</h1>
-          <p>{result.fileName}</p>
-        </header>
-
-        {/* Degree of Risk */}
-        <div className="result-card">
-          <h3>Degree of Risk</h3>
-          <div className="confidence-meter">
-            <div className="confidence-bar">
-              <div
-                className={`confidence-fill ${riskData.scores?.average < 4 ? 'low' : riskData.scores?.average < 7 ? 'medium' : 'high'}`}
-                style={{ width: `${(riskData.scores?.average || 0) * 10}%` }}
-              />
-            </div>
-            <div className={`confidence-value ${riskData.scores?.average < 4 ? 'low' : riskData.scores?.average < 7 ? 'medium' : 'high'}`}>
-              {riskData.scores?.average || 0}/10
-            </div>
+        <div className="nav-links">
+          <Link href="/history" className="nav-btn">
+            History
+          </Link>
+          <div style={{ opacity: 0.7, fontSize: '0.85rem' }}>
+            Built by cameronobrien.dev
           </div>
         </div>
+      </nav>
 
-        {/* Region Scores */}
-        {riskData.scores && (
-          <div className="result-card">
-            <h3>Region Analysis Scores</h3>
-            <p style={{ color: 'var(--text-muted)', fontSize: '0.85rem', marginBottom: 16 }}>
-              Scale: 0 = authentic, 10 = manipulated
-            </p>
-            <div className="scores-grid">
-              {[
-                { key: 'mouth', label: 'Mouth Region' },
-                { key: 'eyes', label: 'Eye Region' },
-                { key: 'boundary', label: 'Face Boundary' },
-                { key: 'temporal', label: 'Temporal Consistency' },
-              ].map(({ key, label }) => {
-                const score = riskData.scores[key];
-                if (score === undefined) return null;
-                const severity = score < 4 ? 'low' : score < 7 ? 'medium' : 'high';
-                return (
-                  <div key={key} className="score-item">
-                    <div className="score-label">
-                      <span>{label}</span>
-                      <span className={`score-value ${severity}`}>{score}/10</span>
-                    </div>
-                    <div className="score-bar">
-                      <div
-                        className={`score-fill ${severity}`}
-                        style={{ width: `${score * 10}%` }}
-                      />
-                    </div>
-                  </div>
-                );
-              })}
-              {riskData.scores.average !== undefined && (
-                <div className="score-item average">
-                  <div className="score-label">
-                    <span>Average Score</span>
-                    <span className={`score-value ${riskData.scores.average < 4 ? 'low' : riskData.scores.average < 7 ? 'medium' : 'high'}`}>
-                      {riskData.scores.average}/10
-                    </span>
-                  </div>
-                </div>
-              )}
-            </div>
-            {riskData.keyEvidence && (
-              <div className="key-evidence">
-                <strong>Key Finding:</strong> {riskData.keyEvidence}
-              </div>
-            )}
-          </div>
-        )}
-
-        {/* Detected Signals */}
-        <div className="result-card">
-          <h3>Detected Signals</h3>
-          <ul className="signals-list">
-            {signals.map((signal, index) => (
-              <li key={index} className="signal-item">
-                <div className={`signal-indicator ${signal.severity}`} />
-                <div className="signal-content">
-                  <div className="signal-category">{signal.category}</div>
-                  <div className="signal-text">{signal.signal}</div>
-                </div>
-              </li>
-            ))}
-          </ul>
-        </div>
-
-        {/* Analyzed Frames */}
-        {result.frames && result.frames.length > 0 && (
-          <div className="result-card">
-            <h3>Analyzed Frames ({result.frames.length} consecutive frames)</h3>
-            <div className="frames-grid">
-              {result.frames.map((frame, index) => {
-                const showSegmentLabel = index === 0 ||
-                  (frame.segment && result.frames[index - 1]?.segment !== frame.segment);
-                return (
-                  <React.Fragment key={index}>
-                    {showSegmentLabel && frame.segment && (
-                      <div className="segment-label">
-                        Segment {frame.segment} ({frame.timestamp?.toFixed(1)}s)
-                      </div>
-                    )}
-                    <div className="frame-thumb">
-                      <img src={frame.data} alt={`Frame ${index + 1}`} />
-                    </div>
-                  </React.Fragment>
-                );
-              })}
-            </div>
-          </div>
-        )}
-
-        {/* Detailed Analysis */}
-        <div className="result-card">
-          <h3>Detailed Analysis</h3>
-          <div className="analysis-text">
-            <Markdown>{riskData?.rawAnalysis || result.analysis}</Markdown>
-          </div>
-        </div>
-
-        {/* Actions */}
-        <div className="actions">
-          <button className="btn btn-primary" onClick={handleDownloadReport}>
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
-              <polyline points="7 10 12 15 17 10" />
-              <line x1="12" y1="15" x2="12" y2="3" />
-            </svg>
-            Download Report
-          </button>
-          <button className="btn btn-secondary" onClick={handleNewAnalysis}>
-            Analyze Another Video
-          </button>
-        </div>
-      </div>
+      <ResultsView
+        result={result}
+        actions={
+          <>
+            <button className="btn btn-secondary" onClick={() => setShowShare(!showShare)}>
+              Share
+            </button>
+            <button className="btn btn-secondary" onClick={handleNewAnalysis}>
+              Analyze Another Video
+            </button>
+          </>
+        }
+      >
+        {showShare && <SharePanel result={result} />}
+      </ResultsView>
     </>
   );
 }
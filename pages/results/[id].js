@@ -0,0 +1,64 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import ResultsView from '../../components/ResultsView';
+import { getShare, isValidShareId } from '../../lib/shareStore';
+
+export async function getServerSideProps({ params, res }) {
+  const share = isValidShareId(params.id) ? await getShare(params.id) : null;
+
+  if (!share) {
+    return { notFound: true };
+  }
+
+  // Shared snapshots never change, but expiry means they shouldn't be cached publicly
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  return {
+    props: {
+      result: share.result,
+      expiresAt: share.expiresAt,
+      includesFrames: share.includesFrames
+    }
+  };
+}
+
+export default function SharedResult({ result, expiresAt, includesFrames }) {
+  const notes = [
+    'Shared analysis',
+    // ISO date rather than a locale string so server and client render the same text
+    expiresAt ? `link expires ${expiresAt.slice(0, 10)}` : null,
+    includesFrames ? null : 'frame thumbnails omitted'
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <>
+      <Head>
+        <title>Shared Analysis - Video Verify</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      {/* Navigation */}
+      <nav className="nav-bar">
+        <Link href="/" className="nav-btn">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7" />
+          </svg>
+          Video Verify
+        </Link>
+        <div style={{ opacity: 0.7, fontSize: '0.85rem' }}>
+          Built by cameronobrien.dev
+        </div>
+      </nav>
+
+      <ResultsView
+        result={result}
+        subtitle={notes}
+        actions={
+          <Link href="/" className="btn btn-secondary">
+            Analyze a Video
+          </Link>
+        }
+      />
+    </>
+  );
+}